@@ -1,94 +1,124 @@
 "use strict";
 
+const fs = require("fs");
+const path = require("path");
 const config = require("./config");
+const AccessPolicy = require("../src/policy/access-policy");
 
 const accessControl = {
-    // Define allowed paths for each user
-    allowedPaths: {
-        // User 'user' can access their base path and subdirectories
-        'user': [
-            '/', // Root directory (to see their own folder)
-            '/user', // Their own user directory
-            '/ledgers', // Direct access to ledgers folder
-            '/invoices' // Direct access to invoices folder
-        ],
-        // You can add more users here
-        // 'admin': [
-        //   '/',               // Root directory
-        //   '/admin'           // Admin's own directory
-        // ],
-        // 'guest': [
-        //   '/',               // Root directory
-        //   '/guest'           // Guest's own directory
-        // ]
+    // The policy in effect, replaced on every successful reload
+    policy: null,
+    // The policy file it was loaded from
+    file: null,
+    watcher: null,
+    /**
+     * Parse a policy file, JSON or YAML depending on its extension
+     * YAML files require the optional `yaml` package (npm install yaml)
+     * @param file - Path of the policy file
+     * @returns The parsed policy
+     */
+    parseFile: function (file) {
+        const text = fs.readFileSync(file, "utf8");
+        let document;
+        if (/\.ya?ml$/i.test(file)) {
+            let yaml;
+            try {
+                yaml = require("yaml");
+            } catch (err) {
+                throw new Error("YAML access policies require the yaml package (npm install yaml)");
+            }
+            document = yaml.parse(text);
+        } else {
+            document = JSON.parse(text);
+        }
+        return new AccessPolicy(document, path.basename(file));
     },
     /**
-     * Default paths for new users (if not explicitly defined above)
+     * Load the policy file, keeping the previous policy if the new one is invalid
+     * @param file - Path of the policy file, defaults to the configured one
+     * @returns The loaded policy
      */
-    defaultPaths: [
-        '/', // Root directory (to see their own folder)
-        '/ledgers', // Direct access to ledgers folder
-        '/invoices' // Direct access to invoices folder
-    ],
+    load: function (file = config.security.accessPolicyFile) {
+        const policy = this.parseFile(file);
+        this.policy = policy;
+        this.file = file;
+        return policy;
+    },
     /**
-     * Check if a user has access to a specific path
-     * @param username - The username
-     * @param path - The path to check
-     * @returns True if access is allowed
+     * Load the policy file again
+     * @returns The loaded policy
      */
-    isPathAllowed: function (username, path) {
-        const userPaths = this.allowedPaths[username] || this.defaultPaths;
-        // Normalize the path
-        let normalizedPath = path;
-        if (!normalizedPath.startsWith('/')) {
-            normalizedPath = '/' + normalizedPath;
-        }
-        console.log(`[DEBUG] Checking access for user '${username}' to path '${path}' (normalized: '${normalizedPath}')`);
-        console.log(`[DEBUG] User allowed paths: ${userPaths.join(', ')}`);
-        // Check if the path is exactly allowed
-        if (userPaths.includes(normalizedPath)) {
-            console.log(`[DEBUG] Path exactly matches allowed path`);
-            return true;
-        }
-        // Check if the path is a subdirectory of an allowed path
-        for (const allowedPath of userPaths) {
-            if (normalizedPath.startsWith(allowedPath + '/') || normalizedPath === allowedPath) {
-                console.log(`[DEBUG] Path is subdirectory of allowed path: ${allowedPath}`);
-                return true;
+    reload: function () {
+        return this.load(this.file || config.security.accessPolicyFile);
+    },
+    /**
+     * Reload the policy whenever the file changes
+     * @param onReload - Called with (error, policy) after every reload attempt
+     */
+    watch: function (onReload) {
+        this.unwatch();
+        const file = this.file || config.security.accessPolicyFile;
+        // Polling survives editors that replace the file instead of writing it
+        this.watcher = fs.watchFile(file, { interval: config.security.accessPolicyPollInterval }, (current, previous) => {
+            if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) {
+                return;
             }
+            try {
+                onReload(null, this.reload());
+            } catch (err) {
+                onReload(err, this.policy);
+            }
+        });
+        this.watcher.unref();
+    },
+    /**
+     * Stop watching the policy file
+     */
+    unwatch: function () {
+        if (this.watcher) {
+            fs.unwatchFile(this.file || config.security.accessPolicyFile);
+            this.watcher = null;
         }
-        // Special case: allow users to access their own user folder
-        const userBasePath = config.sftp.userBasePath;
-        if (normalizedPath === `/${username}` || normalizedPath.startsWith(`/${username}/`)) {
-            console.log(`[DEBUG] Path is user's own directory: ${username}`);
-            return true;
-        }
-        // Special case: allow direct access to ledgers and invoices folders
-        // These will be mapped to the user's specific directory
-        if (normalizedPath === '/ledgers' || normalizedPath === '/invoices' ||
-            normalizedPath.startsWith('/ledgers/') || normalizedPath.startsWith('/invoices/')) {
-            console.log(`[DEBUG] Path is direct access to ledgers/invoices: ${normalizedPath}`);
-            return true;
-        }
-        // Special case: allow users to upload files to root (will be mapped to their user directory)
-        // This allows users to upload files like /filename.jpg which gets mapped to /users/username/filename.jpg
-        if (normalizedPath !== '/' && normalizedPath.startsWith('/') && normalizedPath.split('/').length === 2) {
-            console.log(`[DEBUG] Path is root-level file (parts: ${normalizedPath.split('/').length})`);
-            return true;
-        }
-        console.log(`[DEBUG] Access denied - no matching rule found`);
-        return false;
     },
     /**
-     * Get all allowed paths for a user
+     * Get the policy in effect, loading it on first use
+     * @returns The policy
+     */
+    getPolicy: function () {
+        return this.policy || this.load();
+    },
+    /**
+     * Check if a user may perform an operation on a specific path
+     * @param username - The username
+     * @param path - The client path, starting with '/'
+     * @param permission - The operation: read, write, list, delete or rename
+     * @param groups - Groups reported by the authentication provider
+     * @returns True if access is allowed
+     */
+    isPathAllowed: function (username, path, permission, groups = []) {
+        return this.getPolicy().isAllowed(username, path, permission, groups);
+    },
+    /**
+     * Explain why a user may or may not perform an operation on a path
+     * @param username - The username
+     * @param path - The client path, starting with '/'
+     * @param permission - The operation: read, write, list, delete or rename
+     * @param groups - Groups reported by the authentication provider
+     * @returns { allowed, rule, reason, matches }
+     */
+    explain: function (username, path, permission, groups = []) {
+        return this.getPolicy().explain(username, path, permission, groups);
+    },
+    /**
+     * Get all path patterns a user is allowed to access
      * @param username - The username
-     * @returns Array of allowed paths
+     * @param permission - Only patterns granting this operation (optional)
+     * @param groups - Groups reported by the authentication provider
+     * @returns Array of path patterns
      */
-    getAllowedPaths: function (username) {
-        const basePaths = this.allowedPaths[username] || this.defaultPaths;
-        // Add user's own directory to allowed paths
-        return [...basePaths, `/${username}`];
+    getAllowedPaths: function (username, permission = null, groups = []) {
+        return this.getPolicy().allowedPatterns(username, permission, groups);
     }
 };
 
-module.exports = accessControl;
\ No newline at end of file
+module.exports = accessControl;
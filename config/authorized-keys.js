@@ -0,0 +1,65 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+const { createKeyEntry, parseAuthorizedKeys } = require("../src/auth/authorized-keys");
+
+const authorizedKeys = {
+    // Define allowed authentication methods for each user
+    // Users not listed here use config.auth.defaultMethods
+    userMethods: {
+        // Automated partner jobs can be restricted to key-based logins
+        // 'partner-bot': ['publickey'],
+        // Interactive users can be allowed to use either method
+        // 'admin': ['password', 'publickey']
+    },
+    // Keys defined inline, in addition to the user's authorized_keys file
+    // in config.auth.authorizedKeysDir
+    userKeys: {
+        // 'partner-bot': [
+        //   {
+        //     key: 'ssh-ed25519 AAAAC3NzaC1lZDI1NTE5AAAA... bot@partner',
+        //     expires: '2027-01-01',           // Key is rejected after this date
+        //     from: ['203.0.113.0/24']         // Key is only accepted from these addresses
+        //   }
+        // ]
+    },
+    /**
+     * Get the authentication methods a user may log in with
+     * @param username - The username
+     * @returns Array of method names
+     */
+    getAuthMethods: function (username) {
+        return this.userMethods[username] || config.auth.defaultMethods;
+    },
+    /**
+     * Get all authorized public keys for a user
+     * The authorized_keys file is read on every call so key changes apply
+     * without a restart
+     * @param username - The username
+     * @returns Promise resolving to an array of key entries
+     */
+    getAuthorizedKeys: async function (username) {
+        const entries = (this.userKeys[username] || [])
+            .map(createKeyEntry)
+            .filter(entry => entry !== null);
+        // Never let a crafted username escape the keys directory
+        if (!username || path.basename(username) !== username) {
+            return entries;
+        }
+        try {
+            const keysFile = path.join(config.auth.authorizedKeysDir, username);
+            const text = await fs.promises.readFile(keysFile, 'utf8');
+            return entries.concat(parseAuthorizedKeys(text));
+        }
+        catch (err) {
+            if (err.code === 'ENOENT') {
+                return entries;
+            }
+            throw err;
+        }
+    }
+};
+
+module.exports = authorizedKeys;
@@ -1,11 +1,22 @@
 "use strict";
 
+const path = require("path");
+
 const config = {
     // Server configuration
     server: {
         port: parseInt(process.env.SFTP_PORT || '2222'),
         host: process.env.SFTP_HOST || '127.0.0.1',
-        maxConnections: parseInt(process.env.SFTP_MAX_CONNECTIONS || '100')
+        // Open SSH connections at once, logged in or not (0 = unlimited)
+        maxConnections: parseInt(process.env.SFTP_MAX_CONNECTIONS || '100'),
+        // Open connections from one client address (0 = unlimited)
+        maxConnectionsPerIp: parseInt(process.env.SFTP_MAX_CONNECTIONS_PER_IP || '0'),
+        // Logged-in sessions of one user, a maxSessions attribute from the
+        // authentication provider overrides it per user (0 = unlimited)
+        maxSessionsPerUser: parseInt(process.env.SFTP_MAX_SESSIONS_PER_USER || '0'),
+        // Close sessions without requests for this many seconds (0 never closes them),
+        // an idleTimeout attribute from the authentication provider overrides it per user
+        idleTimeout: parseInt(process.env.SFTP_IDLE_TIMEOUT || '900')
     },
     // SFTP path configuration
     sftp: {
@@ -15,24 +26,178 @@ const config = {
         defaultSubdirectories: process.env.SFTP_DEFAULT_SUBDIRS ?
             process.env.SFTP_DEFAULT_SUBDIRS.split(',') : ['invoices', 'ledgers'],
         // Whether to create default subdirectories automatically
-        createDefaultSubdirs: process.env.SFTP_CREATE_DEFAULT_SUBDIRS !== 'false'
+        createDefaultSubdirs: process.env.SFTP_CREATE_DEFAULT_SUBDIRS !== 'false',
+        // Maximum directory entries returned per READDIR reply
+        readdirBatchSize: parseInt(process.env.SFTP_READDIR_BATCH_SIZE || '100'),
+        // Bytes of out-of-order WRITE data held per open file while waiting for earlier data
+        maxPendingWriteBytes: parseInt(process.env.SFTP_MAX_PENDING_WRITE_BYTES || '8388608') // 8MB
     },
     // AWS S3 configuration
     s3: {
         bucket: process.env.S3_BUCKET || 'zono-digital-qa-sftp-uploads',
         region: process.env.AWS_REGION || 'ap-south-1',
-        maxFileSize: parseInt(process.env.S3_MAX_FILE_SIZE || '104857600') // 100MB
+        maxFileSize: parseInt(process.env.S3_MAX_FILE_SIZE || '104857600'), // 100MB
+        // Multipart upload part size (S3 minimum is 5MB)
+        uploadPartSize: parseInt(process.env.S3_UPLOAD_PART_SIZE || '8388608'), // 8MB
+        // Parts uploaded concurrently per transfer, bounds memory to about
+        // uploadPartSize * (uploadQueueSize + 1) per open file
+        uploadQueueSize: parseInt(process.env.S3_UPLOAD_QUEUE_SIZE || '2'),
+        // Bytes streamed ahead of sequential downloads per open file
+        readAheadSize: parseInt(process.env.S3_READ_AHEAD_SIZE || '4194304'), // 4MB
+        // Keys requested per ListObjectsV2 page (S3 maximum is 1000)
+        listPageSize: parseInt(process.env.S3_LIST_PAGE_SIZE || '1000'),
+        // Seconds an interrupted upload can be resumed before it is aborted (0 disables resuming)
+        resumableUploadTtl: parseInt(process.env.S3_RESUMABLE_UPLOAD_TTL || '86400') // 24 hours
+    },
+    // Storage quota configuration (bytes, 0 means unlimited)
+    quotas: {
+        // Total storage per user, for users without an entry in config/quotas.js
+        defaultUserQuota: parseInt(process.env.SFTP_USER_QUOTA || '0'),
+        // Storage per folder inside each user's directory, e.g. "invoices:524288000,ledgers:524288000"
+        defaultFolderQuotas: process.env.SFTP_FOLDER_QUOTAS ?
+            Object.fromEntries(process.env.SFTP_FOLDER_QUOTAS.split(',').map(pair => {
+                const [folder, bytes] = pair.split(':');
+                return [folder, parseInt(bytes)];
+            })) : {}
     },
     // Authentication configuration
     auth: {
         // Default username for connections
-        defaultUsername: process.env.SFTP_DEFAULT_USER || 'user'
+        defaultUsername: process.env.SFTP_DEFAULT_USER || 'user',
+        // Authentication methods allowed for users without an explicit entry
+        // in config/authorized-keys.js ('password', 'publickey' or both)
+        defaultMethods: process.env.SFTP_AUTH_METHODS ?
+            process.env.SFTP_AUTH_METHODS.split(',') : ['password'],
+        // Directory holding one OpenSSH authorized_keys file per user, named after the user
+        authorizedKeysDir: process.env.SFTP_AUTHORIZED_KEYS_DIR ||
+            path.join(__dirname, '..', 'keys', 'authorized_keys'),
+        // S3 key prefix for hashed password records (one JSON object per user)
+        credentialsPrefix: process.env.SFTP_CREDENTIALS_PREFIX || 'credentials/',
+        // Convert legacy auth/{username}_{password} objects on first successful login
+        migrateLegacyCredentials: process.env.SFTP_MIGRATE_LEGACY_AUTH !== 'false',
+        // scrypt cost parameters for new password hashes
+        passwordHash: {
+            N: parseInt(process.env.SFTP_SCRYPT_COST || '16384'),
+            r: 8,
+            p: 1,
+            keyLength: 64,
+            saltLength: 16
+        },
+        // Authentication providers, asked in order until one accepts or rejects
+        // (s3, authorized-keys, file, webhook, ldap)
+        providers: process.env.SFTP_AUTH_PROVIDERS ?
+            process.env.SFTP_AUTH_PROVIDERS.split(',') : ['s3', 'authorized-keys'],
+        // Providers whose errors (outages, timeouts) pass the login on to the
+        // next provider; an error in any other provider fails the login
+        fallbackProviders: process.env.SFTP_AUTH_FALLBACK_PROVIDERS ?
+            process.env.SFTP_AUTH_FALLBACK_PROVIDERS.split(',').map(name => name.trim()) : [],
+        // Local JSON or htpasswd file for the 'file' provider
+        file: {
+            path: process.env.SFTP_AUTH_FILE || path.join(__dirname, 'users.json')
+        },
+        // Identity service endpoint for the 'webhook' provider
+        webhook: {
+            url: process.env.SFTP_AUTH_WEBHOOK_URL || 'http://127.0.0.1:8080/sftp/authenticate',
+            token: process.env.SFTP_AUTH_WEBHOOK_TOKEN || null,
+            timeout: parseInt(process.env.SFTP_AUTH_WEBHOOK_TIMEOUT || '5000')
+        },
+        // Directory settings for the 'ldap' provider
+        ldap: {
+            url: process.env.SFTP_LDAP_URL || 'ldap://127.0.0.1:389',
+            userDnTemplate: process.env.SFTP_LDAP_USER_DN || 'uid={username},ou=people,dc=example,dc=com',
+            // Session attributes read from the user's entry, e.g. "home:sftpHomePath,quota:sftpQuotaBytes"
+            attributeMap: process.env.SFTP_LDAP_ATTRIBUTES ?
+                Object.fromEntries(process.env.SFTP_LDAP_ATTRIBUTES.split(',').map(pair => pair.split(':'))) : {},
+            timeout: parseInt(process.env.SFTP_LDAP_TIMEOUT || '5000')
+        },
+        // Failed login back-off and lockouts
+        lockout: {
+            // Failures that lock a username or a client address out (0 = never)
+            maxFailuresPerUser: parseInt(process.env.SFTP_LOCKOUT_USER_FAILURES || '5'),
+            maxFailuresPerIp: parseInt(process.env.SFTP_LOCKOUT_IP_FAILURES || '20'),
+            // Seconds after the last failure before the count starts over
+            failureWindow: parseInt(process.env.SFTP_LOCKOUT_WINDOW || '900'),
+            // Seconds a lockout lasts
+            duration: parseInt(process.env.SFTP_LOCKOUT_DURATION || '900'),
+            // Rejections are held back this many milliseconds, doubling with every failure
+            baseDelay: parseInt(process.env.SFTP_AUTH_BACKOFF_BASE || '500'),
+            maxDelay: parseInt(process.env.SFTP_AUTH_BACKOFF_MAX || '8000')
+        }
     },
     // Logging configuration
     logging: {
         enabled: process.env.LOGGING_ENABLED !== 'false',
+        // Least severe level written: error, warn, info or debug (per-request detail)
         level: process.env.LOG_LEVEL || 'info',
-        file: process.env.LOG_FILE || null
+        // JSON lines log file, standard output if not set
+        file: process.env.LOG_FILE || null,
+        // Rotate log files once they reach this size (0 never rotates)
+        maxFileSize: parseInt(process.env.LOG_MAX_FILE_SIZE || '10485760'), // 10MB
+        // Rotated files kept next to each log file (file.1, file.2, ...)
+        maxFiles: parseInt(process.env.LOG_MAX_FILES || '5'),
+        // Audit trail of logins and file operations, written regardless of level
+        audit: {
+            enabled: process.env.AUDIT_LOG_ENABLED !== 'false',
+            // JSON lines audit file, standard output if not set
+            file: process.env.AUDIT_LOG_FILE || null
+        }
+    },
+    // Prometheus metrics endpoint
+    metrics: {
+        enabled: process.env.METRICS_ENABLED === 'true',
+        // Keep the endpoint local unless a scraper on another host needs it
+        host: process.env.METRICS_HOST || '127.0.0.1',
+        port: parseInt(process.env.METRICS_PORT || '9464'),
+        path: process.env.METRICS_PATH || '/metrics'
+    },
+    // Admin HTTP API for listing and disconnecting sessions
+    admin: {
+        enabled: process.env.ADMIN_API_ENABLED === 'true',
+        host: process.env.ADMIN_API_HOST || '127.0.0.1',
+        port: parseInt(process.env.ADMIN_API_PORT || '9465'),
+        // Bearer token required on every request, the API refuses to start without one
+        token: process.env.ADMIN_API_TOKEN || null
+    },
+    // Outbound webhooks for file events, endpoints are listed in config/webhooks.js
+    webhooks: {
+        enabled: process.env.WEBHOOKS_ENABLED === 'true',
+        // Notifications not delivered yet, kept here across restarts
+        queueFile: process.env.WEBHOOK_QUEUE_FILE || path.join(__dirname, '..', 'data', 'webhook-queue.json'),
+        // Milliseconds to wait for an endpoint to answer
+        timeout: parseInt(process.env.WEBHOOK_TIMEOUT || '5000'),
+        // Deliveries tried before a notification is dropped
+        maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '10'),
+        // Seconds before the first retry, doubling with every failure up to maxRetryDelay
+        retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY || '30'),
+        maxRetryDelay: parseInt(process.env.WEBHOOK_MAX_RETRY_DELAY || '3600'),
+        // Notifications kept in the queue, the oldest are dropped beyond this
+        maxQueueSize: parseInt(process.env.WEBHOOK_MAX_QUEUE_SIZE || '10000'),
+        // Queued notifications retried at once
+        retryConcurrency: parseInt(process.env.WEBHOOK_RETRY_CONCURRENCY || '10'),
+        // Milliseconds queue changes wait to be written to queueFile together
+        queueSaveDelay: parseInt(process.env.WEBHOOK_QUEUE_SAVE_DELAY || '200')
+    },
+    // Malware scanning of uploads before they reach their final key
+    scanning: {
+        enabled: process.env.SCAN_ENABLED === 'true',
+        // Scanner implementation (clamd)
+        scanner: process.env.SCAN_SCANNER || 'clamd',
+        // Uploads wait under this prefix while they are scanned, infected
+        // files are moved below the quarantine prefix; keep both outside
+        // every mount so users can't see them
+        pendingPrefix: process.env.SCAN_PENDING_PREFIX || 'scanning/',
+        quarantinePrefix: process.env.SCAN_QUARANTINE_PREFIX || 'quarantine/',
+        // Accept uploads the scanner couldn't check instead of refusing them
+        failOpen: process.env.SCAN_FAIL_OPEN === 'true',
+        // ClamAV daemon, over its unix socket when set, TCP otherwise
+        clamd: {
+            socket: process.env.CLAMD_SOCKET || null,
+            host: process.env.CLAMD_HOST || '127.0.0.1',
+            port: parseInt(process.env.CLAMD_PORT || '3310'),
+            timeout: parseInt(process.env.CLAMD_TIMEOUT || '60000'),
+            // Bytes sent per INSTREAM chunk
+            chunkSize: 65536
+        }
     },
     // Security configuration
     security: {
@@ -42,8 +207,13 @@ const config = {
         // Blocked file extensions
         blockedExtensions: process.env.BLOCKED_EXTENSIONS ?
             process.env.BLOCKED_EXTENSIONS.split(',') : ['.exe', '.bat', '.sh'],
+        // Path access policy (JSON, or YAML with the optional yaml package)
+        accessPolicyFile: process.env.ACCESS_POLICY_FILE || path.join(__dirname, 'access-policy.json'),
+        // How often the policy file is checked for changes (milliseconds)
+        accessPolicyPollInterval: parseInt(process.env.ACCESS_POLICY_POLL_INTERVAL || '2000'),
         // Maximum directory depth
         maxDirectoryDepth: parseInt(process.env.MAX_DIRECTORY_DEPTH || '10')
+        // File types accepted per folder are set on the mounts in mounts.js
     }
 };
 
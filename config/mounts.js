@@ -0,0 +1,41 @@
+"use strict";
+
+const mounts = {
+    // Client-visible paths and the S3 prefixes they map to
+    // prefix: template, {username} is the user's name and {home} the user's
+    //         base path (SFTP_USER_BASE_PATH/{username} unless the
+    //         authentication provider returns a home attribute)
+    // subjects: users ('alice' or 'user:alice') and groups ('group:finance')
+    //         that see the mount, everyone if omitted
+    // readOnly: refuse uploads, deletes and renames below the mount
+    // allowedExtensions: the only file types accepted below the mount
+    // allowedTypes: the only content types accepted below the mount, detected
+    //         from the data ('application/pdf', 'image/*', 'text/plain', ...);
+    //         PDFs must also have a %PDF- header and a %%EOF trailer
+    mounts: [
+        {
+            path: '/',
+            prefix: '{home}'
+        },
+        {
+            path: '/ledgers',
+            prefix: '{home}/ledgers',
+            allowedExtensions: ['.pdf'],
+            allowedTypes: ['application/pdf']
+        },
+        {
+            path: '/invoices',
+            prefix: '{home}/invoices',
+            allowedExtensions: ['.pdf'],
+            allowedTypes: ['application/pdf']
+        }
+        // {
+        //     path: '/shared/reports',
+        //     prefix: 'shared/reports',
+        //     subjects: ['group:finance'],
+        //     readOnly: true
+        // }
+    ]
+};
+
+module.exports = mounts;
@@ -0,0 +1,44 @@
+"use strict";
+
+const config = require("./config");
+
+const quotas = {
+    // Define storage quotas for each user (bytes)
+    // Users not listed here use config.quotas.defaultUserQuota
+    userQuotas: {
+        // 'user': {
+        //   total: 1024 * 1024 * 1024,       // 1GB across the user's directory
+        //   folders: {
+        //     'invoices': 500 * 1024 * 1024  // 500MB in the invoices folder
+        //   }
+        // }
+    },
+    /**
+     * Get the quotas that apply to a user's uploads
+     * Quota attributes returned by the authentication provider take precedence
+     * over the entries above. A quota of 0 means unlimited.
+     * @param user - The session user (username, path and optional quota attribute)
+     * @returns Array of { scope, name, prefix, limit } for every limited prefix
+     */
+    getLimits: function (user) {
+        let entry = user.quota || this.userQuotas[user.username] || {};
+        if (typeof entry === 'number' || typeof entry === 'string') {
+            entry = { total: entry };
+        }
+        const total = entry.total !== undefined ? parseInt(entry.total) : config.quotas.defaultUserQuota;
+        const folders = Object.assign({}, config.quotas.defaultFolderQuotas, entry.folders || {});
+        const limits = [];
+        if (total > 0) {
+            limits.push({ scope: 'user', name: user.username, prefix: `${user.path}/`, limit: total });
+        }
+        for (const [folder, bytes] of Object.entries(folders)) {
+            const limit = parseInt(bytes);
+            if (limit > 0) {
+                limits.push({ scope: 'folder', name: folder, prefix: `${user.path}/${folder}/`, limit: limit });
+            }
+        }
+        return limits;
+    }
+};
+
+module.exports = quotas;
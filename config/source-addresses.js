@@ -0,0 +1,56 @@
+"use strict";
+
+const { matchesAny } = require("../src/auth/ip-match");
+
+const sourceAddresses = {
+    // Addresses each user may log in from, checked before credentials
+    // allow: CIDR blocks, addresses or wildcards (IPv4 or IPv6); once any
+    //        entry for the user has one, the address must match one of them
+    // deny: refused even when an allow entry matches
+    // Users without an entry (directly or through a group) may log in from anywhere
+    users: {
+        // 'partner-bot': {
+        //     allow: ['203.0.113.0/24', '2001:db8:42::/48'],
+        //     deny: ['203.0.113.99']
+        // }
+    },
+    // Entries for groups of the access policy file, apply to every member
+    groups: {
+        // 'suppliers': {
+        //     allow: ['198.51.100.0/24']
+        // }
+    },
+    /**
+     * Check whether a user may log in from an address
+     * @param username - The username
+     * @param groups - The user's groups
+     * @param clientIp - The client address
+     * @returns { allowed, reason }
+     */
+    check: function (username, groups, clientIp) {
+        const entries = [];
+        if (this.users[username]) {
+            entries.push({ subject: `user ${username}`, entry: this.users[username] });
+        }
+        for (const group of groups) {
+            if (this.groups[group]) {
+                entries.push({ subject: `group ${group}`, entry: this.groups[group] });
+            }
+        }
+
+        const denied = entries.find(({ entry }) => entry.deny && matchesAny(clientIp, entry.deny));
+        if (denied) {
+            return { allowed: false, reason: `${clientIp} is denied for ${denied.subject}` };
+        }
+        const allowLists = entries.filter(({ entry }) => entry.allow);
+        if (allowLists.length > 0 && !allowLists.some(({ entry }) => matchesAny(clientIp, entry.allow))) {
+            return {
+                allowed: false,
+                reason: `${clientIp} is not in the allowed networks of ${allowLists.map(({ subject }) => subject).join(', ')}`
+            };
+        }
+        return { allowed: true, reason: null };
+    }
+};
+
+module.exports = sourceAddresses;
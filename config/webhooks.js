@@ -0,0 +1,24 @@
+"use strict";
+
+const webhooks = {
+    // Endpoints notified of file events, each delivery is a signed JSON POST
+    // id: names the endpoint in the retry queue and logs, must be unique
+    // url: http or https URL receiving the notifications
+    // secret: key of the HMAC-SHA256 signature in the X-Webhook-Signature header
+    // events: upload, delete, rename and/or download (all of them if omitted)
+    // subjects: "*", "user:<name>" or "group:<name>" of the access policy (everyone if omitted)
+    // paths: globs matched against the client path, "/invoices/**" (every path if omitted);
+    //        a rename matches if either its old or its new path does
+    endpoints: [
+        // {
+        //     id: 'erp-invoices',
+        //     url: 'https://erp.example.com/hooks/sftp',
+        //     secret: process.env.ERP_WEBHOOK_SECRET,
+        //     events: ['upload', 'rename'],
+        //     subjects: ['group:suppliers'],
+        //     paths: ['/invoices/**']
+        // }
+    ]
+};
+
+module.exports = webhooks;
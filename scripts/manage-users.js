@@ -0,0 +1,75 @@
+'use strict';
+
+const { S3Client } = require('@aws-sdk/client-s3');
+const CredentialStore = require('../src/auth/credential-store');
+const config = require('../config/config');
+
+const USAGE = `Usage:
+  node scripts/manage-users.js add <username> <password> [description]
+  node scripts/manage-users.js list
+  node scripts/manage-users.js change-password <username> <new-password>
+  node scripts/manage-users.js remove <username>`;
+
+const store = new CredentialStore(new S3Client({ region: config.s3.region }), config.s3.bucket, {
+  prefix: config.auth.credentialsPrefix,
+  hashParams: config.auth.passwordHash,
+  migrateLegacy: config.auth.migrateLegacyCredentials
+});
+
+async function main(args) {
+  const [command, username, ...rest] = args;
+
+  switch (command) {
+    case 'add': {
+      const [password, description] = rest;
+      if (!username || !password) {
+        throw new Error(USAGE);
+      }
+      if (await store.getRecord(username)) {
+        throw new Error(`User ${username} already exists`);
+      }
+      await store.setPassword(username, password, description || '');
+      console.log(`User ${username} added`);
+      break;
+    }
+    case 'list': {
+      const usernames = await store.listUsers();
+      for (const name of usernames) {
+        const record = await store.getRecord(name);
+        console.log(`${name}${record && record.description ? ` - ${record.description}` : ''}`);
+      }
+      console.log(`${usernames.length} user(s)`);
+      break;
+    }
+    case 'change-password': {
+      const [newPassword] = rest;
+      if (!username || !newPassword) {
+        throw new Error(USAGE);
+      }
+      if (!await store.getRecord(username)) {
+        throw new Error(`User ${username} does not exist`);
+      }
+      await store.setPassword(username, newPassword);
+      console.log(`Password changed for ${username}`);
+      break;
+    }
+    case 'remove': {
+      if (!username) {
+        throw new Error(USAGE);
+      }
+      if (!await store.getRecord(username)) {
+        throw new Error(`User ${username} does not exist`);
+      }
+      await store.deleteUser(username);
+      console.log(`User ${username} removed`);
+      break;
+    }
+    default:
+      throw new Error(USAGE);
+  }
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,201 @@
+'use strict';
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * Local HTTP API for operators to inspect and manage an SFTPS3Server
+ *
+ * Every request must carry `Authorization: Bearer <token>`. Routes:
+ *
+ *   GET    /sessions                   List sessions, optionally ?username=
+ *   GET    /sessions/:id               Show one session
+ *   DELETE /sessions/:id               Disconnect one session
+ *   DELETE /users/:username/sessions   Disconnect every session of a user
+ *   GET    /limits                     Show connection limits and their use
+ *   GET    /lockouts                   List usernames and addresses locked out after failed logins
+ *   DELETE /lockouts                   Lift every lockout
+ *   DELETE /lockouts/:scope/:key       Lift the lockout of a username (user) or address (ip)
+ *   POST   /reload                     Reload the access policy file
+ *
+ * Only the access policy can be reloaded. Mounts, quotas, source address
+ * lists, webhook endpoints and config.js are read at startup and need a
+ * restart.
+ *
+ * Responses are JSON; errors look like { "error": "..." }.
+ */
+class AdminApi {
+  /**
+   * @param {SFTPS3Server} server - The server to manage
+   * @param {Object} options - API settings
+   * @param {string} options.token - Bearer token clients must present
+   */
+  constructor(server, options = {}) {
+    if (!options.token) {
+      throw new Error('The admin API needs a token (set ADMIN_API_TOKEN)');
+    }
+    this.server = server;
+    this.token = Buffer.from(String(options.token));
+    this.httpServer = null;
+    this.routes = [
+      { method: 'GET', pattern: /^\/sessions$/, handler: (req, res, params, query) => this._listSessions(res, query) },
+      { method: 'GET', pattern: /^\/sessions\/([^/]+)$/, handler: (req, res, params) => this._showSession(res, params[0]) },
+      { method: 'DELETE', pattern: /^\/sessions\/([^/]+)$/, handler: (req, res, params) => this._disconnectSession(res, params[0]) },
+      { method: 'DELETE', pattern: /^\/users\/([^/]+)\/sessions$/, handler: (req, res, params) => this._disconnectUser(res, params[0]) },
+      { method: 'GET', pattern: /^\/limits$/, handler: (req, res) => this._send(res, 200, this.server.getConnectionLimits()) },
+      { method: 'GET', pattern: /^\/lockouts$/, handler: (req, res) => this._send(res, 200, { lockouts: this.server.getLockouts() }) },
+      { method: 'DELETE', pattern: /^\/lockouts$/, handler: (req, res) => this._send(res, 200, { cleared: this.server.clearLockouts() }) },
+      { method: 'DELETE', pattern: /^\/lockouts\/(user|ip)\/([^/]+)$/, handler: (req, res, params) => this._clearLockout(res, params[0], params[1]) },
+      { method: 'POST', pattern: /^\/reload$/, handler: (req, res) => this._reload(res) }
+    ];
+  }
+
+  /**
+   * Start serving the API
+   * @param {number} port - Port to listen on
+   * @param {string} host - Address to bind
+   * @param {Function} [callback] - Called with the bound port once listening
+   */
+  listen(port, host, callback) {
+    this.httpServer = http.createServer((req, res) => this._handle(req, res));
+    this.httpServer.listen(port, host, () => {
+      if (callback) {
+        callback(this.httpServer.address().port);
+      }
+    });
+  }
+
+  /**
+   * Stop serving the API
+   * @param {Function} [callback] - Called once the HTTP server is closed
+   */
+  close(callback) {
+    if (this.httpServer) {
+      this.httpServer.close(callback);
+      this.httpServer = null;
+    } else if (callback) {
+      process.nextTick(callback);
+    }
+  }
+
+  /**
+   * Check the bearer token of a request in constant time
+   * @param {http.IncomingMessage} req - The request
+   * @returns {boolean} - True if the token matches
+   */
+  _authorized(req) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match) {
+      return false;
+    }
+    const presented = Buffer.from(match[1].trim());
+    return presented.length === this.token.length && crypto.timingSafeEqual(presented, this.token);
+  }
+
+  _handle(req, res) {
+    if (!this._authorized(req)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return this._send(res, 401, { error: 'Unauthorized' });
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const candidates = this.routes.filter(route => route.pattern.test(url.pathname));
+    if (candidates.length === 0) {
+      return this._send(res, 404, { error: `No route for ${url.pathname}` });
+    }
+    const route = candidates.find(candidate => candidate.method === req.method);
+    if (!route) {
+      res.setHeader('Allow', candidates.map(candidate => candidate.method).join(', '));
+      return this._send(res, 405, { error: `${req.method} is not allowed on ${url.pathname}` });
+    }
+
+    let params;
+    try {
+      params = route.pattern.exec(url.pathname).slice(1).map(decodeURIComponent);
+    } catch (err) {
+      return this._send(res, 400, { error: `Malformed escape in ${url.pathname}` });
+    }
+
+    if (req.method !== 'GET') {
+      this.server.logger.info('Admin API request', { method: req.method, path: url.pathname, remoteAddress: req.socket.remoteAddress });
+    }
+    try {
+      route.handler(req, res, params, url.searchParams);
+    } catch (err) {
+      this.server.logger.error('Admin API request failed', { method: req.method, path: url.pathname, error: err });
+      this._send(res, 500, { error: err.message });
+    }
+  }
+
+  _send(res, status, body) {
+    const text = JSON.stringify(body) + '\n';
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(text) });
+    res.end(text);
+  }
+
+  _listSessions(res, query) {
+    const username = query.get('username');
+    const sessions = this.server.getActiveConnections()
+      .filter(session => !username || session.username === username);
+    this._send(res, 200, { sessions: sessions });
+  }
+
+  _showSession(res, sessionId) {
+    const session = this.server.getActiveConnections().find(candidate => candidate.sessionId === sessionId);
+    if (!session) {
+      return this._send(res, 404, { error: `No session ${sessionId}` });
+    }
+    this._send(res, 200, session);
+  }
+
+  _disconnectSession(res, sessionId) {
+    if (!this.server.disconnectSession(sessionId, 'admin')) {
+      return this._send(res, 404, { error: `No session ${sessionId}` });
+    }
+    this._send(res, 200, { disconnected: [sessionId] });
+  }
+
+  _disconnectUser(res, username) {
+    const sessionIds = this.server.getActiveConnections()
+      .filter(session => session.username === username)
+      .map(session => session.sessionId)
+      .filter(sessionId => this.server.disconnectSession(sessionId, 'admin'));
+    if (sessionIds.length === 0) {
+      return this._send(res, 404, { error: `User ${username} has no sessions` });
+    }
+    this._send(res, 200, { disconnected: sessionIds });
+  }
+
+  _clearLockout(res, scope, key) {
+    const cleared = this.server.clearLockouts(scope, key);
+    if (cleared === 0) {
+      return this._send(res, 404, { error: `No failed logins recorded for ${scope} ${key}` });
+    }
+    this._send(res, 200, { cleared: cleared });
+  }
+
+  _reload(res) {
+    // The reload reports its failure through a synchronous event
+    let error;
+    const onError = (data) => {
+      error = data.error;
+    };
+    this.server.on('access-policy-error', onError);
+    let reloaded;
+    try {
+      reloaded = this.server.reloadAccessPolicy();
+    } finally {
+      this.server.removeListener('access-policy-error', onError);
+    }
+    const policy = this.server.accessControl.policy;
+    this._send(res, reloaded ? 200 : 422, {
+      accessPolicy: {
+        reloaded: reloaded,
+        file: this.server.accessControl.file,
+        rules: policy ? policy.rules.length : 0,
+        error: error
+      }
+    });
+  }
+}
+
+module.exports = AdminApi;
@@ -0,0 +1,170 @@
+'use strict';
+const { timingSafeEqual } = require('crypto');
+const { utils } = require('ssh2');
+const { matchesAny } = require('./ip-match');
+
+/**
+ * Parse an OpenSSH expiry-time value (YYYYMMDD[HHMM[SS]], optional trailing Z
+ * for UTC) or any date string understood by Date.parse
+ * @param {string} value - The expiry value
+ * @returns {Date|null} - The expiry date, or null if the value is invalid
+ */
+function parseExpiry(value) {
+  if (!value) {
+    return null;
+  }
+  const text = String(value).trim();
+  const match = /^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?)?(Z)?$/i.exec(text);
+  if (match) {
+    const parts = [
+      parseInt(match[1], 10),
+      parseInt(match[2], 10) - 1,
+      parseInt(match[3], 10),
+      parseInt(match[4] || '0', 10),
+      parseInt(match[5] || '0', 10),
+      parseInt(match[6] || '0', 10)
+    ];
+    return match[7] ? new Date(Date.UTC(...parts)) : new Date(...parts);
+  }
+  const timestamp = Date.parse(text);
+  return isNaN(timestamp) ? null : new Date(timestamp);
+}
+
+/**
+ * Split the leading options field of an authorized_keys line
+ * @param {string} line - The authorized_keys line
+ * @returns {{options: string, rest: string}} - The options text and the remainder
+ */
+function splitOptions(line) {
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '\\' && inQuotes) {
+      i++;
+    } else if (ch === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (ch === ' ' || ch === '\t')) {
+      return { options: line.substring(0, i), rest: line.substring(i).trim() };
+    }
+  }
+  return { options: '', rest: line };
+}
+
+/**
+ * Parse a comma separated OpenSSH options list into name/value pairs
+ * @param {string} text - The options text
+ * @returns {Object} - Map of lower-case option names to values (true for flags)
+ */
+function parseOptions(text) {
+  const options = {};
+  const regex = /([A-Za-z0-9-]+)(?:="((?:[^"\\]|\\.)*)")?(?:,|$)/g;
+  let match;
+  while ((match = regex.exec(text)) !== null && match[0] !== '') {
+    options[match[1].toLowerCase()] = match[2] !== undefined ? match[2].replace(/\\"/g, '"') : true;
+  }
+  return options;
+}
+
+/**
+ * Build a key entry from a public key string and its restrictions
+ * @param {Object} spec - The entry spec
+ * @param {string} spec.key - Public key in OpenSSH format ("ssh-ed25519 AAAA... comment")
+ * @param {string|Date} [spec.expires] - Date after which the key is no longer accepted
+ * @param {Array<string>|string} [spec.from] - Source address patterns the key may be used from
+ * @returns {Object|null} - The key entry, or null if the key cannot be parsed
+ */
+function createKeyEntry(spec) {
+  const parsed = utils.parseKey(spec.key);
+  if (!parsed || parsed instanceof Error) {
+    return null;
+  }
+  const key = Array.isArray(parsed) ? parsed[0] : parsed;
+  const from = typeof spec.from === 'string' ? spec.from.split(',') : spec.from;
+
+  return {
+    key: key,
+    comment: spec.comment || key.comment || '',
+    expiresAt: spec.expires instanceof Date ? spec.expires : parseExpiry(spec.expires),
+    from: from && from.length > 0 ? from.map(p => p.trim()) : null
+  };
+}
+
+/**
+ * Parse a single authorized_keys line
+ * Supports the OpenSSH "expiry-time" and "from" options
+ * @param {string} line - The authorized_keys line
+ * @returns {Object|null} - The key entry, or null for blank, comment or invalid lines
+ */
+function parseAuthorizedKeyLine(line) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.startsWith('#')) {
+    return null;
+  }
+
+  // Lines without options start directly with the key type
+  const hasOptions = !/^(ssh-|ecdsa-|sk-)/.test(trimmed);
+  const { options, rest } = hasOptions ? splitOptions(trimmed) : { options: '', rest: trimmed };
+  const parsedOptions = parseOptions(options);
+
+  return createKeyEntry({
+    key: rest,
+    expires: parsedOptions['expiry-time'],
+    from: parsedOptions.from
+  });
+}
+
+/**
+ * Parse the contents of an authorized_keys file
+ * @param {string} text - The file contents
+ * @returns {Array<Object>} - The key entries, invalid lines are skipped
+ */
+function parseAuthorizedKeys(text) {
+  return String(text)
+    .split(/\r?\n/)
+    .map(parseAuthorizedKeyLine)
+    .filter(entry => entry !== null);
+}
+
+/**
+ * Find the entry whose public key matches the key offered by the client
+ * @param {Array<Object>} entries - The user's key entries
+ * @param {{algo: string, data: Buffer}} offeredKey - The key from the auth context
+ * @returns {Object|null} - The matching entry, or null
+ */
+function findAuthorizedKey(entries, offeredKey) {
+  for (const entry of entries) {
+    const publicSSH = entry.key.getPublicSSH();
+    if (entry.key.type === offeredKey.algo &&
+        publicSSH.length === offeredKey.data.length &&
+        timingSafeEqual(publicSSH, offeredKey.data)) {
+      return entry;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check the per-key restrictions of an entry
+ * @param {Object} entry - The key entry
+ * @param {string} clientIp - The client's address
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {string|null} - Reason the key may not be used, or null if it may
+ */
+function checkKeyRestrictions(entry, clientIp, now = Date.now()) {
+  if (entry.expiresAt && entry.expiresAt.getTime() <= now) {
+    return `key expired at ${entry.expiresAt.toISOString()}`;
+  }
+  if (entry.from && !matchesAny(clientIp, entry.from)) {
+    return `key not allowed from ${clientIp}`;
+  }
+  return null;
+}
+
+module.exports = {
+  parseExpiry,
+  createKeyEntry,
+  parseAuthorizedKeyLine,
+  parseAuthorizedKeys,
+  findAuthorizedKey,
+  checkKeyRestrictions
+};
@@ -0,0 +1,217 @@
+'use strict';
+const util = require('util');
+const { GetObjectCommand, PutObjectCommand, DeleteObjectCommand, HeadObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+const { HASH_ALGORITHM, hashPassword, verifyPasswordHash, dummyVerify } = require('./password-hash');
+
+// Usernames are part of S3 keys, these characters can't reach outside the prefix
+const USERNAME_PATTERN = /^[A-Za-z0-9_@][A-Za-z0-9._@-]{0,127}$/;
+
+/**
+ * Stores one salted scrypt password hash per user as a JSON object in S3
+ * Records live under `${prefix}${username}.json` and never contain the
+ * password itself, so it no longer appears in key names, listings or logs
+ */
+class CredentialStore {
+  /**
+   * @param {S3Client} s3Client - The S3 client
+   * @param {string} bucketName - The bucket holding the records
+   * @param {Object} options - Store options
+   * @param {string} options.prefix - Key prefix for credential records
+   * @param {Object} options.hashParams - scrypt parameters (N, r, p, keyLength, saltLength)
+   * @param {boolean} options.migrateLegacy - Convert legacy `auth/${username}_${password}` objects on login
+   * @param {Function} [options.log] - Logging function
+   */
+  constructor(s3Client, bucketName, options) {
+    this.s3Client = s3Client;
+    this.bucketName = bucketName;
+    this.prefix = options.prefix;
+    this.hashParams = options.hashParams;
+    this.migrateLegacy = options.migrateLegacy;
+    this._log = options.log || (() => {});
+  }
+
+  /**
+   * Check whether a username can be stored
+   * @param {string} username - The username
+   * @returns {boolean} - True if it only has letters, digits, '.', '_', '@' and '-'
+   */
+  static isValidUsername(username) {
+    return typeof username === 'string' && USERNAME_PATTERN.test(username);
+  }
+
+  /**
+   * Get the S3 key of a user's credential record
+   * @param {string} username - The username
+   * @returns {string} - The record key
+   * @throws {Error} - If the username is not valid
+   */
+  _recordKey(username) {
+    if (!CredentialStore.isValidUsername(username)) {
+      throw new Error(`Invalid username ${JSON.stringify(username)}: use letters, digits, '.', '_', '@' and '-', not starting with '.' or '-'`);
+    }
+    return `${this.prefix}${username}.json`;
+  }
+
+  /**
+   * Load a user's credential record
+   * @param {string} username - The username
+   * @returns {Promise<Object|null>} - The record, or null if the user has none
+   * @throws {Error} - If the username is not valid
+   */
+  async getRecord(username) {
+    const key = this._recordKey(username);
+    try {
+      const response = await this.s3Client.send(new GetObjectCommand({
+        Bucket: this.bucketName,
+        Key: key
+      }));
+      return JSON.parse(await response.Body.transformToString());
+    } catch (err) {
+      if (err.name === 'NoSuchKey' || err.name === 'NotFound') {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Create or replace a user's password
+   * @param {string} username - The username
+   * @param {string} password - The new password
+   * @param {string} [description] - Optional description, kept from the existing record if omitted
+   * @returns {Promise<void>}
+   * @throws {Error} - If the username is not valid
+   */
+  async setPassword(username, password, description) {
+    const key = this._recordKey(username);
+    const existing = await this.getRecord(username);
+    const hashed = await hashPassword(password, this.hashParams);
+    const now = new Date().toISOString();
+
+    const record = {
+      username: username,
+      description: description !== undefined ? description : (existing && existing.description) || '',
+      ...hashed,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+
+    await this.s3Client.send(new PutObjectCommand({
+      Bucket: this.bucketName,
+      Key: key,
+      Body: JSON.stringify(record),
+      ContentType: 'application/json'
+    }));
+    this._log(util.format('Stored password hash for user %s', username));
+  }
+
+  /**
+   * Remove a user's credential record
+   * @param {string} username - The username
+   * @returns {Promise<void>}
+   */
+  async deleteUser(username) {
+    await this.s3Client.send(new DeleteObjectCommand({
+      Bucket: this.bucketName,
+      Key: this._recordKey(username)
+    }));
+  }
+
+  /**
+   * List the usernames that have a credential record
+   * @returns {Promise<Array<string>>} - The usernames
+   */
+  async listUsers() {
+    const usernames = [];
+    let continuationToken;
+    do {
+      const response = await this.s3Client.send(new ListObjectsV2Command({
+        Bucket: this.bucketName,
+        Prefix: this.prefix,
+        ContinuationToken: continuationToken
+      }));
+      for (const obj of response.Contents || []) {
+        if (obj.Key.endsWith('.json')) {
+          usernames.push(obj.Key.substring(this.prefix.length, obj.Key.length - 5));
+        }
+      }
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+    return usernames;
+  }
+
+  /**
+   * Check a user's password and return the matching record
+   * Users without a record are checked against the legacy `auth/` objects
+   * and migrated to a hashed record on the first successful login. Invalid
+   * usernames are reported as not found
+   * @param {string} username - The username
+   * @param {string} password - The password to verify
+   * @returns {Promise<{found: boolean, valid: boolean, record: Object|null}>} - The check result
+   */
+  async checkPassword(username, password) {
+    if (!CredentialStore.isValidUsername(username)) {
+      await dummyVerify(password, this.hashParams);
+      return { found: false, valid: false, record: null };
+    }
+    const record = await this.getRecord(username);
+
+    if (!record) {
+      await dummyVerify(password, this.hashParams);
+      if (this.migrateLegacy && await this._migrateLegacyCredentials(username, password)) {
+        return { found: true, valid: true, record: await this.getRecord(username) };
+      }
+      return { found: false, valid: false, record: null };
+    }
+
+    if (record.algorithm !== HASH_ALGORITHM) {
+      this._log(util.format('Unsupported hash algorithm %s for user %s', record.algorithm, username));
+      return { found: true, valid: false, record: record };
+    }
+
+    const valid = await verifyPasswordHash(password, record);
+    return { found: true, valid: valid, record: record };
+  }
+
+  /**
+   * Verify a user's password
+   * @param {string} username - The username
+   * @param {string} password - The password to verify
+   * @returns {Promise<boolean>} - True if the password is correct
+   */
+  async verifyPassword(username, password) {
+    const result = await this.checkPassword(username, password);
+    return result.valid;
+  }
+
+  /**
+   * Convert a legacy `auth/${username}_${password}` object into a hashed record
+   * @param {string} username - The username
+   * @param {string} password - The password offered by the client
+   * @returns {Promise<boolean>} - True if a legacy object existed and was migrated
+   */
+  async _migrateLegacyCredentials(username, password) {
+    const legacyKey = `auth/${username}_${password}`;
+    try {
+      await this.s3Client.send(new HeadObjectCommand({
+        Bucket: this.bucketName,
+        Key: legacyKey
+      }));
+    } catch (err) {
+      if (err.name === 'NotFound') {
+        return false;
+      }
+      throw err;
+    }
+
+    await this.setPassword(username, password);
+    await this.s3Client.send(new DeleteObjectCommand({
+      Bucket: this.bucketName,
+      Key: legacyKey
+    }));
+    this._log(util.format('Migrated legacy credentials for user %s to hashed record', username));
+    return true;
+  }
+}
+
+module.exports = CredentialStore;
@@ -0,0 +1,89 @@
+'use strict';
+const net = require('net');
+
+/**
+ * Normalize a socket address so IPv4 clients connecting over a dual-stack
+ * socket (e.g. "::ffff:10.0.0.5") are matched as plain IPv4 addresses
+ * @param {string} ip - The address to normalize
+ * @returns {string} - The normalized address
+ */
+function normalizeIp(ip) {
+  if (typeof ip !== 'string') {
+    return '';
+  }
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  return mapped ? mapped[1] : ip;
+}
+
+/**
+ * Check if an address matches a single pattern
+ * Supported patterns: exact address, CIDR block (IPv4 or IPv6) and
+ * OpenSSH-style wildcards using '*' and '?'
+ * @param {string} ip - The client address
+ * @param {string} pattern - The pattern to match against
+ * @returns {boolean} - True if the address matches
+ */
+function ipMatches(ip, pattern) {
+  const address = normalizeIp(ip);
+  const family = net.isIP(address);
+  if (!family || !pattern) {
+    return false;
+  }
+
+  if (pattern.includes('*') || pattern.includes('?')) {
+    const regex = new RegExp('^' + pattern
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.') + '$', 'i');
+    return regex.test(address);
+  }
+
+  const [base, prefixText] = pattern.split('/');
+  const baseAddress = normalizeIp(base);
+  const baseFamily = net.isIP(baseAddress);
+  if (!baseFamily || baseFamily !== family) {
+    return false;
+  }
+
+  const type = family === 6 ? 'ipv6' : 'ipv4';
+  const blockList = new net.BlockList();
+  if (prefixText === undefined) {
+    blockList.addAddress(baseAddress, type);
+  } else {
+    const prefix = parseInt(prefixText, 10);
+    if (isNaN(prefix) || prefix < 0 || prefix > (family === 6 ? 128 : 32)) {
+      return false;
+    }
+    blockList.addSubnet(baseAddress, prefix, type);
+  }
+  return blockList.check(address, type);
+}
+
+/**
+ * Check an address against a pattern list
+ * Patterns prefixed with '!' are negations: a matching negation rejects the
+ * address even if another pattern in the list matches it
+ * @param {string} ip - The client address
+ * @param {Array<string>} patterns - The patterns to match against
+ * @returns {boolean} - True if the address matches the list
+ */
+function matchesAny(ip, patterns) {
+  let matched = false;
+  for (const raw of patterns || []) {
+    const pattern = String(raw).trim();
+    if (pattern.startsWith('!')) {
+      if (ipMatches(ip, pattern.substring(1))) {
+        return false;
+      }
+    } else if (ipMatches(ip, pattern)) {
+      matched = true;
+    }
+  }
+  return matched;
+}
+
+module.exports = {
+  normalizeIp,
+  ipMatches,
+  matchesAny
+};
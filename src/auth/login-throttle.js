@@ -0,0 +1,153 @@
+'use strict';
+
+/**
+ * Failed login tracking with back-off delays and temporary lockouts
+ *
+ * Failures are counted separately per username and per client address.
+ * Each failure delays the rejection by `baseDelay * 2^(failures - 1)`
+ * milliseconds, up to `maxDelay`. Once a username or address reaches its
+ * threshold within `failureWindow` it is locked out for `lockoutDuration`
+ * and further attempts are refused without checking credentials. A
+ * successful login clears the failures of its username.
+ */
+class LoginThrottle {
+  /**
+   * @param {Object} [options] - Thresholds and timings
+   * @param {number} [options.maxFailuresPerUser] - Failures that lock a username out (0 never)
+   * @param {number} [options.maxFailuresPerIp] - Failures that lock an address out (0 never)
+   * @param {number} [options.failureWindow] - Milliseconds after the last failure before the count restarts
+   * @param {number} [options.lockoutDuration] - Milliseconds a lockout lasts
+   * @param {number} [options.baseDelay] - Delay in milliseconds after the first failure (0 never delays)
+   * @param {number} [options.maxDelay] - Longest delay in milliseconds
+   */
+  constructor(options = {}) {
+    this.limits = {
+      user: options.maxFailuresPerUser || 0,
+      ip: options.maxFailuresPerIp || 0
+    };
+    this.failureWindow = options.failureWindow || 0;
+    this.lockoutDuration = options.lockoutDuration || 0;
+    this.baseDelay = options.baseDelay || 0;
+    this.maxDelay = options.maxDelay || 0;
+    this.entries = new Map(); // "user:<name>" or "ip:<address>" -> { scope, key, failures, lastFailure, lockedUntil }
+  }
+
+  /**
+   * Get the tracking entry of a username or address, dropping it once stale
+   * @param {string} scope - 'user' or 'ip'
+   * @param {string} key - The username or address
+   * @param {number} now - The current time
+   * @returns {Object|null} - The entry
+   */
+  _entry(scope, key, now) {
+    const entry = this.entries.get(`${scope}:${key}`);
+    if (entry && entry.lockedUntil <= now && now - entry.lastFailure > this.failureWindow) {
+      this.entries.delete(`${scope}:${key}`);
+      return null;
+    }
+    return entry || null;
+  }
+
+  /**
+   * Drop every stale entry
+   * @param {number} now - The current time
+   */
+  _prune(now) {
+    for (const entry of [...this.entries.values()]) {
+      this._entry(entry.scope, entry.key, now);
+    }
+  }
+
+  /**
+   * Find an active lockout of a username or address
+   * @param {string} username - The username
+   * @param {string} clientIp - The client address
+   * @returns {Object|null} - { scope, key, failures, lockedUntil } or null if neither is locked out
+   */
+  lockout(username, clientIp) {
+    const now = Date.now();
+    for (const [scope, key] of [['user', username], ['ip', clientIp]]) {
+      const entry = key ? this._entry(scope, key, now) : null;
+      if (entry && entry.lockedUntil > now) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Count a failed login
+   * @param {string} username - The username
+   * @param {string} clientIp - The client address
+   * @returns {{delay: number, lockouts: Array<Object>}} - How long to hold back the
+   *   rejection and the lockouts this failure started
+   */
+  failure(username, clientIp) {
+    const now = Date.now();
+    const lockouts = [];
+    // Usernames sprayed by a scanner are only looked up once, drop them when stale
+    if (this.entries.size > 1000) {
+      this._prune(now);
+    }
+    let failures = 0;
+    for (const [scope, key] of [['user', username], ['ip', clientIp]]) {
+      if (!key) {
+        continue;
+      }
+      let entry = this._entry(scope, key, now);
+      if (!entry) {
+        entry = { scope: scope, key: key, failures: 0, lastFailure: 0, lockedUntil: 0 };
+        this.entries.set(`${scope}:${key}`, entry);
+      }
+      entry.failures++;
+      entry.lastFailure = now;
+      failures = Math.max(failures, entry.failures);
+      if (this.limits[scope] > 0 && entry.failures >= this.limits[scope] && entry.lockedUntil <= now) {
+        entry.lockedUntil = now + this.lockoutDuration;
+        lockouts.push(Object.assign({}, entry));
+      }
+    }
+    const delay = this.baseDelay > 0 ? Math.min(this.baseDelay * Math.pow(2, failures - 1), this.maxDelay || Infinity) : 0;
+    return { delay: delay, lockouts: lockouts };
+  }
+
+  /**
+   * Clear the failures of a username after a successful login
+   * Address failures are kept, so one valid account doesn't reset an address guessing others
+   * @param {string} username - The username
+   */
+  success(username) {
+    this.entries.delete(`user:${username}`);
+  }
+
+  /**
+   * List active lockouts
+   * @returns {Array<Object>} - { scope, key, failures, lastFailure, lockedUntil } for each lockout
+   */
+  list() {
+    const now = Date.now();
+    this._prune(now);
+    return [...this.entries.values()]
+      .filter(entry => entry.lockedUntil > now)
+      .map(entry => Object.assign({}, entry));
+  }
+
+  /**
+   * Lift lockouts and forget failures
+   * @param {string} [scope] - 'user' or 'ip', everything if omitted
+   * @param {string} [key] - The username or address, every entry of the scope if omitted
+   * @returns {number} - Number of entries cleared
+   */
+  clear(scope, key) {
+    let cleared = 0;
+    for (const [id, entry] of [...this.entries]) {
+      if ((!scope || entry.scope === scope) && (key === undefined || entry.key === key)) {
+        this.entries.delete(id);
+        cleared++;
+      }
+    }
+    return cleared;
+  }
+}
+
+module.exports = LoginThrottle;
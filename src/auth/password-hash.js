@@ -0,0 +1,74 @@
+'use strict';
+const crypto = require('crypto');
+const util = require('util');
+
+const scrypt = util.promisify(crypto.scrypt);
+
+const HASH_ALGORITHM = 'scrypt';
+
+/**
+ * Derive an scrypt hash
+ * @param {string} password - The password
+ * @param {Buffer} salt - The salt
+ * @param {Object} params - scrypt parameters (N, r, p, keyLength)
+ * @returns {Promise<Buffer>} - The derived hash
+ */
+function deriveHash(password, salt, params) {
+  return scrypt(password, salt, params.keyLength, {
+    N: params.N,
+    r: params.r,
+    p: params.p,
+    maxmem: 256 * params.N * params.r
+  });
+}
+
+/**
+ * Hash a password with a fresh random salt
+ * @param {string} password - The password
+ * @param {Object} params - scrypt parameters (N, r, p, keyLength, saltLength)
+ * @returns {Promise<Object>} - Hash fields: algorithm, params, salt and hash (base64)
+ */
+async function hashPassword(password, params) {
+  const salt = crypto.randomBytes(params.saltLength);
+  const hash = await deriveHash(password, salt, params);
+  return {
+    algorithm: HASH_ALGORITHM,
+    params: { N: params.N, r: params.r, p: params.p, keyLength: params.keyLength },
+    salt: salt.toString('base64'),
+    hash: hash.toString('base64')
+  };
+}
+
+/**
+ * Verify a password against stored hash fields using a constant-time comparison
+ * @param {string} password - The password to verify
+ * @param {Object} stored - Hash fields as returned by hashPassword
+ * @returns {Promise<boolean>} - True if the password matches
+ */
+async function verifyPasswordHash(password, stored) {
+  if (!stored || stored.algorithm !== HASH_ALGORITHM) {
+    return false;
+  }
+  const expected = Buffer.from(stored.hash, 'base64');
+  const actual = await deriveHash(password, Buffer.from(stored.salt, 'base64'), stored.params);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Spend the same time as a real verification, for unknown users, so
+ * response times don't reveal which usernames exist
+ * @param {string} password - The password offered by the client
+ * @param {Object} params - scrypt parameters (N, r, p, keyLength, saltLength)
+ * @returns {Promise<boolean>} - Always false
+ */
+async function dummyVerify(password, params) {
+  await deriveHash(password, crypto.randomBytes(params.saltLength), params);
+  return false;
+}
+
+module.exports = {
+  HASH_ALGORITHM,
+  hashPassword,
+  verifyPasswordHash,
+  dummyVerify
+};
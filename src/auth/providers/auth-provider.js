@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * Base class for authentication providers
+ *
+ * A provider receives an authentication request and answers with one of:
+ * - null: no opinion (unknown user or unsupported method), the next provider in the chain is asked
+ * - { ok: false }: credentials rejected, the chain stops
+ * - { ok: true, attributes }: credentials accepted, the chain stops
+ *
+ * `attributes` is optional and may carry per-user session settings:
+ * - home: S3 prefix used as the user's base path (default `${userBasePath}/${username}`)
+ * - permissions: permission settings for the session
+ * - quota: storage quota settings for the session
+ * - idleTimeout: seconds without requests before the session is closed (0 never)
+ * - maxSessions: sessions the user may have open at once (0 unlimited)
+ * Any other fields are kept on `authenticatedUser.attributes`
+ */
+class AuthProvider {
+  /**
+   * @param {string} name - Provider name used in logs
+   * @param {Array<string>} methods - Authentication methods the provider handles ('password', 'publickey')
+   */
+  constructor(name, methods) {
+    this.name = name;
+    this.methods = methods;
+  }
+
+  /**
+   * Check if the provider handles an authentication method
+   * @param {string} method - The authentication method
+   * @returns {boolean} - True if the provider handles the method
+   */
+  handles(method) {
+    return this.methods.includes(method);
+  }
+
+  /**
+   * Authenticate a request
+   * @param {Object} request - The authentication request
+   * @param {string} request.username - The username
+   * @param {string} request.method - 'password' or 'publickey'
+   * @param {string} [request.password] - The password (password method)
+   * @param {Object} [request.key] - The offered key {algo, data} (publickey method)
+   * @param {Buffer} [request.signature] - The signature, absent when the client only queries a key
+   * @param {Buffer} [request.blob] - The signed data
+   * @param {string} [request.hashAlgo] - The signature hash algorithm
+   * @param {string} request.clientIp - The client's address
+   * @returns {Promise<Object|null>} - The authentication result
+   */
+  async authenticate(request) {
+    throw new Error(`Authentication provider ${this.name} does not implement authenticate()`);
+  }
+}
+
+module.exports = AuthProvider;
@@ -0,0 +1,49 @@
+'use strict';
+const util = require('util');
+const AuthProvider = require('./auth-provider');
+const { findAuthorizedKey, checkKeyRestrictions } = require('../authorized-keys');
+
+/**
+ * Public key authentication against the per-user authorized keys
+ * When the client only queries a key (no signature) a matching, usable key
+ * is enough; otherwise the signature over the session data must verify
+ */
+class AuthorizedKeysProvider extends AuthProvider {
+  /**
+   * @param {Object} authorizedKeys - Authorized keys configuration (config/authorized-keys.js)
+   * @param {Function} [log] - Logging function
+   */
+  constructor(authorizedKeys, log) {
+    super('authorized-keys', ['publickey']);
+    this.authorizedKeys = authorizedKeys;
+    this._log = log || (() => {});
+  }
+
+  async authenticate(request) {
+    const entries = await this.authorizedKeys.getAuthorizedKeys(request.username);
+    if (entries.length === 0) {
+      return null;
+    }
+
+    const entry = findAuthorizedKey(entries, request.key);
+    if (!entry) {
+      this._log(util.format('No authorized key of type %s found for user %s', request.key.algo, request.username));
+      return { ok: false };
+    }
+
+    const restriction = checkKeyRestrictions(entry, request.clientIp);
+    if (restriction) {
+      this._log(util.format('Authorized key %s rejected for user %s: %s', entry.comment, request.username, restriction));
+      return { ok: false };
+    }
+
+    if (request.signature && entry.key.verify(request.blob, request.signature, request.hashAlgo) !== true) {
+      this._log(util.format('Invalid public key signature for user %s', request.username));
+      return { ok: false };
+    }
+
+    return { ok: true, attributes: {} };
+  }
+}
+
+module.exports = AuthorizedKeysProvider;
@@ -0,0 +1,151 @@
+'use strict';
+const crypto = require('crypto');
+const fs = require('fs');
+const AuthProvider = require('./auth-provider');
+const { verifyPasswordHash, dummyVerify } = require('../password-hash');
+
+const APR1_ALPHABET = './0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Compute an Apache APR1 (MD5-crypt) hash as produced by `htpasswd -m`
+ * @param {string} password - The password
+ * @param {string} salt - The salt (at most 8 characters are used)
+ * @returns {string} - The hash in `$apr1$salt$digest` form
+ */
+function apr1(password, salt) {
+  const magic = '$apr1$';
+  const pw = Buffer.from(password);
+  salt = salt.substring(0, 8);
+
+  let final = crypto.createHash('md5').update(pw).update(salt).update(pw).digest();
+  const ctx = crypto.createHash('md5').update(pw).update(magic).update(salt);
+  for (let len = pw.length; len > 0; len -= 16) {
+    ctx.update(final.subarray(0, Math.min(len, 16)));
+  }
+  for (let i = pw.length; i; i >>= 1) {
+    ctx.update(i & 1 ? Buffer.alloc(1) : pw.subarray(0, 1));
+  }
+  final = ctx.digest();
+
+  for (let i = 0; i < 1000; i++) {
+    const round = crypto.createHash('md5');
+    round.update(i & 1 ? pw : final);
+    if (i % 3) round.update(salt);
+    if (i % 7) round.update(pw);
+    round.update(i & 1 ? final : pw);
+    final = round.digest();
+  }
+
+  const to64 = (value, count) => {
+    let out = '';
+    while (count--) {
+      out += APR1_ALPHABET[value & 0x3f];
+      value >>= 6;
+    }
+    return out;
+  };
+  const digest =
+    to64((final[0] << 16) | (final[6] << 8) | final[12], 4) +
+    to64((final[1] << 16) | (final[7] << 8) | final[13], 4) +
+    to64((final[2] << 16) | (final[8] << 8) | final[14], 4) +
+    to64((final[3] << 16) | (final[9] << 8) | final[15], 4) +
+    to64((final[4] << 16) | (final[10] << 8) | final[5], 4) +
+    to64(final[11], 2);
+
+  return `${magic}${salt}$${digest}`;
+}
+
+/**
+ * Constant-time string comparison
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} - True if both values are equal
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Password authentication against a local file
+ *
+ * JSON files map usernames to scrypt hash fields (as written by the
+ * credential store) and optional session attributes:
+ *   { "users": { "alice": { "algorithm": "scrypt", "params": {...}, "salt": "...", "hash": "...",
+ *                           "attributes": { "home": "clients/alice" } } } }
+ *
+ * Any other file is read as htpasswd, with `{SHA}` and `$apr1$` hashes
+ * (bcrypt entries are not supported and always fail)
+ */
+class FileProvider extends AuthProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.path - Path to the JSON or htpasswd file
+   * @param {Object} options.hashParams - scrypt parameters used for unknown users
+   */
+  constructor(options) {
+    super('file', ['password']);
+    this.filePath = options.path;
+    this.hashParams = options.hashParams;
+  }
+
+  /**
+   * Load the user entries, the file is re-read so edits apply without a restart
+   * @returns {Promise<Object>} - Map of username to entry
+   */
+  async _loadUsers() {
+    const text = await fs.promises.readFile(this.filePath, 'utf8');
+    if (this.filePath.endsWith('.json')) {
+      return JSON.parse(text).users || {};
+    }
+
+    const users = {};
+    for (const line of text.split(/\r?\n/)) {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) {
+        continue;
+      }
+      const separator = trimmed.indexOf(':');
+      if (separator > 0) {
+        users[trimmed.substring(0, separator)] = { htpasswd: trimmed.substring(separator + 1) };
+      }
+    }
+    return users;
+  }
+
+  /**
+   * Verify a password against an htpasswd hash
+   * @param {string} password - The password
+   * @param {string} hash - The htpasswd hash
+   * @returns {boolean} - True if the password matches
+   */
+  _verifyHtpasswd(password, hash) {
+    if (hash.startsWith('{SHA}')) {
+      const digest = crypto.createHash('sha1').update(password).digest('base64');
+      return safeEqual(`{SHA}${digest}`, hash);
+    }
+    if (hash.startsWith('$apr1$')) {
+      const salt = hash.substring(6).split('$')[0];
+      return safeEqual(apr1(password, salt), hash);
+    }
+    return false;
+  }
+
+  async authenticate(request) {
+    const users = await this._loadUsers();
+    const entry = Object.prototype.hasOwnProperty.call(users, request.username) ? users[request.username] : null;
+    if (!entry) {
+      await dummyVerify(request.password, this.hashParams);
+      return null;
+    }
+
+    const valid = entry.htpasswd !== undefined
+      ? this._verifyHtpasswd(request.password, entry.htpasswd)
+      : await verifyPasswordHash(request.password, entry);
+
+    return valid ? { ok: true, attributes: entry.attributes || {} } : { ok: false };
+  }
+}
+
+module.exports = FileProvider;
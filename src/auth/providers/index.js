@@ -0,0 +1,49 @@
+'use strict';
+
+const AuthProvider = require('./auth-provider');
+const AuthProviderChain = require('./provider-chain');
+const S3CredentialProvider = require('./s3-credential-provider');
+const AuthorizedKeysProvider = require('./authorized-keys-provider');
+const FileProvider = require('./file-provider');
+const WebhookProvider = require('./webhook-provider');
+const LdapProvider = require('./ldap-provider');
+
+/**
+ * Build the provider chain named in the authentication configuration
+ * @param {Object} authConfig - The `auth` section of config.js
+ * @param {Object} deps - Shared dependencies
+ * @param {CredentialStore} deps.credentialStore - The hashed credential store
+ * @param {Object} deps.authorizedKeys - Authorized keys configuration
+ * @param {Function} [deps.log] - Logging function
+ * @returns {AuthProviderChain} - The provider chain
+ */
+function createAuthProviders(authConfig, deps) {
+  const providers = authConfig.providers.map((name) => {
+    switch (name.trim()) {
+      case 's3':
+        return new S3CredentialProvider(deps.credentialStore);
+      case 'authorized-keys':
+        return new AuthorizedKeysProvider(deps.authorizedKeys, deps.log);
+      case 'file':
+        return new FileProvider({ path: authConfig.file.path, hashParams: authConfig.passwordHash });
+      case 'webhook':
+        return new WebhookProvider(authConfig.webhook);
+      case 'ldap':
+        return new LdapProvider(authConfig.ldap);
+      default:
+        throw new Error(`Unknown authentication provider: ${name}`);
+    }
+  });
+  return new AuthProviderChain(providers, deps.log, { fallbacks: authConfig.fallbackProviders });
+}
+
+module.exports = {
+  AuthProvider,
+  AuthProviderChain,
+  S3CredentialProvider,
+  AuthorizedKeysProvider,
+  FileProvider,
+  WebhookProvider,
+  LdapProvider,
+  createAuthProviders
+};
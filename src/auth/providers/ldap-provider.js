@@ -0,0 +1,88 @@
+'use strict';
+const AuthProvider = require('./auth-provider');
+
+/**
+ * Escape a value for use inside an LDAP distinguished name (RFC 4514)
+ * @param {string} value - The value to escape
+ * @returns {string} - The escaped value
+ */
+function escapeDnValue(value) {
+  return String(value)
+    .replace(/[\\,+"<>;=]/g, '\\$&')
+    .replace(/^[ #]/, '\\$&')
+    .replace(/ $/, '\\ ');
+}
+
+/**
+ * Password authentication by binding to an LDAP directory as the user
+ * Requires the optional `ldapts` package (`npm install ldapts`)
+ *
+ * After a successful bind, the user's entry can be read to fill session
+ * attributes, e.g. `attributeMap: { home: 'sftpHomePath', quota: 'sftpQuotaBytes' }`
+ */
+class LdapProvider extends AuthProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.url - LDAP server URL (ldap:// or ldaps://)
+   * @param {string} options.userDnTemplate - DN template, `{username}` is replaced with the escaped username
+   * @param {Object} [options.attributeMap] - Map of session attribute name to LDAP attribute name
+   * @param {number} options.timeout - Operation timeout in milliseconds
+   */
+  constructor(options) {
+    super('ldap', ['password']);
+    this.url = options.url;
+    this.userDnTemplate = options.userDnTemplate;
+    this.attributeMap = options.attributeMap || {};
+    this.timeout = options.timeout;
+  }
+
+  /**
+   * Create an LDAP client, loading the optional dependency on first use
+   * @returns {Object} - The ldapts client
+   */
+  _createClient() {
+    let ldapts;
+    try {
+      ldapts = require('ldapts');
+    } catch (err) {
+      throw new Error('LDAP authentication requires the ldapts package (npm install ldapts)');
+    }
+    return new ldapts.Client({ url: this.url, timeout: this.timeout, connectTimeout: this.timeout });
+  }
+
+  async authenticate(request) {
+    const dn = this.userDnTemplate.replace(/\{username\}/g, escapeDnValue(request.username));
+    const client = this._createClient();
+
+    try {
+      try {
+        await client.bind(dn, request.password);
+      } catch (err) {
+        if (err.name === 'InvalidCredentialsError') {
+          return { ok: false };
+        }
+        if (err.name === 'NoSuchObjectError') {
+          return null;
+        }
+        throw err;
+      }
+
+      const attributes = {};
+      const ldapAttributes = Object.values(this.attributeMap);
+      if (ldapAttributes.length > 0) {
+        const { searchEntries } = await client.search(dn, { scope: 'base', attributes: ldapAttributes });
+        const entry = searchEntries[0] || {};
+        for (const [name, ldapName] of Object.entries(this.attributeMap)) {
+          if (entry[ldapName] !== undefined) {
+            attributes[name] = entry[ldapName];
+          }
+        }
+      }
+      return { ok: true, attributes: attributes };
+    } finally {
+      await client.unbind().catch(() => {});
+    }
+  }
+}
+
+module.exports = LdapProvider;
@@ -0,0 +1,56 @@
+'use strict';
+const util = require('util');
+const AuthProvider = require('./auth-provider');
+
+/**
+ * Asks a list of providers in order until one accepts or rejects the request
+ * Providers that don't handle the method or return null are skipped. A
+ * provider that fails with an error ends the chain with that error, so an
+ * outage of e.g. the S3 credential store can't let a stale password in a
+ * later source through; providers named in `fallbacks` are skipped instead
+ */
+class AuthProviderChain extends AuthProvider {
+  /**
+   * @param {Array<AuthProvider>} providers - Providers in the order they are asked
+   * @param {Function} [log] - Logging function
+   * @param {Object} [options] - Chain options
+   * @param {Array<string>} [options.fallbacks] - Names of providers whose errors pass the request to the next provider
+   */
+  constructor(providers, log, options = {}) {
+    super('chain', []);
+    this.providers = providers;
+    this._log = log || (() => {});
+    this.fallbacks = new Set(options.fallbacks || []);
+  }
+
+  handles(method) {
+    return this.providers.some(provider => provider.handles(method));
+  }
+
+  async authenticate(request) {
+    for (const provider of this.providers) {
+      if (!provider.handles(request.method)) {
+        continue;
+      }
+
+      let result;
+      try {
+        result = await provider.authenticate(request);
+      } catch (err) {
+        this._log(util.format('Authentication provider %s failed for user %s: %s', provider.name, request.username, err.message));
+        if (this.fallbacks.has(provider.name)) {
+          continue;
+        }
+        throw err;
+      }
+
+      if (result) {
+        this._log(util.format('Authentication provider %s %s user %s', provider.name, result.ok ? 'accepted' : 'rejected', request.username));
+        return Object.assign({ provider: provider.name }, result);
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = AuthProviderChain;
@@ -0,0 +1,29 @@
+'use strict';
+const AuthProvider = require('./auth-provider');
+
+/**
+ * Password authentication against the hashed credential records in the bucket
+ * An optional `attributes` object in a user's record is passed to the session
+ */
+class S3CredentialProvider extends AuthProvider {
+  /**
+   * @param {CredentialStore} credentialStore - The credential store
+   */
+  constructor(credentialStore) {
+    super('s3', ['password']);
+    this.credentialStore = credentialStore;
+  }
+
+  async authenticate(request) {
+    const result = await this.credentialStore.checkPassword(request.username, request.password);
+    if (!result.found) {
+      return null;
+    }
+    if (!result.valid) {
+      return { ok: false };
+    }
+    return { ok: true, attributes: result.record.attributes || {} };
+  }
+}
+
+module.exports = S3CredentialProvider;
@@ -0,0 +1,117 @@
+'use strict';
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { utils } = require('ssh2');
+const AuthProvider = require('./auth-provider');
+
+/**
+ * Authentication by an HTTP webhook answered by an identity service
+ *
+ * The provider POSTs a JSON body to the configured URL:
+ *   { username, method, clientIp, password }                          (password)
+ *   { username, method, clientIp, publicKey: { algo, data, fingerprint } } (publickey)
+ *
+ * The service answers:
+ *   200 { "ok": true, "attributes": {...} } - accepted
+ *   200 { "ok": false } / 401 / 403         - rejected
+ *   404                                     - unknown user, next provider is asked
+ *
+ * For public keys the service only decides whether the key is authorized,
+ * the signature is verified locally against the offered key
+ */
+class WebhookProvider extends AuthProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.url - Webhook URL
+   * @param {string} [options.token] - Bearer token sent in the Authorization header
+   * @param {number} options.timeout - Request timeout in milliseconds
+   */
+  constructor(options) {
+    super('webhook', ['password', 'publickey']);
+    this.url = new URL(options.url);
+    this.token = options.token;
+    this.timeout = options.timeout;
+  }
+
+  /**
+   * POST a JSON body to the webhook
+   * @param {Object} body - The request body
+   * @returns {Promise<{statusCode: number, body: Object|null}>} - The response
+   */
+  _post(body) {
+    const payload = JSON.stringify(body);
+    const transport = this.url.protocol === 'https:' ? https : http;
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(payload)
+    };
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(this.url, { method: 'POST', headers: headers, timeout: this.timeout }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          const text = Buffer.concat(chunks).toString('utf8');
+          let parsed = null;
+          try {
+            parsed = text ? JSON.parse(text) : null;
+          } catch (err) {
+            // Non-JSON bodies are treated as empty
+          }
+          resolve({ statusCode: res.statusCode, body: parsed });
+        });
+      });
+      req.on('timeout', () => req.destroy(new Error(`Webhook timed out after ${this.timeout}ms`)));
+      req.on('error', reject);
+      req.end(payload);
+    });
+  }
+
+  async authenticate(request) {
+    const body = {
+      username: request.username,
+      method: request.method,
+      clientIp: request.clientIp
+    };
+
+    let offeredKey = null;
+    if (request.method === 'password') {
+      body.password = request.password;
+    } else {
+      offeredKey = utils.parseKey(`${request.key.algo} ${request.key.data.toString('base64')}`);
+      if (!offeredKey || offeredKey instanceof Error) {
+        return { ok: false };
+      }
+      body.publicKey = {
+        algo: request.key.algo,
+        data: request.key.data.toString('base64'),
+        fingerprint: 'SHA256:' + crypto.createHash('sha256').update(request.key.data).digest('base64').replace(/=+$/, '')
+      };
+    }
+
+    const response = await this._post(body);
+    if (response.statusCode === 404) {
+      return null;
+    }
+    if (response.statusCode === 401 || response.statusCode === 403) {
+      return { ok: false };
+    }
+    if (response.statusCode !== 200 || !response.body) {
+      throw new Error(`Unexpected webhook response ${response.statusCode}`);
+    }
+    if (response.body.ok !== true) {
+      return { ok: false };
+    }
+
+    if (offeredKey && request.signature && offeredKey.verify(request.blob, request.signature, request.hashAlgo) !== true) {
+      return { ok: false };
+    }
+    return { ok: true, attributes: response.body.attributes || {} };
+  }
+}
+
+module.exports = WebhookProvider;
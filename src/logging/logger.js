@@ -0,0 +1,102 @@
+'use strict';
+const RotatingFile = require('./rotating-file');
+
+// Severity of each level, lower is more severe
+const LEVELS = {
+  error: 0,
+  warn: 1,
+  info: 2,
+  debug: 3
+};
+
+/**
+ * Writes log records as JSON lines
+ *
+ * Every record has a timestamp, a level and a message plus any fields the
+ * caller adds. Records less severe than the configured level are dropped.
+ * Output goes to a rotating file when one is configured, to standard
+ * output otherwise.
+ */
+class Logger {
+  /**
+   * @param {Object} [options] - Logger settings
+   * @param {string} [options.level] - Least severe level written (error, warn, info or debug)
+   * @param {string|null} [options.file] - Log file, standard output if not set
+   * @param {number} [options.maxFileSize] - Rotate the file once it reaches this many bytes (0 never rotates)
+   * @param {number} [options.maxFiles] - Rotated files to keep
+   * @param {Object} [options.fields] - Fields added to every record, e.g. { stream: 'audit' }
+   */
+  constructor(options = {}) {
+    const level = options.level || 'info';
+    if (LEVELS[level] === undefined) {
+      throw new Error(`Unknown log level ${level} (expected ${Object.keys(LEVELS).join(', ')})`);
+    }
+    this.level = level;
+    this.enabled = true;
+    this.fields = options.fields || {};
+    this.output = options.file ?
+      new RotatingFile(options.file, { maxSize: options.maxFileSize, maxFiles: options.maxFiles }) :
+      process.stdout;
+  }
+
+  /**
+   * Check whether records of a level are written
+   * @param {string} level - The level
+   * @returns {boolean} - True if the level is enabled
+   */
+  isLevelEnabled(level) {
+    return this.enabled && LEVELS[level] <= LEVELS[this.level];
+  }
+
+  /**
+   * Write a record at a level
+   * @param {string} level - The level
+   * @param {string} message - The message
+   * @param {Object} [fields] - Additional fields
+   */
+  log(level, message, fields = {}) {
+    if (this.isLevelEnabled(level)) {
+      this.write(Object.assign({ level: level, message: message }, fields));
+    }
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  /**
+   * Write a record regardless of level
+   * @param {Object} record - The record fields
+   */
+  write(record) {
+    const line = JSON.stringify(Object.assign({ timestamp: new Date().toISOString() }, this.fields, record), (key, value) => {
+      return value instanceof Error ? value.message : value;
+    });
+    this.output.write(line + '\n');
+  }
+
+  /**
+   * Close the log file, if any
+   */
+  close() {
+    if (this.output instanceof RotatingFile) {
+      this.output.close();
+    }
+  }
+}
+
+Logger.LEVELS = LEVELS;
+
+module.exports = Logger;
@@ -0,0 +1,81 @@
+'use strict';
+const fs = require('fs');
+
+/**
+ * Appends lines to a file, rotating it once it reaches a size limit
+ *
+ * Writes are synchronous so records are on disk in order before the
+ * operation they describe is answered. On rotation `file` becomes
+ * `file.1`, `file.1` becomes `file.2` and so on up to `maxFiles`, whose
+ * previous content is dropped.
+ */
+class RotatingFile {
+  /**
+   * @param {string} file - Path of the log file
+   * @param {Object} [options] - Rotation settings
+   * @param {number} [options.maxSize] - Rotate once the file reaches this many bytes (0 never rotates)
+   * @param {number} [options.maxFiles] - Rotated files to keep
+   */
+  constructor(file, options = {}) {
+    this.file = file;
+    this.maxSize = options.maxSize || 0;
+    this.maxFiles = options.maxFiles === undefined ? 5 : options.maxFiles;
+    this.fd = null;
+    this.size = 0;
+  }
+
+  /**
+   * Open the file for appending if it isn't open yet
+   */
+  _open() {
+    if (this.fd === null) {
+      this.fd = fs.openSync(this.file, 'a');
+      this.size = fs.fstatSync(this.fd).size;
+    }
+  }
+
+  /**
+   * Append a line, rotating first if it would push the file over the limit
+   * @param {string} line - The line, including its newline
+   */
+  write(line) {
+    this._open();
+    const bytes = Buffer.byteLength(line);
+    if (this.maxSize > 0 && this.size > 0 && this.size + bytes > this.maxSize) {
+      this.rotate();
+    }
+    fs.writeSync(this.fd, line);
+    this.size += bytes;
+  }
+
+  /**
+   * Move the current file aside and start a new one
+   */
+  rotate() {
+    this.close();
+    if (this.maxFiles > 0) {
+      for (let index = this.maxFiles - 1; index >= 1; index--) {
+        const from = `${this.file}.${index}`;
+        if (fs.existsSync(from)) {
+          fs.renameSync(from, `${this.file}.${index + 1}`);
+        }
+      }
+      fs.renameSync(this.file, `${this.file}.1`);
+    } else {
+      fs.unlinkSync(this.file);
+    }
+    this._open();
+  }
+
+  /**
+   * Close the file, it is reopened on the next write
+   */
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+module.exports = RotatingFile;
@@ -2,7 +2,11 @@
 
 const { S3Client } = require('@aws-sdk/client-s3');
 const SFTPS3Server = require('./server');
+const ServerMetrics = require('./metrics/server-metrics');
+const AdminApi = require('./admin/admin-api');
+const WebhookNotifier = require('./webhooks/webhook-notifier');
 const config = require('../config/config');
+const webhooks = require('../config/webhooks');
 
 // Create S3 client with AWS SDK v3 using AWS CLI credentials
 const s3Client = new S3Client({
@@ -16,88 +20,163 @@ const sftpServer = new SFTPS3Server(s3Client, config.s3.bucket);
 if (config.logging.enabled) {
   sftpServer.enableLogging();
 }
+const logger = sftpServer.logger;
+
+// Prometheus metrics endpoint
+const metrics = config.metrics.enabled ? new ServerMetrics(sftpServer) : null;
+
+// Admin HTTP API
+const adminApi = config.admin.enabled ? new AdminApi(sftpServer, { token: config.admin.token }) : null;
+
+// Webhook notifications of file events
+const notifier = config.webhooks.enabled ? new WebhookNotifier(sftpServer, webhooks.endpoints, {
+  queueFile: config.webhooks.queueFile,
+  timeout: config.webhooks.timeout,
+  maxAttempts: config.webhooks.maxAttempts,
+  retryDelay: config.webhooks.retryDelay * 1000,
+  maxRetryDelay: config.webhooks.maxRetryDelay * 1000,
+  maxQueueSize: config.webhooks.maxQueueSize,
+  retryConcurrency: config.webhooks.retryConcurrency,
+  queueSaveDelay: config.webhooks.queueSaveDelay
+}) : null;
 
 // Event handlers
 sftpServer.on('login', (data) => {
-  console.log(`User ${data.username} logged in`);
+  logger.info('User logged in', { username: data.username });
 });
 
 sftpServer.on('client-error', (data) => {
-  console.error('Client error:', data.error);
+  logger.error('Client error', { error: data.error });
+});
+
+sftpServer.on('session-disconnected', (data) => {
+  logger.warn('Session disconnected', { username: data.username, sessionId: data.sessionId, clientIp: data.clientIp, reason: data.reason });
 });
 
 sftpServer.on('client-disconnected', (data) => {
-  console.log(`User ${data.username} disconnected`);
+  logger.info('User disconnected', { username: data.username });
 });
 
 sftpServer.on('file-uploaded', (data) => {
-  console.log(`File uploaded: ${data.path} by ${data.username}`);
+  logger.info('File uploaded', { username: data.username, path: data.path, size: data.size, sha256: data.digest ? data.digest.sha256 : undefined });
 });
 
 sftpServer.on('upload-error', (data) => {
-  console.error(`Upload error: ${data.path} by ${data.username} - ${data.error.message}`);
+  logger.error('Upload error', { username: data.username, path: data.path, rule: data.rule || undefined, error: data.error });
+});
+
+sftpServer.on('upload-rejected', (data) => {
+  logger.warn('Upload rejected', { username: data.username, path: data.path, operation: data.operation, rule: data.rule, reason: data.reason, type: data.type });
+});
+
+sftpServer.on('file-quarantined', (data) => {
+  logger.warn('File quarantined', { username: data.username, path: data.path, quarantineKey: data.quarantineKey, scanner: data.scanner, signature: data.signature });
+});
+
+sftpServer.on('scan-error', (data) => {
+  logger.error('Malware scan failed', { username: data.username, path: data.path, scanner: data.scanner, error: data.error });
+});
+
+sftpServer.on('upload-quota-exceeded', (data) => {
+  logger.warn('Upload quota exceeded', { username: data.username, path: data.path, scope: data.scope, name: data.name, limit: data.limit });
+});
+
+sftpServer.on('upload-aborted', (data) => {
+  logger.warn('Upload aborted', { username: data.username, path: data.path, reason: data.reason, resumable: data.resumable, offset: data.offset });
+});
+
+sftpServer.on('upload-resumed', (data) => {
+  logger.info('Upload resumed', { username: data.username, path: data.path, offset: data.offset });
 });
 
 sftpServer.on('protected-directory-deletion-blocked', (data) => {
-  console.warn(`Protected directory deletion blocked: ${data.path} by ${data.username}`);
+  logger.warn('Protected directory deletion blocked', { username: data.username, path: data.path });
 });
 
 sftpServer.on('protected-directory-rename-blocked', (data) => {
-  console.warn(`Protected directory rename blocked: ${data.oldPath} -> ${data.newPath} by ${data.username}`);
+  logger.warn('Protected directory rename blocked', { username: data.username, oldPath: data.oldPath, path: data.newPath });
 });
 
 sftpServer.on('directory-creation-blocked', (data) => {
-  console.warn(`Directory creation blocked: ${data.path} by ${data.username}`);
+  logger.warn('Directory creation blocked', { username: data.username, path: data.path });
 });
 
 sftpServer.on('directory-deletion-blocked', (data) => {
-  console.warn(`Directory deletion blocked: ${data.path} by ${data.username}`);
+  logger.warn('Directory deletion blocked', { username: data.username, path: data.path });
 });
 
 sftpServer.on('directory-changed', (data) => {
-  console.log(`Directory changed: ${data.path} - ${data.action} ${data.filename} by ${data.username}`);
+  logger.info('Directory changed', { username: data.username, path: data.path, action: data.action, filename: data.filename });
 });
 
 sftpServer.on('file-downloaded', (data) => {
-  console.log(`File downloaded: ${data.path} by ${data.username}`);
+  logger.info('File downloaded', { username: data.username, path: data.path });
 });
 
 sftpServer.on('file-deleted', (data) => {
-  console.log(`File deleted: ${data.path} by ${data.username}`);
+  logger.info('File deleted', { username: data.username, path: data.path });
 });
 
 sftpServer.on('directory-created', (data) => {
-  console.log(`Directory created: ${data.path} by ${data.username}`);
+  logger.info('Directory created', { username: data.username, path: data.path });
 });
 
 sftpServer.on('directory-deleted', (data) => {
-  console.log(`Directory deleted: ${data.path} by ${data.username}`);
+  logger.info('Directory deleted', { username: data.username, path: data.path });
 });
 
 sftpServer.on('file-renamed', (data) => {
-  console.log(`File renamed: ${data.oldPath} -> ${data.path} by ${data.username}`);
+  logger.info('File renamed', { username: data.username, oldPath: data.oldPath, path: data.path });
+});
+
+sftpServer.on('directory-renamed', (data) => {
+  logger.info('Directory renamed', { username: data.username, oldPath: data.oldPath, path: data.path, objects: data.objects });
 });
 
 // Start the server
-sftpServer.listen(config.server.port, config.server.host, (port) => {
-  console.log(`SFTP server listening on ${config.server.host}:${port}`);
-  console.log(`S3-based authentication enabled`);
-  console.log(`S3 Bucket: ${config.s3.bucket}`);
+sftpServer.listen(config.server.port, config.server.host, () => {
+  logger.info('S3-based authentication enabled', { bucket: config.s3.bucket });
 });
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\nShutting down SFTP server...');
-  sftpServer.stop(() => {
-    console.log('Server stopped');
-    process.exit(0);
+if (metrics) {
+  metrics.listen(config.metrics.port, config.metrics.host, config.metrics.path, (port) => {
+    logger.info('Metrics endpoint listening', { host: config.metrics.host, port: port, path: config.metrics.path });
+  });
+}
+
+if (notifier) {
+  notifier.start();
+  logger.info('Webhook notifications enabled', { endpoints: webhooks.endpoints.map(endpoint => endpoint.id) });
+}
+
+if (adminApi) {
+  adminApi.listen(config.admin.port, config.admin.host, (port) => {
+    logger.info('Admin API listening', { host: config.admin.host, port: port });
   });
+}
+
+// Reload the access policy file
+process.on('SIGHUP', () => {
+  sftpServer.reloadAccessPolicy();
 });
 
-process.on('SIGTERM', () => {
-  console.log('\nShutting down SFTP server...');
+// Graceful shutdown
+const shutdown = (signal) => {
+  logger.info('Shutting down SFTP server', { signal: signal });
+  if (metrics) {
+    metrics.close();
+  }
+  if (adminApi) {
+    adminApi.close();
+  }
+  if (notifier) {
+    notifier.close();
+  }
   sftpServer.stop(() => {
-    console.log('Server stopped');
+    logger.info('Server stopped');
     process.exit(0);
   });
-}); 
\ No newline at end of file
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
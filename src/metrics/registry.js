@@ -0,0 +1,208 @@
+'use strict';
+
+// Default latency buckets in seconds, from 5ms to 30s
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Escape a label value for the Prometheus text format
+ * @param {*} value - The label value
+ * @returns {string} - The escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a label set as {name="value",...}
+ * @param {Array<string>} names - The label names
+ * @param {Array<*>} values - The label values, in the same order
+ * @returns {string} - The formatted labels, empty if there are none
+ */
+function formatLabels(names, values) {
+  if (names.length === 0) {
+    return '';
+  }
+  return '{' + names.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`).join(',') + '}';
+}
+
+/**
+ * A named metric with a fixed set of labels
+ *
+ * Series are keyed by their label values; a series appears in the output
+ * once it has been updated.
+ */
+class Metric {
+  /**
+   * @param {string} type - The Prometheus type (counter, gauge or histogram)
+   * @param {string} name - The metric name
+   * @param {string} help - The help text
+   * @param {Array<string>} [labelNames] - The label names
+   */
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // label values joined -> { values, ... }
+  }
+
+  /**
+   * Get the series for a label set, creating it if needed
+   * @param {Object} labels - Label values by name
+   * @param {Function} create - Returns the initial series state
+   * @returns {Object} - The series
+   */
+  _series(labels, create) {
+    const values = this.labelNames.map(name => (labels[name] === undefined || labels[name] === null ? '' : String(labels[name])));
+    const key = values.join('\u0000');
+    let series = this.series.get(key);
+    if (!series) {
+      series = Object.assign({ values: values }, create());
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  /**
+   * Render the metric in the Prometheus text format
+   * @returns {string} - The HELP and TYPE lines followed by one line per sample
+   */
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${this.name} ${this.type}`];
+    for (const series of this.series.values()) {
+      this._renderSeries(series, lines);
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  _renderSeries(series, lines) {
+    lines.push(`${this.name}${formatLabels(this.labelNames, series.values)} ${series.value}`);
+  }
+}
+
+/**
+ * A value that only goes up, e.g. requests served or bytes transferred
+ */
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  /**
+   * @param {Object} [labels] - Label values by name
+   * @param {number} [value] - The amount to add
+   */
+  inc(labels = {}, value = 1) {
+    this._series(labels, () => ({ value: 0 })).value += value;
+  }
+}
+
+/**
+ * A value that goes up and down, e.g. open sessions
+ */
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  /**
+   * @param {Object} labels - Label values by name
+   * @param {number} value - The new value
+   */
+  set(labels, value) {
+    this._series(labels, () => ({ value: 0 })).value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    this._series(labels, () => ({ value: 0 })).value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    this._series(labels, () => ({ value: 0 })).value -= value;
+  }
+}
+
+/**
+ * Observations counted into cumulative buckets, e.g. request latencies
+ */
+class Histogram extends Metric {
+  /**
+   * @param {string} name - The metric name
+   * @param {string} help - The help text
+   * @param {Array<string>} [labelNames] - The label names
+   * @param {Array<number>} [buckets] - Upper bounds of the buckets, ascending
+   */
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  /**
+   * @param {Object} labels - Label values by name
+   * @param {number} value - The observed value
+   */
+  observe(labels, value) {
+    const series = this._series(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.counts[i]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  _renderSeries(series, lines) {
+    const names = this.labelNames.concat('le');
+    this.buckets.forEach((bound, i) => {
+      lines.push(`${this.name}_bucket${formatLabels(names, series.values.concat(bound))} ${series.counts[i]}`);
+    });
+    lines.push(`${this.name}_bucket${formatLabels(names, series.values.concat('+Inf'))} ${series.count}`);
+    lines.push(`${this.name}_sum${formatLabels(this.labelNames, series.values)} ${series.sum}`);
+    lines.push(`${this.name}_count${formatLabels(this.labelNames, series.values)} ${series.count}`);
+  }
+}
+
+/**
+ * A set of metrics rendered together for one scrape
+ */
+class Registry {
+  constructor() {
+    this.metrics = new Map(); // name -> Metric
+  }
+
+  _register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this._register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this._register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this._register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * Render every metric in the Prometheus text exposition format
+   * @returns {string} - The scrape body
+   */
+  render() {
+    return [...this.metrics.values()].map(metric => metric.render()).join('');
+  }
+}
+
+Registry.CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+Registry.Counter = Counter;
+Registry.Gauge = Gauge;
+Registry.Histogram = Histogram;
+
+module.exports = Registry;
@@ -0,0 +1,113 @@
+'use strict';
+const http = require('http');
+const Registry = require('./registry');
+
+/**
+ * Prometheus metrics for an SFTPS3Server, served over HTTP
+ *
+ * Metrics are collected from the events the server emits: sessions from
+ * `login`/`logout`, failed logins from `auth-failure` and `auth-lockout`,
+ * refused connections from `connection-rejected`, transferred bytes from
+ * `data-transferred`, SFTP requests from `sftp-request` and S3 calls from
+ * `s3-request`.
+ */
+class ServerMetrics {
+  /**
+   * @param {SFTPS3Server} server - The server to observe
+   * @param {Registry} [registry] - Registry to add the metrics to
+   */
+  constructor(server, registry = new Registry()) {
+    this.server = server;
+    this.registry = registry;
+    this.httpServer = null;
+
+    this.activeSessions = registry.gauge('sftp_active_sessions', 'Authenticated SSH connections currently open');
+    this.logins = registry.counter('sftp_logins_total', 'Successful logins', ['method']);
+    this.authFailures = registry.counter('sftp_auth_failures_total', 'Rejected or failed login attempts', ['method', 'reason']);
+    this.lockouts = registry.counter('sftp_auth_lockouts_total', 'Usernames and addresses locked out after failed logins', ['scope']);
+    this.rejectedConnections = registry.counter('sftp_connections_rejected_total', 'Connections refused by a connection or session limit', ['reason']);
+    this.uploadedBytes = registry.counter('sftp_uploaded_bytes_total', 'Bytes written by clients', ['username']);
+    this.downloadedBytes = registry.counter('sftp_downloaded_bytes_total', 'Bytes read by clients', ['username']);
+    this.requests = registry.counter('sftp_requests_total', 'SFTP requests answered', ['opcode', 'status']);
+    this.requestDuration = registry.histogram('sftp_request_duration_seconds', 'Time from an SFTP request to its reply', ['opcode', 'status']);
+    this.s3Duration = registry.histogram('sftp_s3_request_duration_seconds', 'Duration of S3 calls, including retries', ['command']);
+    this.s3Errors = registry.counter('sftp_s3_request_errors_total', 'S3 calls that failed', ['command', 'error']);
+
+    this.listeners = {
+      'login': (data) => {
+        this.activeSessions.inc();
+        this.logins.inc({ method: data.method });
+      },
+      'logout': () => this.activeSessions.dec(),
+      'auth-failure': data => this.authFailures.inc({ method: data.method, reason: data.reason }),
+      'auth-lockout': data => this.lockouts.inc({ scope: data.scope }),
+      'connection-rejected': data => this.rejectedConnections.inc({ reason: data.reason }),
+      'data-transferred': (data) => {
+        const counter = data.direction === 'upload' ? this.uploadedBytes : this.downloadedBytes;
+        counter.inc({ username: data.username }, data.bytes);
+      },
+      'sftp-request': (data) => {
+        const labels = { opcode: data.opcode, status: data.status };
+        this.requests.inc(labels);
+        this.requestDuration.observe(labels, data.duration / 1000);
+      },
+      's3-request': (data) => {
+        this.s3Duration.observe({ command: data.command }, data.duration / 1000);
+        if (data.error) {
+          this.s3Errors.inc({ command: data.command, error: data.error });
+        }
+      }
+    };
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      server.on(event, listener);
+    }
+  }
+
+  /**
+   * Serve the metrics over HTTP
+   * @param {number} port - Port to listen on
+   * @param {string} host - Address to bind
+   * @param {string} [metricsPath] - Path of the endpoint
+   * @param {Function} [callback] - Called with the bound port once listening
+   */
+  listen(port, host, metricsPath = '/metrics', callback) {
+    this.httpServer = http.createServer((req, res) => {
+      if (req.url.split('?')[0] !== metricsPath) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found\n');
+        return;
+      }
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405, { 'Content-Type': 'text/plain', 'Allow': 'GET, HEAD' });
+        res.end('Method not allowed\n');
+        return;
+      }
+      const body = this.registry.render();
+      res.writeHead(200, { 'Content-Type': Registry.CONTENT_TYPE, 'Content-Length': Buffer.byteLength(body) });
+      res.end(req.method === 'HEAD' ? undefined : body);
+    });
+    this.httpServer.listen(port, host, () => {
+      if (callback) {
+        callback(this.httpServer.address().port);
+      }
+    });
+  }
+
+  /**
+   * Stop serving metrics and stop observing the server
+   * @param {Function} [callback] - Called once the HTTP server is closed
+   */
+  close(callback) {
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.server.removeListener(event, listener);
+    }
+    if (this.httpServer) {
+      this.httpServer.close(callback);
+      this.httpServer = null;
+    } else if (callback) {
+      process.nextTick(callback);
+    }
+  }
+}
+
+module.exports = ServerMetrics;
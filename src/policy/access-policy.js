@@ -0,0 +1,290 @@
+'use strict';
+
+const EFFECTS = ['allow', 'deny'];
+// Operations a rule can allow or deny
+const PERMISSIONS = ['read', 'write', 'list', 'delete', 'rename'];
+
+/**
+ * Compile a path glob to a regular expression
+ * `*` matches within one path segment, `**` matches across segments and `?`
+ * matches one character other than '/'. A trailing `/**` also matches the
+ * directory itself, so "/ledgers/**" covers "/ledgers" and everything below.
+ * @param {string} pattern - The glob, anchored at the user's root
+ * @returns {RegExp} - The compiled pattern
+ */
+function compileGlob(pattern) {
+  let source = '';
+  let rest = pattern;
+  let suffix = '';
+  if (rest.endsWith('/**')) {
+    rest = rest.slice(0, -3);
+    suffix = '(?:/.*)?';
+  }
+  for (let i = 0; i < rest.length; i++) {
+    const char = rest[i];
+    if (char === '*' && rest[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp('^' + source + suffix + '$');
+}
+
+/**
+ * Check whether a subject names a user
+ * @param {string} subject - "*", "user:<name>", a bare name or "group:<name>"
+ * @param {string} username - The username
+ * @param {Array<string>} groups - The user's groups
+ * @returns {boolean} - True if the subject covers the user
+ */
+function matchSubject(subject, username, groups) {
+  if (subject === '*') {
+    return true;
+  }
+  if (subject.startsWith('group:')) {
+    return groups.includes(subject.substring(6));
+  }
+  return (subject.startsWith('user:') ? subject.substring(5) : subject) === username;
+}
+
+/**
+ * Escape a value substituted into a glob so it only matches itself
+ * @param {string} value - The value, e.g. a username
+ * @returns {string} - The value with glob characters removed
+ */
+function escapeGlobValue(value) {
+  return String(value).replace(/[*?/]/g, '_');
+}
+
+/**
+ * Declarative path access rules with allow and deny entries
+ *
+ * A policy document looks like:
+ *
+ *   {
+ *     "groups": { "finance": ["alice", "bob"] },
+ *     "rules": [
+ *       { "id": "home", "effect": "allow", "subjects": ["*"], "paths": ["/{username}/**"] },
+ *       { "id": "no-archive", "effect": "deny", "subjects": ["group:finance"],
+ *         "paths": ["/ledgers/archive/**"], "permissions": ["write", "delete", "rename"], "priority": 10 }
+ *     ]
+ *   }
+ *
+ * Subjects are "*" (everyone), "user:<name>" (or a bare name) and
+ * "group:<name>". Paths are globs matched against the client-visible path;
+ * `{username}` is replaced with the user's name. Permissions name the
+ * operations a rule covers (read, write, list, delete, rename), all of them
+ * if omitted. Among the rules matching a request the highest priority wins,
+ * a deny beats an allow of the same priority, and a request no rule matches
+ * is denied.
+ */
+class AccessPolicy {
+  /**
+   * @param {Object} document - The parsed policy document
+   * @param {string} [source] - Where the document came from, used in error messages
+   */
+  constructor(document, source = 'policy') {
+    if (!document || typeof document !== 'object' || !Array.isArray(document.rules)) {
+      throw new Error(`${source}: expected an object with a "rules" array`);
+    }
+    this.source = source;
+    this.compiled = new Map(); // glob -> RegExp
+    this.groups = {};
+    for (const [group, members] of Object.entries(document.groups || {})) {
+      if (!Array.isArray(members)) {
+        throw new Error(`${source}: members of group "${group}" must be an array`);
+      }
+      this.groups[group] = members.map(String);
+    }
+    this.rules = document.rules.map((rule, index) => this._parseRule(rule, index));
+  }
+
+  /**
+   * Validate a rule and fill in defaults
+   * @param {Object} rule - The rule from the document
+   * @param {number} index - Position of the rule in the document
+   * @returns {Object} - The normalized rule
+   */
+  _parseRule(rule, index) {
+    const id = (rule && rule.id) || `rule-${index + 1}`;
+    if (!rule || !EFFECTS.includes(rule.effect)) {
+      throw new Error(`${this.source}: rule "${id}" must have an effect of "allow" or "deny"`);
+    }
+    const subjects = [].concat(rule.subjects || rule.subject || []);
+    const paths = [].concat(rule.paths || rule.path || []);
+    if (subjects.length === 0 || paths.length === 0) {
+      throw new Error(`${this.source}: rule "${id}" needs at least one subject and one path`);
+    }
+    if (rule.priority !== undefined && !Number.isFinite(rule.priority)) {
+      throw new Error(`${this.source}: rule "${id}" has a non-numeric priority`);
+    }
+    for (const pattern of paths) {
+      if (typeof pattern !== 'string' || !pattern.startsWith('/')) {
+        throw new Error(`${this.source}: rule "${id}" path ${JSON.stringify(pattern)} must start with '/'`);
+      }
+    }
+    let permissions = [].concat(rule.permissions || '*');
+    if (permissions.includes('*')) {
+      permissions = PERMISSIONS.slice();
+    }
+    const unknown = permissions.find(permission => !PERMISSIONS.includes(permission));
+    if (unknown !== undefined) {
+      throw new Error(`${this.source}: rule "${id}" has unknown permission ${JSON.stringify(unknown)} (expected ${PERMISSIONS.join(', ')})`);
+    }
+    return {
+      id: String(id),
+      effect: rule.effect,
+      subjects: subjects.map(String),
+      paths: paths,
+      permissions: permissions,
+      priority: rule.priority || 0,
+      description: rule.description || null,
+      index: index
+    };
+  }
+
+  /**
+   * Get the groups a user belongs to
+   * @param {string} username - The username
+   * @param {Array<string>} [extraGroups] - Groups from the authentication provider
+   * @returns {Array<string>} - The group names
+   */
+  groupsOf(username, extraGroups = []) {
+    const groups = new Set(extraGroups);
+    for (const [group, members] of Object.entries(this.groups)) {
+      if (members.includes(username)) {
+        groups.add(group);
+      }
+    }
+    return [...groups];
+  }
+
+  /**
+   * Check whether a rule applies to a user
+   * @param {Object} rule - The normalized rule
+   * @param {string} username - The username
+   * @param {Array<string>} groups - The user's groups
+   * @returns {string|null} - The matching subject, or null
+   */
+  _matchSubject(rule, username, groups) {
+    return rule.subjects.find(subject => matchSubject(subject, username, groups)) || null;
+  }
+
+  /**
+   * Find the path pattern of a rule matching a path
+   * @param {Object} rule - The normalized rule
+   * @param {string} username - The username substituted for `{username}`
+   * @param {string} path - The normalized client path
+   * @returns {string|null} - The matching pattern, or null
+   */
+  _matchPath(rule, username, path) {
+    return rule.paths.find((pattern) => {
+      const glob = pattern.replace(/\{username\}/g, escapeGlobValue(username));
+      if (!this.compiled.has(glob)) {
+        this.compiled.set(glob, compileGlob(glob));
+      }
+      return this.compiled.get(glob).test(path);
+    }) || null;
+  }
+
+  /**
+   * Explain the decision for an operation on a path
+   * @param {string} username - The username
+   * @param {string} path - The normalized client path, starting with '/'
+   * @param {string} permission - The operation (read, write, list, delete or rename)
+   * @param {Array<string>} [extraGroups] - Groups from the authentication provider
+   * @returns {{allowed: boolean, rule: Object|null, reason: string, matches: Array<Object>}} - The decision, the deciding rule and every rule that matched
+   */
+  explain(username, path, permission, extraGroups = []) {
+    if (!PERMISSIONS.includes(permission)) {
+      throw new Error(`Unknown permission ${permission}`);
+    }
+    if (path.length > 1) {
+      path = path.replace(/\/+$/, '') || '/';
+    }
+    const groups = this.groupsOf(username, extraGroups);
+    const matches = [];
+    for (const rule of this.rules) {
+      if (!rule.permissions.includes(permission)) {
+        continue;
+      }
+      const subject = this._matchSubject(rule, username, groups);
+      const pattern = subject && this._matchPath(rule, username, path);
+      if (pattern) {
+        matches.push({ rule: rule, subject: subject, pattern: pattern });
+      }
+    }
+
+    const summary = matches.map(match => ({
+      id: match.rule.id,
+      effect: match.rule.effect,
+      priority: match.rule.priority,
+      subject: match.subject,
+      pattern: match.pattern
+    }));
+    if (matches.length === 0) {
+      return { allowed: false, rule: null, reason: `No rule in ${this.source} grants ${permission} on ${path} to user ${username}`, matches: summary };
+    }
+
+    // Highest priority first, deny before allow, then document order
+    const best = matches.slice().sort((a, b) => {
+      return b.rule.priority - a.rule.priority ||
+        (a.rule.effect === b.rule.effect ? 0 : (a.rule.effect === 'deny' ? -1 : 1)) ||
+        a.rule.index - b.rule.index;
+    })[0];
+    const decisive = summary[matches.indexOf(best)];
+    const verb = decisive.effect === 'allow' ? 'Allowed' : 'Denied';
+    return {
+      allowed: decisive.effect === 'allow',
+      rule: decisive,
+      reason: `${verb} ${permission} by rule "${decisive.id}" (${decisive.subject} on ${decisive.pattern}, priority ${decisive.priority})` +
+        (best.rule.description ? `: ${best.rule.description}` : ''),
+      matches: summary
+    };
+  }
+
+  /**
+   * Check whether a user may perform an operation on a path
+   * @param {string} username - The username
+   * @param {string} path - The normalized client path, starting with '/'
+   * @param {string} permission - The operation (read, write, list, delete or rename)
+   * @param {Array<string>} [extraGroups] - Groups from the authentication provider
+   * @returns {boolean} - True if the operation is allowed
+   */
+  isAllowed(username, path, permission, extraGroups = []) {
+    return this.explain(username, path, permission, extraGroups).allowed;
+  }
+
+  /**
+   * List the path patterns a user is granted by allow rules
+   * @param {string} username - The username
+   * @param {string} [permission] - Only patterns granting this operation
+   * @param {Array<string>} [extraGroups] - Groups from the authentication provider
+   * @returns {Array<string>} - The patterns, with `{username}` substituted
+   */
+  allowedPatterns(username, permission = null, extraGroups = []) {
+    const groups = this.groupsOf(username, extraGroups);
+    const patterns = [];
+    for (const rule of this.rules) {
+      if (rule.effect === 'allow' && (!permission || rule.permissions.includes(permission)) &&
+        this._matchSubject(rule, username, groups)) {
+        for (const pattern of rule.paths) {
+          patterns.push(pattern.replace(/\{username\}/g, escapeGlobValue(username)));
+        }
+      }
+    }
+    return [...new Set(patterns)];
+  }
+}
+
+AccessPolicy.PERMISSIONS = PERMISSIONS;
+AccessPolicy.compileGlob = compileGlob;
+AccessPolicy.matchSubject = matchSubject;
+
+module.exports = AccessPolicy;
@@ -0,0 +1,167 @@
+'use strict';
+const { Transform } = require('stream');
+
+// Bytes kept from the start and the end of a file for inspection
+const HEAD_SIZE = 1024;
+const TAIL_SIZE = 1024;
+
+// Magic numbers, checked in order; the first match names the type
+const SIGNATURES = [
+  { type: 'application/pdf', magic: [Buffer.from('%PDF-')] },
+  { type: 'image/png', magic: [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])] },
+  { type: 'image/jpeg', magic: [Buffer.from([0xff, 0xd8, 0xff])] },
+  { type: 'image/gif', magic: [Buffer.from('GIF87a'), Buffer.from('GIF89a')] },
+  { type: 'image/tiff', magic: [Buffer.from([0x49, 0x49, 0x2a, 0x00]), Buffer.from([0x4d, 0x4d, 0x00, 0x2a])] },
+  { type: 'application/zip', magic: [Buffer.from([0x50, 0x4b, 0x03, 0x04]), Buffer.from([0x50, 0x4b, 0x05, 0x06])] },
+  { type: 'application/gzip', magic: [Buffer.from([0x1f, 0x8b])] },
+  { type: 'application/x-7z-compressed', magic: [Buffer.from([0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c])] },
+  { type: 'application/x-ole-storage', magic: [Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])] },
+  { type: 'application/x-executable', magic: [Buffer.from([0x7f, 0x45, 0x4c, 0x46])] },
+  { type: 'application/x-msdownload', magic: [Buffer.from('MZ')] }
+];
+
+/**
+ * Check whether the start of a file looks like text: valid UTF-8 without
+ * control characters other than tabs, line breaks and form feeds
+ * @param {Buffer} head - The first bytes of the file
+ * @returns {boolean} - True if the bytes are text
+ */
+function isText(head) {
+  if (head.some(byte => byte < 0x20 && byte !== 0x09 && byte !== 0x0a && byte !== 0x0c && byte !== 0x0d)) {
+    return false;
+  }
+  try {
+    // A character cut off at the end of the head is not an error
+    new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: true });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Detect the type of a file from its first bytes
+ * @param {Buffer} head - The first bytes of the file
+ * @returns {string} - The MIME type, application/octet-stream if unknown
+ */
+function detectType(head) {
+  const signature = SIGNATURES.find(candidate => candidate.magic.some(magic => head.subarray(0, magic.length).equals(magic)));
+  if (signature) {
+    return signature.type;
+  }
+  return head.length > 0 && isText(head) ? 'text/plain' : 'application/octet-stream';
+}
+
+/**
+ * Check whether a type is in an allowlist, which may hold wildcards like "image/*"
+ * @param {string} type - The detected type
+ * @param {Array<string>} allowedTypes - The allowed types
+ * @returns {boolean} - True if the type is allowed
+ */
+function isTypeAllowed(type, allowedTypes) {
+  return allowedTypes.some(allowed => allowed === type || (allowed.endsWith('/*') && type.startsWith(allowed.slice(0, -1))));
+}
+
+// Structure checks for types that are easy to fake with a magic number alone
+const STRUCTURE_CHECKS = {
+  'application/pdf': (head, tail) => {
+    if (!/^%PDF-\d\.\d/.test(head.toString('latin1', 0, 16))) {
+      return 'the %PDF- header has no version';
+    }
+    // Readers look for the trailer in the last kilobyte of the file
+    if (!tail.toString('latin1').includes('%%EOF')) {
+      return 'the %%EOF trailer is missing';
+    }
+    return null;
+  }
+};
+
+/**
+ * Check the content of a file against a type allowlist
+ * @param {Buffer} head - The first bytes of the file
+ * @param {Buffer} tail - The last bytes of the file
+ * @param {Array<string>} allowedTypes - The allowed types
+ * @param {string} name - The file name used in the reason
+ * @returns {{rule: string, reason: string, type: string}|null} - The violation, or null if the content is allowed
+ */
+function inspect(head, tail, allowedTypes, name) {
+  const type = detectType(head);
+  if (!isTypeAllowed(type, allowedTypes)) {
+    return {
+      rule: 'content-type',
+      reason: `Content of ${name} is ${type}, only ${allowedTypes.join(', ')} is allowed here`,
+      type: type
+    };
+  }
+  const structureError = STRUCTURE_CHECKS[type] ? STRUCTURE_CHECKS[type](head, tail) : null;
+  if (structureError) {
+    return { rule: 'content-structure', reason: `${name} is not a valid ${type} file: ${structureError}`, type: type };
+  }
+  return null;
+}
+
+/**
+ * Pass-through stream that checks the type of the data flowing through it
+ *
+ * The type is detected from the first kilobyte, so a file of the wrong type
+ * fails as soon as that much has arrived. Structure checks that need the end
+ * of the file (the PDF trailer) run when the data ends, before the stream
+ * finishes, so the upload behind it is never completed. Failures are Errors
+ * carrying the `rule` and `type` of the violation.
+ */
+class ContentSniffer extends Transform {
+  /**
+   * @param {Object} options - Sniffer options
+   * @param {Array<string>} options.allowedTypes - The allowed MIME types
+   * @param {string} options.name - The file name used in error messages
+   * @param {Buffer} [options.head] - First bytes of content already stored (appends and resumed uploads)
+   * @param {Buffer} [options.tail] - Last bytes of content already stored (appends)
+   */
+  constructor(options) {
+    super();
+    this.allowedTypes = options.allowedTypes;
+    this.name = options.name;
+    this.head = options.head ? Buffer.from(options.head.subarray(0, HEAD_SIZE)) : Buffer.alloc(0);
+    this.tail = options.tail ? Buffer.from(options.tail.subarray(-TAIL_SIZE)) : Buffer.alloc(0);
+    this.type = null;
+  }
+
+  /**
+   * Check the detected type once the head is complete
+   * @returns {Error|null} - The violation, or null
+   */
+  _checkType() {
+    if (this.type !== null || this.head.length < HEAD_SIZE) {
+      return null;
+    }
+    this.type = detectType(this.head);
+    return isTypeAllowed(this.type, this.allowedTypes) ? null : this._error(inspect(this.head, this.tail, this.allowedTypes, this.name));
+  }
+
+  _error(violation) {
+    const err = new Error(violation.reason);
+    err.rule = violation.rule;
+    err.type = violation.type;
+    return err;
+  }
+
+  _transform(chunk, encoding, callback) {
+    if (this.head.length < HEAD_SIZE) {
+      this.head = Buffer.concat([this.head, chunk.subarray(0, HEAD_SIZE - this.head.length)]);
+    }
+    this.tail = Buffer.concat([this.tail, chunk.subarray(-TAIL_SIZE)]).subarray(-TAIL_SIZE);
+    callback(this._checkType(), chunk);
+  }
+
+  _flush(callback) {
+    const violation = inspect(this.head, this.tail, this.allowedTypes, this.name);
+    callback(violation ? this._error(violation) : null);
+  }
+}
+
+ContentSniffer.HEAD_SIZE = HEAD_SIZE;
+ContentSniffer.TAIL_SIZE = TAIL_SIZE;
+ContentSniffer.detectType = detectType;
+ContentSniffer.inspect = inspect;
+
+module.exports = ContentSniffer;
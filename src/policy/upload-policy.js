@@ -0,0 +1,94 @@
+'use strict';
+
+/**
+ * Normalize a configured extension list to lower-case names with a leading dot
+ * @param {Array<string>} extensions - The configured extensions
+ * @returns {Array<string>} - The normalized extensions
+ */
+function normalizeExtensions(extensions) {
+  return (extensions || [])
+    .map(ext => ext.trim().toLowerCase())
+    .filter(ext => ext.length > 0)
+    .map(ext => (ext.startsWith('.') ? ext : '.' + ext));
+}
+
+/**
+ * Get every extension of a file name, so "report.pdf.exe" yields
+ * [".pdf", ".exe"]; trailing dots and spaces are ignored because some
+ * systems strip them when the file is saved
+ * @param {string} filename - The file name (without directories)
+ * @returns {Array<string>} - The lower-case extensions, last one last
+ */
+function getExtensions(filename) {
+  const parts = filename.toLowerCase().replace(/[. ]+$/, '').split('.');
+  // A leading dot marks a hidden file, not an extension
+  return parts.slice(1).filter(part => part.length > 0).map(part => '.' + part);
+}
+
+/**
+ * Decides whether a file may be stored at a client path, based on the
+ * `security` section of config.js and the mounts that only accept certain
+ * file types (e.g. PDFs in ledgers and invoices)
+ */
+class UploadPolicy {
+  /**
+   * @param {Object} options - Policy settings
+   * @param {Array<string>} options.allowedExtensions - Extensions allowed anywhere (empty means all)
+   * @param {Array<string>} options.blockedExtensions - Extensions rejected anywhere
+   * @param {number} options.maxDirectoryDepth - Maximum number of directories above a file
+   */
+  constructor(options) {
+    this.allowedExtensions = normalizeExtensions(options.allowedExtensions);
+    this.blockedExtensions = normalizeExtensions(options.blockedExtensions);
+    this.maxDirectoryDepth = options.maxDirectoryDepth;
+  }
+
+  /**
+   * Check a client path against the policy
+   * @param {string} filePath - The client-visible path, relative to the user's directory
+   * @param {Object} [mount] - The mount holding the path (path and allowedExtensions)
+   * @returns {{rule: string, reason: string}|null} - The violated rule, or null if the file is allowed
+   */
+  check(filePath, mount = null) {
+    const parts = filePath.replace(/\\/g, '/').split('/').filter(part => part.length > 0 && part !== '.');
+    const isMountPoint = mount !== null && '/' + parts.join('/') === mount.path;
+    const filename = parts.pop() || '';
+
+    if (!filename || isMountPoint) {
+      return { rule: 'invalid-filename', reason: `Cannot upload to directory path ${filePath} (must specify filename)` };
+    }
+
+    if (this.maxDirectoryDepth > 0 && parts.length > this.maxDirectoryDepth) {
+      return {
+        rule: 'directory-depth',
+        reason: `Path ${filePath} is ${parts.length} directories deep (maximum ${this.maxDirectoryDepth})`
+      };
+    }
+
+    const extensions = getExtensions(filename);
+    const blocked = extensions.find(ext => this.blockedExtensions.includes(ext));
+    if (blocked) {
+      return { rule: 'blocked-extension', reason: `File extension ${blocked} is blocked` };
+    }
+
+    const finalExtension = extensions[extensions.length - 1] || '';
+    if (this.allowedExtensions.length > 0 && !this.allowedExtensions.includes(finalExtension)) {
+      return {
+        rule: 'extension-not-allowed',
+        reason: `File extension ${finalExtension || '(none)'} is not in the allowed list`
+      };
+    }
+
+    const mountAllowed = mount && mount.allowedExtensions ? normalizeExtensions(mount.allowedExtensions) : null;
+    if (mountAllowed && !mountAllowed.includes(finalExtension)) {
+      return {
+        rule: 'folder-extension',
+        reason: `Only ${mountAllowed.join(', ')} files are allowed in ${mount.path}`
+      };
+    }
+
+    return null;
+  }
+}
+
+module.exports = UploadPolicy;
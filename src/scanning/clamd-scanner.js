@@ -0,0 +1,124 @@
+'use strict';
+const net = require('net');
+const Scanner = require('./scanner');
+
+/**
+ * Scanner backed by a ClamAV daemon
+ *
+ * The file is streamed to clamd with the INSTREAM command over its unix
+ * socket or TCP port, in chunks each preceded by its 4 byte big-endian
+ * length and ended by a zero length. clamd answers with a NUL-terminated line:
+ *   stream: OK                      - clean
+ *   stream: <signature> FOUND       - infected
+ *   <message> ERROR                 - no verdict, e.g. the file exceeds StreamMaxLength
+ */
+class ClamdScanner extends Scanner {
+  /**
+   * @param {Object} options - Daemon settings
+   * @param {string} [options.socket] - Path of the clamd unix socket, used instead of host and port when set
+   * @param {string} [options.host] - clamd host
+   * @param {number} [options.port] - clamd TCP port
+   * @param {number} options.timeout - Milliseconds without progress before the scan fails
+   * @param {number} [options.chunkSize] - Largest chunk sent at once
+   */
+  constructor(options) {
+    super('clamd');
+    this.socket = options.socket || null;
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port || 3310;
+    this.timeout = options.timeout;
+    this.chunkSize = options.chunkSize || 65536;
+  }
+
+  /**
+   * Parse the reply of clamd to INSTREAM
+   * @param {string} reply - The reply, up to its terminating NUL
+   * @returns {{infected: boolean, signature: string|null}} - The verdict
+   */
+  _parseReply(reply) {
+    const text = reply.trim();
+    if (text === 'stream: OK') {
+      return { infected: false, signature: null };
+    }
+    const found = /^stream: (.+) FOUND$/.exec(text);
+    if (found) {
+      return { infected: true, signature: found[1] };
+    }
+    throw new Error(`clamd answered: ${text || '(nothing)'}`);
+  }
+
+  scan(stream) {
+    return new Promise((resolve, reject) => {
+      const socket = this.socket ? net.createConnection(this.socket) : net.createConnection(this.port, this.host);
+      let reply = '';
+      let settled = false;
+      const finish = (err, verdict) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        socket.destroy();
+        stream.destroy();
+        if (err) {
+          reject(err);
+        } else {
+          resolve(verdict);
+        }
+      };
+      const answer = () => {
+        try {
+          finish(null, this._parseReply(reply.split('\0')[0]));
+        } catch (err) {
+          finish(err);
+        }
+      };
+      // Wait for the socket to take more data, or for the scan to end early
+      const drained = () => new Promise((done) => {
+        const resume = () => {
+          socket.off('drain', resume);
+          socket.off('close', resume);
+          done();
+        };
+        socket.on('drain', resume);
+        socket.on('close', resume);
+      });
+
+      socket.setTimeout(this.timeout, () => finish(new Error(`clamd did not answer within ${this.timeout}ms`)));
+      socket.on('error', finish);
+      socket.on('data', (data) => {
+        reply += data.toString('utf8');
+        // clamd may answer before the stream ends, e.g. when a size limit is exceeded
+        if (reply.includes('\0')) {
+          answer();
+        }
+      });
+      socket.on('end', answer);
+
+      socket.on('connect', async () => {
+        try {
+          socket.write('zINSTREAM\0');
+          for await (const chunk of stream) {
+            for (let offset = 0; offset < chunk.length; offset += this.chunkSize) {
+              if (settled) {
+                return;
+              }
+              const piece = chunk.subarray(offset, offset + this.chunkSize);
+              const length = Buffer.alloc(4);
+              length.writeUInt32BE(piece.length, 0);
+              if (!socket.write(Buffer.concat([length, piece]))) {
+                await drained();
+              }
+            }
+          }
+          if (!settled) {
+            socket.write(Buffer.alloc(4));
+          }
+        } catch (err) {
+          finish(err);
+        }
+      });
+    });
+  }
+}
+
+module.exports = ClamdScanner;
@@ -0,0 +1,24 @@
+'use strict';
+
+const Scanner = require('./scanner');
+const ClamdScanner = require('./clamd-scanner');
+
+/**
+ * Build the scanner named in the scanning configuration
+ * @param {Object} scanningConfig - The `scanning` section of config.js
+ * @returns {Scanner} - The scanner
+ */
+function createScanner(scanningConfig) {
+  switch (scanningConfig.scanner) {
+    case 'clamd':
+      return new ClamdScanner(scanningConfig.clamd);
+    default:
+      throw new Error(`Unknown malware scanner: ${scanningConfig.scanner}`);
+  }
+}
+
+module.exports = {
+  Scanner,
+  ClamdScanner,
+  createScanner
+};
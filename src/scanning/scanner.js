@@ -0,0 +1,35 @@
+'use strict';
+
+/**
+ * Base class for malware scanners
+ *
+ * A scanner reads the content of an uploaded file and answers with
+ * { infected: false } or { infected: true, signature } naming what it found.
+ * It rejects when it can't reach a verdict (scanner down, file too large,
+ * timeout); the server then refuses the upload unless it is configured to
+ * fail open.
+ */
+class Scanner {
+  /**
+   * @param {string} name - Scanner name used in logs and events
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Scan a file
+   * @param {Readable} stream - The file content
+   * @param {Object} file - What is being scanned
+   * @param {string} file.key - The S3 key the file is uploaded to
+   * @param {string} file.path - The client path
+   * @param {number} file.size - The size in bytes
+   * @param {string} file.username - The uploading user
+   * @returns {Promise<{infected: boolean, signature: string|null}>} - The verdict
+   */
+  async scan(stream, file) {
+    throw new Error(`Scanner ${this.name} does not implement scan()`);
+  }
+}
+
+module.exports = Scanner;
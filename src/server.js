@@ -1,13 +1,33 @@
 'use strict';
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const { EventEmitter } = require('events');
-const { PassThrough } = require('stream');
+const { PassThrough, pipeline } = require('stream');
 const { Server } = require('ssh2');
-const { S3Client, GetObjectCommand, PutObjectCommand, DeleteObjectCommand, DeleteObjectsCommand, ListObjectsV2Command, HeadObjectCommand, CopyObjectCommand } = require('@aws-sdk/client-s3');
+const { S3Client, GetObjectCommand, PutObjectCommand, DeleteObjectCommand, DeleteObjectsCommand, ListObjectsV2Command, ListMultipartUploadsCommand, HeadObjectCommand, CopyObjectCommand } = require('@aws-sdk/client-s3');
 const util = require('util');
 const config = require('../config/config');
 const accessControl = require('../config/access-control');
+const authorizedKeys = require('../config/authorized-keys');
+const CredentialStore = require('./auth/credential-store');
+const { AuthProviderChain, createAuthProviders } = require('./auth/providers');
+const LoginThrottle = require('./auth/login-throttle');
+const S3UploadStream = require('./storage/s3-upload-stream');
+const S3DirectoryLister = require('./storage/s3-directory-lister');
+const MountTable = require('./storage/mount-table');
+const S3ReadAhead = require('./storage/s3-read-ahead');
+const OrderedWriter = require('./storage/ordered-writer');
+const StagedUploads = require('./storage/staged-uploads');
+const QuotaManager = require('./storage/quota-manager');
+const DigestStream = require('./storage/digest-stream');
+const UploadPolicy = require('./policy/upload-policy');
+const ContentSniffer = require('./policy/content-sniffer');
+const { createScanner } = require('./scanning');
+const Logger = require('./logging/logger');
+const quotas = require('../config/quotas');
+const mounts = require('../config/mounts');
+const sourceAddresses = require('../config/source-addresses');
 
 // SFTP Constants
 const SFTP_STATUS_CODE = {
@@ -22,6 +42,15 @@ const SFTP_STATUS_CODE = {
   OP_UNSUPPORTED: 8
 };
 
+// Status names by code, used as result codes in the audit log
+const SFTP_STATUS_NAME = Object.fromEntries(Object.entries(SFTP_STATUS_CODE).map(([name, code]) => [code, name]));
+
+// Request events of the SFTP stream, timed for the metrics endpoint
+const SFTP_OPCODES = new Set([
+  'OPEN', 'CLOSE', 'READ', 'WRITE', 'FSTAT', 'FSETSTAT', 'OPENDIR', 'READDIR', 'LSTAT', 'STAT',
+  'REMOVE', 'RMDIR', 'REALPATH', 'READLINK', 'SETSTAT', 'MKDIR', 'RENAME', 'SYMLINK', 'EXTENDED'
+]);
+
 const SFTP_OPEN_MODE = {
   READ: 0x00000001,
   WRITE: 0x00000002,
@@ -31,198 +60,567 @@ const SFTP_OPEN_MODE = {
   EXCLUDE: 0x00000020
 };
 
+// Packet type of replies to extended requests, which ssh2 has no method for
+const SFTP_EXTENDED_REPLY = 201;
+
+// Hash algorithms of the check-file-name and check-file-handle extensions
+const CHECK_FILE_ALGORITHMS = ['md5', 'sha1', 'sha224', 'sha256', 'sha384', 'sha512'];
+// Smallest block size check-file allows, and the most hash bytes in one
+// reply so it stays below the 34000 byte packets every client must accept
+const CHECK_FILE_MIN_BLOCK_SIZE = 256;
+const CHECK_FILE_MAX_HASH_BYTES = 32 * 1024;
+// Bytes md5-hash compares with the client's quick-check hash
+const MD5_HASH_QUICK_CHECK_SIZE = 2048;
+
+// Fields of the hash extensions, after the file name or handle
+const HASH_EXTENSIONS = {
+  'check-file-name': { byHandle: false, fields: ['string', 'uint64', 'uint64', 'uint32'] },
+  'check-file-handle': { byHandle: true, fields: ['string', 'uint64', 'uint64', 'uint32'] },
+  'md5-hash': { byHandle: false, fields: ['uint64', 'uint64', 'string'] },
+  'md5-hash-handle': { byHandle: true, fields: ['uint64', 'uint64', 'string'] }
+};
+
+// CopyObject copies at most 5 GiB. Larger objects are copied in parts, and
+// larger uploads keep their digests out of the metadata
+const MAX_COPY_OBJECT_SIZE = 5 * 1024 * 1024 * 1024;
+
+// Longest delay setTimeout accepts
+const MAX_TIMER_DELAY = 2147483647;
+
 class SFTPS3Server extends EventEmitter {
-  constructor(s3Client, bucketName) {
+  /**
+   * @param {S3Client} s3Client - The S3 client
+   * @param {string} bucketName - The bucket holding user files
+   * @param {Object} [options] - Server options
+   * @param {AuthProvider|Array<AuthProvider>} [options.authProvider] - Authentication provider(s),
+   *   defaults to the chain named in config.auth.providers
+   * @param {Logger} [options.logger] - Application log, defaults to the one described in config.logging
+   * @param {Logger|null} [options.auditLogger] - Audit trail, defaults to the one described in config.logging.audit
+   * @param {Scanner|null} [options.scanner] - Malware scanner for uploads, defaults to the one described in config.scanning
+   */
+  constructor(s3Client, bucketName, options = {}) {
     super();
     this.s3Client = s3Client;
     this.bucketName = bucketName;
-    this.loggingEnabled = false;
     this.ssh = null;
+    this._instrumentS3Client(s3Client);
+
+    // Application log, silent until enableLogging() is called
+    this.logger = options.logger || new Logger({
+      level: config.logging.level,
+      file: config.logging.file,
+      maxFileSize: config.logging.maxFileSize,
+      maxFiles: config.logging.maxFiles
+    });
+    this.logger.enabled = false;
+
+    // Audit trail of logins and file operations, kept apart from the application log
+    if (options.auditLogger !== undefined) {
+      this.auditLogger = options.auditLogger;
+    } else {
+      this.auditLogger = config.logging.audit.enabled ? new Logger({
+        file: config.logging.audit.file,
+        maxFileSize: config.logging.maxFileSize,
+        maxFiles: config.logging.maxFiles,
+        fields: { stream: 'audit' }
+      }) : null;
+    }
     this.lastUploadTime = 0; // Track when files were uploaded
     
     // Use access control configuration
     this.accessControl = accessControl;
+
+    // Per-user authentication methods and public keys
+    this.authorizedKeys = authorizedKeys;
+
+    // Networks users and groups may log in from
+    this.sourceAddresses = sourceAddresses;
+
+    // Hashed password records stored in the bucket
+    this.credentialStore = new CredentialStore(s3Client, bucketName, {
+      prefix: config.auth.credentialsPrefix,
+      hashParams: config.auth.passwordHash,
+      migrateLegacy: config.auth.migrateLegacyCredentials,
+      log: (...args) => this._log(...args)
+    });
+
+    // Authentication providers, asked in order until one accepts or rejects
+    if (Array.isArray(options.authProvider)) {
+      this.authProvider = new AuthProviderChain(options.authProvider, (...args) => this._log(...args));
+    } else {
+      this.authProvider = options.authProvider || createAuthProviders(config.auth, {
+        credentialStore: this.credentialStore,
+        authorizedKeys: this.authorizedKeys,
+        log: (...args) => this._log(...args)
+      });
+    }
     
-    // Track user connections and their activity
-    this.userConnections = new Map(); // Map to track user connections
-    this.idleTimers = new Map(); // Map to track idle timers for each user
+    // Failed login back-off and lockouts per username and client address
+    this.loginThrottle = new LoginThrottle({
+      maxFailuresPerUser: config.auth.lockout.maxFailuresPerUser,
+      maxFailuresPerIp: config.auth.lockout.maxFailuresPerIp,
+      failureWindow: config.auth.lockout.failureWindow * 1000,
+      lockoutDuration: config.auth.lockout.duration * 1000,
+      baseDelay: config.auth.lockout.baseDelay,
+      maxDelay: config.auth.lockout.maxDelay
+    });
+    
+    // Upload policy built from the security configuration
+    this.uploadPolicy = new UploadPolicy(config.security);
+
+    // Malware scanner every upload passes before reaching its final key
+    if (options.scanner !== undefined) {
+      this.scanner = options.scanner;
+    } else {
+      this.scanner = config.scanning.enabled ? createScanner(config.scanning) : null;
+    }
+
+    // Client-visible paths and the S3 prefixes they map to
+    this.mountTable = new MountTable(mounts.mounts);
+
+    // Per-user and per-folder storage quotas
+    this.quotas = quotas;
+    this.quotaManager = new QuotaManager(s3Client, bucketName);
+
+    // Interrupted uploads that a reconnecting client can resume
+    this.stagedUploads = new StagedUploads(config.s3.resumableUploadTtl * 1000);
+    this.stagedUploadTimer = null;
+    // Timers aborting multipart uploads left by a previous run once they expire
+    this.orphanedUploadTimers = new Set();
+
+    // Open SSH connections by session id, logged in or not, for the connection limits
+    this.connections = new Map(); // sessionId -> { clientIp, username }
+
+    // Logged-in SSH connections by session id, each with its own idle timer
+    this.sessions = new Map(); // sessionId -> { sessionId, client, user, channels, idleTimeout, idleTimer, disconnectReason }
+
+    // Whether the missing ssh2 internals of the hash extensions were logged
+    this.rawRepliesWarned = false;
   }
 
   /**
-   * Enables logging to standard output
+   * Enables the application log
    */
   enableLogging() {
-    this.loggingEnabled = true;
+    this.logger.enabled = true;
   }
 
   /**
-   * Disables logging
+   * Disables the application log, the audit trail is not affected
    */
   disableLogging() {
-    this.loggingEnabled = false;
+    this.logger.enabled = false;
   }
 
   /**
-   * Track user activity and reset idle timer
-   * @param {string} username - The username
+   * Get the idle timeout of a session
+   * An `idleTimeout` attribute from the authentication provider (seconds)
+   * takes precedence over config.server.idleTimeout; 0 never times out
+   * @param {Object} user - The session user
+   * @returns {number} - The timeout in milliseconds
    */
-  _trackUserActivity(username) {
-    if (!username) return;
-    
-    // Clear existing idle timer for this user
-    if (this.idleTimers.has(username)) {
-      clearTimeout(this.idleTimers.get(username));
-    }
-    
-    // Set new idle timer for 1 minute (60000 ms)
-    const idleTimer = setTimeout(() => {
-      this._handleIdleConnection(username);
-    }, 60000);
-    
-    this.idleTimers.set(username, idleTimer);
-    
-    // Update last activity time
-    this.userConnections.set(username, {
-      lastActivity: Date.now(),
-      connectionTime: this.userConnections.get(username)?.connectionTime || Date.now()
-    });
-    
-    this._log(util.format('User activity tracked for %s at %s', username, new Date().toISOString()));
+  _idleTimeout(user) {
+    const attribute = user.attributes && user.attributes.idleTimeout;
+    const seconds = attribute !== undefined && attribute !== null ? parseInt(attribute) : config.server.idleTimeout;
+    return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
   }
 
   /**
-   * Handle idle connection for a user
-   * @param {string} username - The username
+   * Check the session for idleness once its timeout could have expired
+   * Requests only update the session's last activity time, the timer is
+   * pushed back when it fires early
+   * @param {Object} session - The tracked session
    */
-  _handleIdleConnection(username) {
-    this._log(util.format('User %s connection is idle for 1 minute - performing idle operation', username));
-    
-    // Perform idle operation - print message
-    console.log(`🚫 IDLE CONNECTION: User ${username} has been idle for 1 minute`);
-    
-    // Emit idle event
-    this.emit('user-idle', { username: username, timestamp: Date.now() });
-    
-    // Clean up timer
-    this.idleTimers.delete(username);
+  _scheduleIdleCheck(session) {
+    if (session.idleTimeout <= 0) {
+      return;
+    }
+    const remaining = session.idleTimeout - (Date.now() - session.user.lastActivity);
+    session.idleTimer = setTimeout(() => this._checkIdleSession(session.sessionId), Math.max(remaining, 1000));
+    session.idleTimer.unref();
   }
 
   /**
-   * Clean up user connection tracking
-   * @param {string} username - The username
+   * Close a session that has been idle for its whole timeout
+   * Requests still being answered, such as a transfer waiting on S3, count as activity
+   * @param {string} sessionId - The session id
    */
-  _cleanupUserConnection(username) {
-    if (!username) return;
-    
-    // Clear idle timer
-    if (this.idleTimers.has(username)) {
-      clearTimeout(this.idleTimers.get(username));
-      this.idleTimers.delete(username);
+  _checkIdleSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return;
     }
-    
-    // Remove from user connections
-    this.userConnections.delete(username);
-    
-    this._log(util.format('Cleaned up connection tracking for user %s', username));
+    const user = session.user;
+    if (user.requestsInFlight > 0) {
+      user.lastActivity = Date.now();
+    }
+    const idleTime = Date.now() - user.lastActivity;
+    if (idleTime < session.idleTimeout) {
+      this._scheduleIdleCheck(session);
+      return;
+    }
+
+    this.logger.warn('Closing idle session', {
+      username: user.username,
+      sessionId: sessionId,
+      clientIp: user.clientIp,
+      idleTime: idleTime
+    });
+    this.emit('user-idle', {
+      username: user.username,
+      sessionId: sessionId,
+      clientIp: user.clientIp,
+      idleTime: idleTime,
+      idleTimeout: session.idleTimeout,
+      timestamp: Date.now()
+    });
+    this.disconnectSession(sessionId, 'idle');
   }
 
   /**
-   * Handle client disconnect events
-   * @param {string} username - The username
+   * End the tracking of a connection, once, whichever of its end, close or
+   * error events comes first
+   * @param {Object|null} user - The session user, null if the client never logged in
    * @param {string} eventType - Type of disconnect event
    */
-  _handleClientDisconnect(username, eventType) {
-    if (!username) return;
+  _handleClientDisconnect(user, eventType) {
+    if (!user || user.logoutTime) return;
+    user.logoutTime = Date.now();
+
+    const session = this.sessions.get(user.sessionId);
+    this.sessions.delete(user.sessionId);
+    if (session) {
+      clearTimeout(session.idleTimer);
+    }
+    const reason = session ? session.disconnectReason : null;
+    const duration = user.logoutTime - user.loginTime;
     
-    this._log(util.format('Client disconnected for user: %s (event: %s)', username, eventType));
+    this._log(util.format('Client disconnected for user: %s (event: %s)', user.username, eventType));
     
-    // Print disconnect message with user ID
-    console.log(`👋 Client disconnected for userId: ${username} (${eventType})`);
+    this.logger.info('Client disconnected', { username: user.username, sessionId: user.sessionId, event: eventType, reason: reason || undefined });
+    this._audit(user, 'logout', { duration: duration, reason: reason || undefined, result: 'OK' });
     
-    // Clean up user connection tracking
-    this._cleanupUserConnection(username);
+    // Sessions that got as far as the login event also report the logout
+    if (session) {
+      this.emit('logout', { username: user.username, sessionId: user.sessionId, duration: duration, reason: reason, timestamp: Date.now() });
+    }
     
     // Emit disconnect event
-    this.emit('client-disconnected', { username: username, eventType: eventType });
+    this.emit('client-disconnected', { username: user.username, sessionId: user.sessionId, eventType: eventType });
+  }
+
+  /**
+   * Count open connections
+   * @param {Function} [filter] - Only count connections ({ clientIp, username }) it accepts
+   * @returns {number} - The number of connections
+   */
+  _connectionCount(filter = () => true) {
+    let count = 0;
+    for (const connection of this.connections.values()) {
+      if (filter(connection)) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Check a new connection against the global and per-address limits
+   * @param {string} clientIp - The client address
+   * @returns {Object|null} - { reason, limit } if the connection is refused, null otherwise
+   */
+  _checkConnectionLimits(clientIp) {
+    const limits = config.server;
+    if (limits.maxConnections > 0 && this.connections.size >= limits.maxConnections) {
+      return { reason: 'max-connections', limit: limits.maxConnections };
+    }
+    if (limits.maxConnectionsPerIp > 0 &&
+      this._connectionCount(connection => connection.clientIp === clientIp) >= limits.maxConnectionsPerIp) {
+      return { reason: 'max-connections-per-ip', limit: limits.maxConnectionsPerIp };
+    }
+    return null;
+  }
+
+  /**
+   * Get how many sessions a user may have open at once
+   * A `maxSessions` attribute from the authentication provider takes
+   * precedence over config.server.maxSessionsPerUser; 0 is unlimited
+   * @param {Object} attributes - The attributes returned by the authentication provider
+   * @returns {number} - The limit
+   */
+  _maxSessions(attributes) {
+    const value = attributes.maxSessions !== undefined && attributes.maxSessions !== null ?
+      parseInt(attributes.maxSessions) : config.server.maxSessionsPerUser;
+    return Number.isFinite(value) && value > 0 ? value : 0;
+  }
+
+  /**
+   * Count a failed login, report lockouts it starts and hold back the rejection
+   * @param {string} username - The username
+   * @param {string} clientIp - The client address
+   * @returns {Promise<void>} - Resolves once the back-off delay has passed
+   */
+  async _loginFailed(username, clientIp) {
+    const { delay, lockouts } = this.loginThrottle.failure(username, clientIp);
+    for (const lockout of lockouts) {
+      this.logger.warn('Login locked out', {
+        scope: lockout.scope,
+        key: lockout.key,
+        failures: lockout.failures,
+        lockedUntil: new Date(lockout.lockedUntil).toISOString()
+      });
+      this.emit('auth-lockout', {
+        scope: lockout.scope,
+        key: lockout.key,
+        username: username,
+        clientIp: clientIp,
+        failures: lockout.failures,
+        lockedUntil: lockout.lockedUntil,
+        timestamp: Date.now()
+      });
+    }
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * List usernames and client addresses locked out after failed logins
+   * @returns {Array<Object>} - { scope ('user' or 'ip'), key, failures, lastFailure, lockedUntil } for each lockout
+   */
+  getLockouts() {
+    return this.loginThrottle.list();
+  }
+
+  /**
+   * Lift lockouts and forget failed logins
+   * @param {string} [scope] - 'user' or 'ip', everything if omitted
+   * @param {string} [key] - The username or address, every one of the scope if omitted
+   * @returns {number} - Number of usernames and addresses cleared
+   */
+  clearLockouts(scope, key) {
+    const cleared = this.loginThrottle.clear(scope, key);
+    this._log(util.format('Cleared %d lockout entries (%s %s)', cleared, scope || 'all', key || ''));
+    return cleared;
+  }
+
+  /**
+   * Close a connection refused by a limit and report it
+   * @param {Connection} client - The SSH client connection
+   * @param {Object} details - sessionId, clientIp, reason and limit, plus username once known
+   */
+  _rejectConnection(client, details) {
+    this.logger.warn('Connection rejected', details);
+    this.emit('connection-rejected', Object.assign({}, details, { timestamp: Date.now() }));
+    // Errors of a connection closed this early are of no interest
+    client.on('error', () => {});
+    client.end();
+  }
+
+  /**
+   * Get the connection limits and how much of them is in use
+   * @returns {Object} - The configured limits, the open connections per
+   *   address and the connections of each logged-in user
+   */
+  getConnectionLimits() {
+    const byIp = {};
+    const byUser = {};
+    for (const connection of this.connections.values()) {
+      byIp[connection.clientIp] = (byIp[connection.clientIp] || 0) + 1;
+      if (connection.username) {
+        byUser[connection.username] = (byUser[connection.username] || 0) + 1;
+      }
+    }
+    return {
+      maxConnections: config.server.maxConnections,
+      maxConnectionsPerIp: config.server.maxConnectionsPerIp,
+      maxSessionsPerUser: config.server.maxSessionsPerUser,
+      connections: this.connections.size,
+      connectionsByIp: byIp,
+      sessionsByUser: byUser
+    };
   }
 
   /**
    * Force disconnect a specific user
    * @param {string} username - The username to disconnect
+   * @param {string} [reason] - Why the user is disconnected, recorded in the audit trail
    * @returns {boolean} - True if user was found and disconnected, false otherwise
    */
-  forceDisconnectUser(username) {
+  forceDisconnectUser(username, reason = 'admin') {
     if (!username) return false;
     
     this._log(util.format('Force disconnecting user: %s', username));
     
-    // Find and close the client connection for this user
-    if (this.ssh && this.ssh.clients) {
-      for (const client of this.ssh.clients) {
-        if (client.authenticatedUser && client.authenticatedUser.username === username) {
-          this._log(util.format('Found client for user %s, closing connection', username));
-          client.end();
-          return true;
-        }
+    // Close every connection of this user
+    let found = false;
+    for (const session of this.sessions.values()) {
+      if (session.user.username === username) {
+        found = this.disconnectSession(session.sessionId, reason) || found;
       }
     }
-    
-    // If no active client found, just clean up tracking
-    this._cleanupUserConnection(username);
-    this._log(util.format('No active client found for user %s, cleaned up tracking', username));
-    
-    return false;
+    if (!found) {
+      this._log(util.format('No active client found for user %s', username));
+    }
+    return found;
+  }
+
+  /**
+   * Disconnect one SSH connection
+   * @param {string} sessionId - The session id, as listed by getActiveConnections()
+   * @param {string} [reason] - Why the session is disconnected, recorded in the audit trail
+   * @returns {boolean} - True if the session was found and disconnected
+   */
+  disconnectSession(sessionId, reason = 'admin') {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return false;
+    }
+    this._log(util.format('Disconnecting session %s of user %s (%s)', sessionId, session.user.username, reason));
+    session.disconnectReason = reason;
+    this.emit('session-disconnected', {
+      sessionId: sessionId,
+      username: session.user.username,
+      clientIp: session.user.clientIp,
+      reason: reason,
+      timestamp: Date.now()
+    });
+    session.client.end();
+    return true;
   }
 
   /**
    * Get list of active user connections
-   * @returns {Array} - Array of active user connection info
+   * @returns {Array} - One entry per logged-in SSH connection, with its
+   *   session id, client IP, login and idle time, open handles and storage usage
    */
   getActiveConnections() {
     const connections = [];
-    
-    if (this.ssh && this.ssh.clients) {
-      for (const client of this.ssh.clients) {
-        if (client.authenticatedUser) {
-          const username = client.authenticatedUser.username;
-          const connectionInfo = this.userConnections.get(username);
-          
-          connections.push({
-            username: username,
-            connectionTime: connectionInfo?.connectionTime || Date.now(),
-            lastActivity: connectionInfo?.lastActivity || Date.now(),
-            idleTime: Date.now() - (connectionInfo?.lastActivity || Date.now())
+    const now = Date.now();
+
+    for (const session of this.sessions.values()) {
+      const user = session.user;
+      const openFiles = [];
+      let openDirectories = 0;
+      for (const channel of session.channels) {
+        for (const state of channel.openFiles.values()) {
+          openFiles.push({
+            path: state.filename,
+            mode: state.flags & SFTP_OPEN_MODE.READ ? 'read' : 'write',
+            bytes: state.bytes,
+            openedAt: state.openedAt
           });
         }
-      }
+        openDirectories += channel.openDirs.size;
+      }
+
+      connections.push({
+        sessionId: session.sessionId,
+        username: user.username,
+        clientIp: user.clientIp,
+        method: user.method,
+        loginTime: user.loginTime,
+        lastActivity: user.lastActivity,
+        idleTime: now - user.lastActivity,
+        idleTimeout: session.idleTimeout,
+        openFiles: openFiles,
+        openDirectories: openDirectories,
+        storage: this.quotas.getLimits(user).map(limit => ({
+          scope: limit.scope,
+          name: limit.name,
+          limit: limit.limit,
+          used: this.quotaManager.getCachedUsage(limit.prefix)
+        }))
+      });
     }
     
     return connections;
   }
 
+  /**
+   * Get storage usage and quotas for a user
+   * @param {string} username - The username
+   * @param {string} [userPath] - The user's base path, defaults to the configured user base path
+   * @returns {Promise<Object>} - Usage of the user's directory and of each folder with a quota
+   */
+  async getStorageUsage(username, userPath = `${config.sftp.userBasePath}/${username}`) {
+    const user = { username: username, path: userPath };
+    const limits = this.quotas.getLimits(user);
+
+    const used = await this.quotaManager.getUsage(`${userPath}/`);
+    const userLimit = limits.find(limit => limit.scope === 'user');
+    const folders = [];
+    for (const limit of limits.filter(l => l.scope === 'folder')) {
+      folders.push({
+        folder: limit.name,
+        used: await this.quotaManager.getUsage(limit.prefix),
+        limit: limit.limit
+      });
+    }
+
+    return {
+      username: username,
+      used: used,
+      limit: userLimit ? userLimit.limit : 0,
+      folders: folders
+    };
+  }
+
+  /**
+   * Get the interrupted uploads of a user that can still be resumed
+   * @param {string} username - The username
+   * @returns {Array<Object>} - The staged uploads (key, size, stagedAt, expiresAt)
+   */
+  getStagedUploads(username) {
+    return this.stagedUploads.list(username).map(record => ({
+      key: record.key,
+      size: record.size,
+      stagedAt: record.stagedAt,
+      expiresAt: record.expiresAt
+    }));
+  }
+
+  /**
+   * Explain why a user may or may not perform an operation on a path under the current access policy
+   * @param {string} username - The username
+   * @param {string} filePath - The client path
+   * @param {string} permission - The operation (read, write, list, delete or rename)
+   * @param {Array<string>} [groups] - Groups the authentication provider reports for the user
+   * @returns {{allowed: boolean, rule: Object|null, reason: string, matches: Array<Object>}} - The decision and the rules behind it
+   */
+  explainAccess(username, filePath, permission, groups = []) {
+    return this.accessControl.explain(username, this._normalizePath(filePath), permission, groups);
+  }
+
+  /**
+   * Reload the access policy file, keeping the current policy if the file is invalid
+   * @returns {boolean} - True if the new policy is in effect
+   */
+  reloadAccessPolicy() {
+    try {
+      this._accessPolicyReloaded(null, this.accessControl.reload());
+      return true;
+    } catch (err) {
+      this._accessPolicyReloaded(err, this.accessControl.policy);
+      return false;
+    }
+  }
+
   /**
    * Disconnect all users
-   * @returns {number} - Number of users disconnected
+   * @param {string} [reason] - Why the users are disconnected, recorded in the audit trail
+   * @returns {number} - Number of connections closed
    */
-  disconnectAllUsers() {
+  disconnectAllUsers(reason = 'admin') {
     let disconnectedCount = 0;
     
-    if (this.ssh && this.ssh.clients) {
-      for (const client of this.ssh.clients) {
-        if (client.authenticatedUser) {
-          const username = client.authenticatedUser.username;
-          this._log(util.format('Disconnecting user: %s', username));
-          client.end();
-          disconnectedCount++;
-        }
+    for (const sessionId of [...this.sessions.keys()]) {
+      if (this.disconnectSession(sessionId, reason)) {
+        disconnectedCount++;
       }
     }
     
-    // Clean up all tracking
-    this.idleTimers.clear();
-    this.userConnections.clear();
-    
-    this._log(util.format('Disconnected %d users and cleaned up tracking', disconnectedCount));
+    this._log(util.format('Disconnected %d sessions', disconnectedCount));
     return disconnectedCount;
   }
 
@@ -242,61 +640,190 @@ class SFTPS3Server extends EventEmitter {
     const serverKey = fs.readFileSync(serverKeyPath);
 
     this.ssh = new Server({
-      hostKeys: [serverKey],
-      authMethods: ['password']
+      hostKeys: [serverKey]
     });
 
-    this.ssh.on('connection', (client) => {
+    this.ssh.on('connection', (client, info) => {
       let authenticatedUser = null;
+      const clientIp = info && info.ip;
+      // Identifies the connection in the audit trail
+      const sessionId = crypto.randomBytes(8).toString('hex');
+
+      // Turn away connections beyond the global and per-address limits
+      const refusal = this._checkConnectionLimits(clientIp);
+      if (refusal) {
+        this._rejectConnection(client, Object.assign({ sessionId: sessionId, clientIp: clientIp }, refusal));
+        return;
+      }
+      const connection = { clientIp: clientIp, username: null };
+      this.connections.set(sessionId, connection);
+      client.on('close', () => {
+        this.connections.delete(sessionId);
+      });
 
       client.on('error', (err) => {
         this.emit('client-error', { client: client, error: err });
       });
 
       client.on('authentication', async (ctx) => {
+        const methods = this.authorizedKeys.getAuthMethods(ctx.username);
+
+        // Create the session user once any allowed method succeeds, applying
+        // the attributes returned by the authentication provider
+        const acceptUser = async (attributes) => {
+          // Refuse logins beyond the user's concurrent session limit
+          const maxSessions = this._maxSessions(attributes);
+          const sessions = this._connectionCount(other => other.username === ctx.username);
+          if (maxSessions > 0 && sessions >= maxSessions) {
+            this._audit({ username: ctx.username, sessionId: sessionId, clientIp: clientIp }, 'login', {
+              method: ctx.method,
+              reason: 'max-sessions-per-user',
+              result: 'PERMISSION_DENIED'
+            });
+            ctx.reject([], false);
+            this._rejectConnection(client, {
+              sessionId: sessionId,
+              clientIp: clientIp,
+              username: ctx.username,
+              reason: 'max-sessions-per-user',
+              limit: maxSessions
+            });
+            return;
+          }
+          // Counted from here on, so parallel logins see each other
+          connection.username = ctx.username;
+
+          // Set user-specific base path, providers may override it
+          const userPath = attributes.home || `${config.sftp.userBasePath}/${ctx.username}`;
+
+          // Create user-specific folder if it doesn't exist
+          await this._ensureUserDirectory(ctx.username, userPath);
+
+          authenticatedUser = {
+            username: ctx.username,
+            path: userPath,
+            permissions: attributes.permissions || null,
+            quota: attributes.quota || null,
+            attributes: attributes,
+            method: ctx.method,
+            sessionId: sessionId,
+            clientIp: clientIp,
+            loginTime: Date.now(),
+            lastActivity: Date.now(),
+            requestsInFlight: 0
+          };
+          this._log(util.format('User %s authenticated successfully via %s with base path: %s', ctx.username, ctx.method, authenticatedUser.path));
+          this._audit(authenticatedUser, 'login', { method: ctx.method, result: 'OK' });
+          return ctx.accept();
+        };
+
         try {
-          if (ctx.method === 'password') {
-            // Handle password authentication
-            const isAuthenticated = await this._authenticateUser(ctx.username, ctx.password);
-            if (isAuthenticated) {
-              // Create user-specific folder if it doesn't exist
-              await this._ensureUserDirectory(ctx.username);
-              
-              authenticatedUser = {
-                username: ctx.username,
-                path: `${config.sftp.userBasePath}/${ctx.username}` // Set user-specific base path
-              };
-              this._log(util.format('User %s authenticated successfully with base path: %s', ctx.username, authenticatedUser.path));
-              return ctx.accept();
-            } else {
-              this._log(util.format('Authentication failed for user %s', ctx.username));
-              return ctx.reject(['password'], false);
-            }
-          } else if (ctx.method === 'publickey') {
-            // Handle public key authentication if needed
-            this._log(util.format('Public key authentication not implemented for user %s', ctx.username));
-            return ctx.reject(['password'], false);
-          } else if (ctx.method === 'none') {
-            // Reject none authentication method
+          if (ctx.method === 'none') {
+            // Reject none authentication method, advertising the user's methods
             this._log(util.format('Rejecting none authentication method for user %s', ctx.username));
-            return ctx.reject(['password'], false);
-          } else {
-            // Only allow password authentication
+            return ctx.reject(methods, false);
+          }
+
+          if (!methods.includes(ctx.method)) {
+            this._log(util.format('Authentication method %s not allowed for user %s', ctx.method, ctx.username));
+            return ctx.reject(methods, false);
+          }
+
+          if (ctx.method !== 'password' && ctx.method !== 'publickey') {
             this._log(util.format('Unsupported authentication method: %s', ctx.method));
-            return ctx.reject(['password'], false);
+            return ctx.reject(methods, false);
+          }
+
+          // Users limited to known networks are refused from anywhere else, whatever their credentials
+          const source = this.sourceAddresses.check(ctx.username, this.accessControl.getPolicy().groupsOf(ctx.username), clientIp);
+          if (!source.allowed) {
+            this.logger.warn('Login refused from source address', { username: ctx.username, clientIp: clientIp, reason: source.reason });
+            this._audit({ username: ctx.username, sessionId: sessionId, clientIp: clientIp }, 'login', {
+              method: ctx.method,
+              reason: 'source-address',
+              result: 'PERMISSION_DENIED'
+            });
+            this.emit('source-address-rejected', {
+              username: ctx.username,
+              method: ctx.method,
+              clientIp: clientIp,
+              reason: source.reason,
+              timestamp: Date.now()
+            });
+            this.emit('auth-failure', { username: ctx.username, method: ctx.method, clientIp: clientIp, reason: 'source-address', timestamp: Date.now() });
+            ctx.reject([], false);
+            client.end();
+            return;
+          }
+
+          // Locked out usernames and addresses are refused without checking credentials
+          const lockout = this.loginThrottle.lockout(ctx.username, clientIp);
+          if (lockout) {
+            this._log(util.format('Refusing %s login for user %s from %s: %s %s locked out', ctx.method, ctx.username, clientIp, lockout.scope, lockout.key));
+            this._audit({ username: ctx.username, sessionId: sessionId, clientIp: clientIp }, 'login', {
+              method: ctx.method,
+              reason: 'locked-out',
+              result: 'PERMISSION_DENIED'
+            });
+            this.emit('auth-failure', { username: ctx.username, method: ctx.method, clientIp: clientIp, reason: 'locked-out', timestamp: Date.now() });
+            return ctx.reject(methods, false);
+          }
+
+          const result = await this._authenticateUser(ctx, clientIp);
+          if (!result) {
+            this._log(util.format('Authentication failed for user %s', ctx.username));
+            // Key queries without a signature are clients probing their keys, not login attempts
+            if (ctx.method === 'password' || ctx.signature) {
+              this._audit({ username: ctx.username, sessionId: sessionId, clientIp: clientIp }, 'login', {
+                method: ctx.method,
+                result: 'PERMISSION_DENIED'
+              });
+              this.emit('auth-failure', { username: ctx.username, method: ctx.method, clientIp: clientIp, reason: 'rejected', timestamp: Date.now() });
+              await this._loginFailed(ctx.username, clientIp);
+            }
+            return ctx.reject(methods, false);
+          }
+          if (ctx.method === 'publickey' && !ctx.signature) {
+            // Key query without signature - tell the client the key is acceptable
+            return ctx.accept();
           }
+          this.loginThrottle.success(ctx.username);
+          return acceptUser(result.attributes || {});
         } catch (error) {
-          this._log(util.format('Authentication error for user %s: %s', ctx.username, error.message));
-          return ctx.reject(['password'], false);
+          connection.username = null;
+          this._logError('Authentication error for user %s: %s', ctx.username, error.message);
+          this._audit({ username: ctx.username, sessionId: sessionId, clientIp: clientIp }, 'login', {
+            method: ctx.method,
+            result: 'FAILURE',
+            error: error.message
+          });
+          this.emit('auth-failure', { username: ctx.username, method: ctx.method, clientIp: clientIp, reason: 'error', timestamp: Date.now() });
+          return ctx.reject(methods, false);
         }
       });
 
       client.on('ready', () => {
         this._log(util.format('Client authenticated as %s', authenticatedUser.username));
-        this.emit('login', { username: authenticatedUser.username });
+        const tracked = {
+          sessionId: sessionId,
+          client: client,
+          user: authenticatedUser,
+          channels: new Set(), // { openFiles, openDirs } of each SFTP channel
+          idleTimeout: this._idleTimeout(authenticatedUser),
+          idleTimer: null,
+          disconnectReason: null
+        };
+        this.sessions.set(sessionId, tracked);
+        this.emit('login', {
+          username: authenticatedUser.username,
+          method: authenticatedUser.method,
+          sessionId: sessionId,
+          clientIp: clientIp,
+          timestamp: Date.now()
+        });
 
-        // Start tracking user activity
-        this._trackUserActivity(authenticatedUser.username);
+        // Close the session once it stays idle for too long
+        this._scheduleIdleCheck(tracked);
 
         client.on('session', (accept, reject) => {
           const session = accept();
@@ -307,41 +834,58 @@ class SFTPS3Server extends EventEmitter {
             const openDirs = new Map();
             let handleCount = 0;
 
+            // Open handles are listed by getActiveConnections()
+            const channel = { openFiles: openFiles, openDirs: openDirs };
+            this.sessions.get(sessionId).channels.add(channel);
+            sftp.on('close', () => {
+              const current = this.sessions.get(sessionId);
+              if (current) {
+                current.channels.delete(channel);
+              }
+            });
+
             // Handle SFTP operations
             this._setupSFTPHandlers(sftp, openFiles, openDirs, handleCount, authenticatedUser);
           });
 
-          // Handle session close
+          // A closed channel doesn't end the connection, which may open another
           session.on('close', () => {
-            const username = authenticatedUser?.username;
-            this._log(util.format('Session close event for user: %s', username));
-            this._handleClientDisconnect(username, 'session-close');
+            this._log(util.format('Session close event for user: %s', authenticatedUser.username));
           });
         });
       });
 
       // Handle client disconnect events
       client.on('end', () => {
-        const username = authenticatedUser?.username;
-        this._log(util.format('Client end event for user: %s', username));
-        this._handleClientDisconnect(username, 'end');
+        this._log(util.format('Client end event for user: %s', authenticatedUser?.username));
+        this._handleClientDisconnect(authenticatedUser, 'end');
       });
 
       client.on('close', () => {
-        const username = authenticatedUser?.username;
-        this._log(util.format('Client close event for user: %s', username));
-        this._handleClientDisconnect(username, 'close');
+        this._log(util.format('Client close event for user: %s', authenticatedUser?.username));
+        this._handleClientDisconnect(authenticatedUser, 'close');
       });
 
       client.on('error', (err) => {
-        const username = authenticatedUser?.username;
-        this._log(util.format('Client error event for user %s: %s', username, err.message));
-        this._handleClientDisconnect(username, 'error');
+        this._log(util.format('Client error event for user %s: %s', authenticatedUser?.username, err.message));
+        this._handleClientDisconnect(authenticatedUser, 'error');
       });
     });
 
+    // Load the access policy and pick up changes to its file
+    const policy = this.accessControl.load();
+    this.logger.info('Access policy loaded', { file: this.accessControl.file, rules: policy.rules.length });
+    this.accessControl.watch((err, reloaded) => this._accessPolicyReloaded(err, reloaded));
+
+    // Abort staged uploads that were not resumed in time
+    if (config.s3.resumableUploadTtl > 0) {
+      this.stagedUploadTimer = setInterval(() => this._expireStagedUploads(), Math.min(config.s3.resumableUploadTtl * 1000, 60000));
+      this.stagedUploadTimer.unref();
+    }
+    this._abortOrphanedUploads(Date.now());
+
     this.ssh.listen(port, bindAddress, () => {
-      this._log(util.format('SFTP server listening on %s:%d', bindAddress, port));
+      this.logger.info('SFTP server listening', { host: bindAddress, port: port });
       if (callback) {
         callback(port);
       }
@@ -354,92 +898,536 @@ class SFTPS3Server extends EventEmitter {
    */
   stop(cb) {
     // Clean up all idle timers
-    for (const [username, timer] of this.idleTimers) {
-      clearTimeout(timer);
-      this._log(util.format('Cleaned up idle timer for user %s', username));
+    for (const session of this.sessions.values()) {
+      clearTimeout(session.idleTimer);
     }
-    this.idleTimers.clear();
-    this.userConnections.clear();
-    
-    if (this.ssh) {
-      this.ssh.close(cb);
-      this.ssh = null;
-    } else {
-      process.nextTick(cb);
+
+    if (this.stagedUploadTimer) {
+      clearInterval(this.stagedUploadTimer);
+      this.stagedUploadTimer = null;
+    }
+    for (const timer of this.orphanedUploadTimers) {
+      clearTimeout(timer);
     }
+    this.orphanedUploadTimers.clear();
+
+    this.accessControl.unwatch();
+
+    // Staged uploads can't be resumed once the server is gone
+    const aborts = this.stagedUploads.expire(Infinity)
+      .map(({ username, record }) => this._abortStagedUpload(username, record, 'shutdown'));
+
+    const done = () => {
+      this.logger.close();
+      if (this.auditLogger) {
+        this.auditLogger.close();
+      }
+      if (cb) {
+        cb();
+      }
+    };
+    const ssh = this.ssh;
+    this.ssh = null;
+    Promise.all(aborts).then(() => {
+      if (ssh) {
+        ssh.close(done);
+      } else {
+        done();
+      }
+    });
   }
 
   //------------------------- Private Methods -------------------------------------
 
+  /**
+   * Write request-level detail to the application log at debug level
+   * @param {...*} args - Message parts, joined like console.log
+   */
   _log(...args) {
-    if (this.loggingEnabled) {
-      console.log.apply(console, args);
+    if (this.logger.isLevelEnabled('debug')) {
+      this.logger.debug(util.format(...args));
     }
   }
 
   /**
-   * Check if a file type is allowed for upload
-   * @param {string} filename - The filename to check
-   * @returns {boolean} - True if file type is allowed
+   * Report every call made through the S3 client with an `s3-request` event
+   * (command, duration and the error name if it failed)
+   * @param {S3Client} s3Client - The S3 client
    */
-  _isFileTypeAllowed(filename) {
-    // Only allow PDF files for ledgers and invoices directories
-    const lowerFilename = filename.toLowerCase();
-    
-    // Check if this is a path to ledgers or invoices directory
-    if (lowerFilename.startsWith('/ledgers/') || lowerFilename.startsWith('/invoices/') ||
-        lowerFilename === '/ledgers' || lowerFilename === '/invoices') {
-      
-      // For ledgers and invoices, only allow PDF files
-      if (!lowerFilename.endsWith('.pdf')) {
-        this._log(util.format('File type not allowed in ledgers/invoices: %s (only PDF files allowed)', filename));
-        return false;
+  _instrumentS3Client(s3Client) {
+    if (!s3Client.middlewareStack) {
+      return;
+    }
+    s3Client.middlewareStack.add((next, context) => async (args) => {
+      const command = String(context.commandName || 'Unknown').replace(/Command$/, '');
+      const startedAt = Date.now();
+      try {
+        const result = await next(args);
+        this.emit('s3-request', { command: command, duration: Date.now() - startedAt, error: null });
+        return result;
+      } catch (err) {
+        // S3 errors are named after their code, network errors carry theirs in `code`
+        const error = err.name && err.name !== 'Error' ? err.name : (err.code || 'Error');
+        this.emit('s3-request', { command: command, duration: Date.now() - startedAt, error: error });
+        throw err;
       }
-      
-      // Also check for empty or invalid filenames
-      if (lowerFilename === '/ledgers' || lowerFilename === '/invoices' ||
-          lowerFilename === '/ledgers/' || lowerFilename === '/invoices/' ||
-          lowerFilename.endsWith('/ledgers/') || lowerFilename.endsWith('/invoices/')) {
-        this._log(util.format('Cannot upload to directory path: %s (must specify filename)', filename));
-        return false;
+    }, { step: 'initialize', name: 'sftpRequestTiming', override: true });
+  }
+
+  /**
+   * Write a failure to the application log at error level
+   * @param {...*} args - Message parts, joined like console.log
+   */
+  _logError(...args) {
+    this.logger.error(util.format(...args));
+  }
+
+  /**
+   * Write a record to the audit trail
+   * @param {Object} user - The session user (username, sessionId and clientIp)
+   * @param {string} operation - The operation, e.g. login, upload, download, remove
+   * @param {Object} fields - Details such as path, bytes, duration and result
+   */
+  _audit(user, operation, fields) {
+    if (!this.auditLogger) {
+      return;
+    }
+    this.auditLogger.write(Object.assign({
+      sessionId: user.sessionId,
+      username: user.username,
+      clientIp: user.clientIp,
+      operation: operation
+    }, fields));
+  }
+
+  /**
+   * Read the fields of an extended request
+   * @param {Buffer} data - The request data after the extension name
+   * @param {Array<string>} types - The field types in order: 'string', 'uint32' or 'uint64'
+   * @returns {Array|null} - The values, strings as Buffers, or null if the data is too short
+   */
+  _readExtendedFields(data, types) {
+    const values = [];
+    let offset = 0;
+    for (const type of types) {
+      if (type === 'string') {
+        if (offset + 4 > data.length || offset + 4 + data.readUInt32BE(offset) > data.length) {
+          return null;
+        }
+        const length = data.readUInt32BE(offset);
+        values.push(data.subarray(offset + 4, offset + 4 + length));
+        offset += 4 + length;
+      } else {
+        const size = type === 'uint64' ? 8 : 4;
+        if (offset + size > data.length) {
+          return null;
+        }
+        values.push(type === 'uint64' ? Number(data.readBigUInt64BE(offset)) : data.readUInt32BE(offset));
+        offset += size;
       }
     }
-    
-    // Allow all other file types in other directories
-    return true;
+    return values;
   }
 
+  /**
+   * Encode an SFTP string: its length followed by its bytes
+   * @param {string|Buffer} value - The string
+   * @returns {Buffer} - The encoded string
+   */
+  _sftpString(value) {
+    const bytes = Buffer.isBuffer(value) ? value : Buffer.from(value, 'utf8');
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(bytes.length, 0);
+    return Buffer.concat([length, bytes]);
+  }
 
+  /**
+   * Check that an SFTP stream has the ssh2 internals _writeSftpPacket uses
+   * They are private to ssh2, whose version is pinned in package.json for
+   * them. If another version changes them the hash extensions answer
+   * OP_UNSUPPORTED instead of writing to the channel blindly
+   * @param {SFTPStream} sftp - The SFTP stream
+   * @returns {boolean} - True if raw packets can be written
+   */
+  _canWriteSftpPackets(sftp) {
+    const outgoing = sftp.outgoing;
+    return Boolean(outgoing) &&
+      typeof outgoing.window === 'number' &&
+      typeof outgoing.packetSize === 'number' &&
+      Array.isArray(sftp._buffer) &&
+      typeof sftp._waitWindow === 'boolean' &&
+      Boolean(sftp._protocol) &&
+      typeof sftp._protocol.channelData === 'function';
+  }
 
-  _mapKey(userPath, filename) {
-    // Ensure userPath is defined - default to users directory if not set
-    if (!userPath) {
-      userPath = 'users';
-    }
-    
-    let p = filename;
-    p = p.replace(/\\\\/g, '/');
-    p = p.replace(/\\.\\/g, '/');
-    p = p.replace(/\\/g, '/');
-    p = path.normalize(p);
-    p = p.replace(/\\/g, '/');
-    
-    if (!p.startsWith('/')) {
-      p = '/' + p;
+  /**
+   * Send an SSH_FXP_EXTENDED_REPLY
+   * ssh2 has no method for it, so the packet is written the way ssh2 writes
+   * its own replies: to the channel while its window has room, queued behind
+   * the replies already waiting for the client to grow the window otherwise
+   * @param {SFTPStream} sftp - The SFTP stream
+   * @param {number} reqid - The request ID
+   * @param {Buffer} data - The reply data after the request ID
+   */
+  _sendExtendedReply(sftp, reqid, data) {
+    const packet = Buffer.alloc(9 + data.length);
+    packet.writeUInt32BE(packet.length - 4, 0);
+    packet[4] = SFTP_EXTENDED_REPLY;
+    packet.writeUInt32BE(reqid, 5);
+    data.copy(packet, 9);
+    this._writeSftpPacket(sftp, packet);
+  }
+
+  /**
+   * Write a raw packet to an SFTP stream, respecting the channel window
+   * @param {SFTPStream} sftp - The SFTP stream
+   * @param {Buffer} packet - The packet
+   */
+  _writeSftpPacket(sftp, packet) {
+    const outgoing = sftp.outgoing;
+    if (outgoing.state !== 'open') {
+      return;
     }
-    
-    // Handle direct access to ledgers and invoices folders
-    // If user tries to access /ledgers, map it to /users/username/ledgers
-    if (p === '/ledgers' || p === '/invoices') {
-      // Extract username from userPath (userPath format: users/username)
-      const pathParts = userPath.split('/');
-      if (pathParts.length >= 2) {
-        const username = pathParts[1];
-        return `${userPath}${p}`;
+
+    let offset = 0;
+    if (sftp._buffer.length === 0) {
+      while (offset < packet.length && outgoing.window > 0) {
+        const length = Math.min(packet.length - offset, outgoing.window, outgoing.packetSize);
+        outgoing.window -= length;
+        sftp._protocol.channelData(outgoing.id, packet.subarray(offset, offset + length));
+        offset += length;
       }
     }
-    
-    return userPath + p;
+    if (offset === packet.length) {
+      return;
+    }
+
+    sftp._buffer.push(packet.subarray(offset));
+    // ssh2 flushes its queue when the window grows if it is already waiting
+    if (!sftp._waitWindow) {
+      sftp._waitWindow = true;
+      sftp._chunkcb = () => {
+        sftp._chunkcb = undefined;
+        for (const queued of sftp._buffer.splice(0)) {
+          this._writeSftpPacket(sftp, queued);
+        }
+      };
+    }
+  }
+
+  /**
+   * Answer a check-file or md5-hash request
+   * @param {SFTPStream} sftp - The SFTP stream
+   * @param {number} reqid - The request ID
+   * @param {string} name - The extension name
+   * @param {Array} args - The request fields after the file name or handle
+   * @param {string} fullname - The S3 key of the file
+   * @param {number} size - The file size
+   */
+  async _replyFileHash(sftp, reqid, name, args, fullname, size) {
+    try {
+      if (name.startsWith('check-file')) {
+        const [algorithms, start, length, blockSize] = args;
+        const algorithm = algorithms.toString('utf8').split(',').find(candidate => CHECK_FILE_ALGORITHMS.includes(candidate));
+        if (!algorithm) {
+          return sftp.status(reqid, SFTP_STATUS_CODE.OP_UNSUPPORTED, `Supported hash algorithms: ${CHECK_FILE_ALGORITHMS.join(',')}`);
+        }
+        if (blockSize !== 0 && blockSize < CHECK_FILE_MIN_BLOCK_SIZE) {
+          return sftp.status(reqid, SFTP_STATUS_CODE.FAILURE, `Block size must be at least ${CHECK_FILE_MIN_BLOCK_SIZE} bytes`);
+        }
+        const end = length === 0 ? size : Math.min(start + length, size);
+        const blocks = blockSize === 0 ? 1 : Math.ceil(Math.max(end - start, 1) / blockSize);
+        if (blocks * crypto.createHash(algorithm).digest().length > CHECK_FILE_MAX_HASH_BYTES) {
+          return sftp.status(reqid, SFTP_STATUS_CODE.FAILURE, 'Too many blocks, use a larger block size');
+        }
+        const hashes = await this._hashObject(fullname, algorithm, start, end, blockSize, size);
+        this._log(util.format('Sending %s of %s (%d blocks)', algorithm, fullname, hashes.length));
+        sftp.extendedReply(reqid, Buffer.concat([this._sftpString('check-file'), this._sftpString(algorithm)].concat(hashes)));
+        return;
+      }
+
+      // md5-hash answers with an empty hash when the quick-check hash of
+      // the first 2048 bytes doesn't match, so clients can skip reading more
+      const [start, length, quickCheck] = args;
+      const end = length === 0 ? size : Math.min(start + length, size);
+      let hash = Buffer.alloc(0);
+      const quickEnd = Math.min(start + MD5_HASH_QUICK_CHECK_SIZE, end);
+      if (quickCheck.length === 0 || (await this._hashObject(fullname, 'md5', start, quickEnd, 0, size))[0].equals(quickCheck)) {
+        [hash] = await this._hashObject(fullname, 'md5', start, end, 0, size);
+      }
+      this._log(util.format('Sending md5 of %s', fullname));
+      sftp.extendedReply(reqid, Buffer.concat([this._sftpString('md5-hash'), this._sftpString(hash)]));
+    } catch (err) {
+      this._logError('S3 error hashing %s: %s', fullname, err);
+      sftp.status(reqid, SFTP_STATUS_CODE.FAILURE);
+    }
+  }
+
+  /**
+   * Hash a byte range of an object, whole or in blocks
+   * Digests stored with the object answer requests for all of it without
+   * reading it
+   * @param {string} fullname - The S3 key
+   * @param {string} algorithm - The hash algorithm
+   * @param {number} start - First byte of the range
+   * @param {number} end - Byte after the range
+   * @param {number} blockSize - Bytes per hash, 0 for one hash of the range
+   * @param {number} size - The object size
+   * @returns {Promise<Array<Buffer>>} - The hashes, one per block
+   */
+  async _hashObject(fullname, algorithm, start, end, blockSize, size) {
+    const whole = start === 0 && end === size && (blockSize === 0 || blockSize >= size);
+    if (whole && DigestStream.ALGORITHMS.includes(algorithm)) {
+      const head = await this.s3Client.send(new HeadObjectCommand({ Bucket: this.bucketName, Key: fullname }));
+      const stored = head.Metadata && head.Metadata[algorithm];
+      if (stored && /^[0-9a-f]+$/.test(stored)) {
+        return [Buffer.from(stored, 'hex')];
+      }
+    }
+
+    const hashes = [];
+    let hash = crypto.createHash(algorithm);
+    let hashed = 0; // Bytes in the current block
+    if (end > start) {
+      const response = await this.s3Client.send(new GetObjectCommand({
+        Bucket: this.bucketName,
+        Key: fullname,
+        Range: `bytes=${start}-${end - 1}`
+      }));
+      for await (let chunk of response.Body) {
+        while (blockSize > 0 && hashed + chunk.length >= blockSize) {
+          const rest = blockSize - hashed;
+          hashes.push(hash.update(chunk.subarray(0, rest)).digest());
+          hash = crypto.createHash(algorithm);
+          hashed = 0;
+          chunk = chunk.subarray(rest);
+        }
+        hash.update(chunk);
+        hashed += chunk.length;
+      }
+    }
+    if (hashed > 0 || hashes.length === 0) {
+      hashes.push(hash.digest());
+    }
+    return hashes;
+  }
+
+  /**
+   * Time SFTP requests and audit them when they are answered
+   * Wraps the request and reply methods of the SFTP stream. Every request is
+   * reported with an `sftp-request` event (opcode, status and duration);
+   * requests registered with the returned function are also recorded once in
+   * the audit trail, with the status they were answered with
+   * @param {Object} sftp - The SFTP stream
+   * @param {Object} user - The session user
+   * @returns {Function} - track(reqid, operation, path, options) registers a request for auditing;
+   *   options may hold `state` (an open file whose bytes and open time are used),
+   *   `failuresOnly` and extra `fields`
+   */
+  _trackReplies(sftp, user) {
+    const received = new Map(); // reqid -> { opcode, startedAt }
+    const pending = new Map(); // reqid -> audited request
+    const emit = sftp.emit.bind(sftp);
+    sftp.emit = (event, ...args) => {
+      if (SFTP_OPCODES.has(event)) {
+        received.set(args[0], { opcode: event, startedAt: Date.now() });
+        user.lastActivity = Date.now();
+        user.requestsInFlight++;
+      }
+      return emit(event, ...args);
+    };
+    for (const method of ['status', 'handle', 'name', 'attrs', 'data', 'extendedReply'].filter(name => sftp[name])) {
+      const reply = sftp[method].bind(sftp);
+      sftp[method] = (reqid, ...args) => {
+        const result = method === 'status' ? SFTP_STATUS_NAME[args[0]] : 'OK';
+        const request = received.get(reqid);
+        if (request) {
+          received.delete(reqid);
+          user.requestsInFlight--;
+          user.lastActivity = Date.now();
+          this.emit('sftp-request', {
+            username: user.username,
+            opcode: request.opcode,
+            status: result,
+            duration: Date.now() - request.startedAt
+          });
+        }
+        const audited = pending.get(reqid);
+        if (audited) {
+          pending.delete(reqid);
+          if (!audited.failuresOnly || result !== 'OK') {
+            const state = audited.state;
+            this._audit(user, audited.operation, Object.assign({
+              path: audited.path,
+              bytes: state ? state.bytes : undefined,
+              duration: Date.now() - (state ? state.openedAt : audited.startedAt),
+              result: result
+            }, audited.fields));
+          }
+        }
+        return reply(reqid, ...args);
+      };
+    }
+    return (reqid, operation, filePath, options = {}) => {
+      pending.set(reqid, Object.assign({ operation: operation, path: filePath, startedAt: Date.now() }, options));
+    };
+  }
+
+  /**
+   * Check if a file may be stored at a path under the upload policy
+   * (blocked/allowed extensions, directory depth and the mount's file types)
+   * @param {string} filePath - The client-visible path to check
+   * @param {Object} user - The session user
+   * @param {string} operation - The operation storing the file ('open', 'rename' or 'upload')
+   * @returns {boolean} - True if the file is allowed
+   */
+  _checkUploadPolicy(filePath, user, operation) {
+    const resolved = this._resolveMount(user, filePath);
+    const violation = this.uploadPolicy.check(filePath, resolved ? resolved.mount : null);
+    if (!violation) {
+      return true;
+    }
+
+    this._log(util.format('Upload policy rejected %s for user %s (%s): %s', filePath, user.username, operation, violation.reason));
+    this.emit('upload-rejected', {
+      username: user.username,
+      path: filePath,
+      operation: operation,
+      rule: violation.rule,
+      reason: violation.reason,
+      timestamp: Date.now()
+    });
+    return false;
+  }
+
+  /**
+   * Record content refused by the content type allowlist of a mount
+   * @param {string} filePath - The client-visible path
+   * @param {Object} user - The session user
+   * @param {string} operation - The operation being checked (upload or rename)
+   * @param {Object} violation - The violated rule, reason and detected type
+   */
+  _rejectContent(filePath, user, operation, violation) {
+    this._log(util.format('Content check rejected %s for user %s (%s): %s', filePath, user.username, operation, violation.message || violation.reason));
+    this.emit('upload-rejected', {
+      username: user.username,
+      path: filePath,
+      operation: operation,
+      rule: violation.rule,
+      reason: violation.message || violation.reason,
+      type: violation.type,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Read the first and last bytes of an object for content checks
+   * @param {string} fullname - The S3 key
+   * @param {number} size - The object size
+   * @returns {Promise<{head: Buffer, tail: Buffer}>} - Up to a kilobyte from each end
+   */
+  async _readObjectEnds(fullname, size) {
+    const read = async (start, end) => {
+      const response = await this.s3Client.send(new GetObjectCommand({
+        Bucket: this.bucketName,
+        Key: fullname,
+        Range: `bytes=${start}-${end}`
+      }));
+      const chunks = [];
+      for await (const chunk of response.Body) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks);
+    };
+    if (size <= 0) {
+      return { head: Buffer.alloc(0), tail: Buffer.alloc(0) };
+    }
+    const head = await read(0, Math.min(size, ContentSniffer.HEAD_SIZE) - 1);
+    const tail = size <= head.length ? head : await read(Math.max(size - ContentSniffer.TAIL_SIZE, 0), size - 1);
+    return { head: head, tail: tail };
+  }
+
+  /**
+   * Check the content of a stored object moving to a mount with a content
+   * type allowlist. Objects coming from a mount that allows no other types
+   * were checked when they were uploaded and aren't read again
+   * @param {Object} user - The session user
+   * @param {string} oldPath - The client path the object comes from
+   * @param {string} newPath - The client path the object moves to
+   * @param {string} fullname - The S3 key of the object
+   * @param {number} size - The object size
+   * @returns {Promise<boolean>} - True if the content is allowed at the new path
+   */
+  async _checkStoredContent(user, oldPath, newPath, fullname, size) {
+    const target = this._resolveMount(user, newPath);
+    const allowedTypes = target && target.mount.allowedTypes;
+    if (!allowedTypes) {
+      return true;
+    }
+    const source = this._resolveMount(user, oldPath);
+    const sourceTypes = source && source.mount.allowedTypes;
+    if (sourceTypes && sourceTypes.every(type => allowedTypes.includes(type))) {
+      return true;
+    }
+    const { head, tail } = await this._readObjectEnds(fullname, size);
+    const violation = ContentSniffer.inspect(head, tail, allowedTypes, newPath);
+    if (violation) {
+      this._rejectContent(newPath, user, 'rename', violation);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Normalize a client path to an absolute path without '.' or '..' segments
+   * @param {string} filename - The path sent by the client
+   * @returns {string} - The normalized path, starting with '/'
+   */
+  _normalizePath(filename) {
+    let p = filename;
+    p = p.replace(/\\\\/g, '/');
+    p = p.replace(/\\.\\/g, '/');
+    p = p.replace(/\\/g, '/');
+
+    // Anchor the path before normalizing so '..' can't climb above the root
+    if (!p.startsWith('/')) {
+      p = '/' + p;
+    }
+    p = path.normalize(p);
+    p = p.replace(/\\/g, '/');
+    return p;
+  }
+
+  /**
+   * Find the mount holding a client path
+   * @param {Object} user - The session user
+   * @param {string} filename - The path sent by the client
+   * @returns {{mount: Object, key: string}|null} - The mount and the S3 key, or null outside every mount
+   */
+  _resolveMount(user, filename) {
+    return this.mountTable.resolve(user, this._normalizePath(filename), this._userGroups(user));
+  }
+
+  /**
+   * Map a client path to its S3 key through the mount table
+   * @param {Object} user - The session user
+   * @param {string} filename - The path sent by the client
+   * @returns {string|null} - The S3 key, or null if no mount holds the path
+   */
+  _mapKey(user, filename) {
+    const resolved = this._resolveMount(user, filename);
+    return resolved ? resolved.key : null;
+  }
+
+  /**
+   * Check if a client path is a mount point or leads to one, so it is a
+   * directory even without objects in S3
+   * @param {Object} user - The session user
+   * @param {string} filename - The path sent by the client
+   * @returns {boolean} - True if the path is a virtual directory
+   */
+  _isVirtualDirectory(user, filename) {
+    return this.mountTable.isVirtualDirectory(user, this._normalizePath(filename), this._userGroups(user));
   }
 
   _setupSFTPHandlers(sftp, openFiles, openDirs, handleCount, user) {
@@ -459,39 +1447,59 @@ class SFTPS3Server extends EventEmitter {
         this._log(util.format('Set user-specific path for user %s: %s', user.username, user.path));
       }
 
-      // Track user activity for any SFTP operation
-      this._trackUserActivity(user.username);
+    // Replies to the hash extensions, tracked like the replies of ssh2. Left
+    // out if this ssh2 doesn't have the internals they are written with
+    if (this._canWriteSftpPackets(sftp)) {
+      sftp.extendedReply = (reqid, data) => this._sendExtendedReply(sftp, reqid, data);
+    } else if (!this.rawRepliesWarned) {
+      this.rawRepliesWarned = true;
+      this.logger.warn('SFTP hash extensions disabled, this ssh2 version does not have the internals they need');
+    }
+
+    // Every request counts as activity for the idle timeout. Requests
+    // registered here are also written to the audit trail when answered
+    const auditRequest = this._trackReplies(sftp, user);
     
     // OPEN - Handle file opening
     sftp.on('OPEN', (reqid, filename, flags, attrs) => {
-      // Track user activity
-      this._trackUserActivity(user.username);
-      
       this._log(util.format('SFTP OPEN filename=%s flags=%d', filename, flags));
+
+      // Transfers are audited when closed, only failed opens are recorded here
+      auditRequest(reqid, flags & SFTP_OPEN_MODE.READ ? 'download' : 'upload', filename, { failuresOnly: true });
       
       if (filename.endsWith('\\') || filename.endsWith('/')) {
         filename = filename.substring(0, filename.length - 1);
       }
       
-      // Check access control
-      if (!this._isPathAllowed(user.username, filename)) {
+      // Check access control for every operation the open mode asks for
+      const permissions = [];
+      if (flags & SFTP_OPEN_MODE.READ) {
+        permissions.push('read');
+      }
+      if (flags & SFTP_OPEN_MODE.WRITE) {
+        permissions.push('write');
+      }
+      if (!permissions.every(permission => this._isPathAllowed(user, filename, permission))) {
         this._log(util.format('Access denied for user %s to file: %s', user.username, filename));
         this._log(util.format('User path: %s, Filename: %s', user.path, filename));
-        this._log(util.format('Allowed paths for user %s: %s', user.username, this.accessControl.getAllowedPaths(user.username).join(', ')));
         sftp.status(reqid, SFTP_STATUS_CODE.PERMISSION_DENIED);
         return;
       }
       
-      // Check file type restrictions for ledgers and invoices directories
+      // Check upload policy (extensions, directory depth, the mount's file types)
       if (flags & SFTP_OPEN_MODE.WRITE) {
-        if (!this._isFileTypeAllowed(filename)) {
-          this._log(util.format('File type not allowed for user %s: %s', user.username, filename));
+        if (!this._checkUploadPolicy(filename, user, 'open')) {
           sftp.status(reqid, SFTP_STATUS_CODE.PERMISSION_DENIED);
           return;
         }
       }
       
-      const fullname = this._mapKey(user.path, filename);
+      const fullname = this._mapKey(user, filename);
+      if (fullname === null || this._isVirtualDirectory(user, filename)) {
+        this._log(util.format('Cannot open %s as file, it is outside every mount or a mount directory', filename));
+        sftp.status(reqid, SFTP_STATUS_CODE.NO_SUCH_FILE);
+        return;
+      }
 
       // Check if this is a directory first
       this._checkIfDirectory(fullname).then(isDirectory => {
@@ -510,16 +1518,13 @@ class SFTPS3Server extends EventEmitter {
           sftp.status(reqid, SFTP_STATUS_CODE.OP_UNSUPPORTED);
         }
       }).catch(err => {
-        this._log(util.format('Error checking if directory: %s', err));
+        this._logError('Error checking if directory: %s', err);
         sftp.status(reqid, SFTP_STATUS_CODE.FAILURE);
       });
     });
 
     // READ - Handle file reading
     sftp.on('READ', (reqid, handle, offset, length) => {
-      // Track user activity
-      this._trackUserActivity(user.username);
-      
       if (handle.length !== 4) {
         return sftp.status(reqid, SFTP_STATUS_CODE.FAILURE);
       }
@@ -533,12 +1538,7 @@ class SFTPS3Server extends EventEmitter {
         return sftp.status(reqid, SFTP_STATUS_CODE.FAILURE);
       }
 
-      this._log(util.format('File state: size=%d, read=%s', state.size, state.read));
-
-      if (state.read) {
-        this._log('EOF');
-        return sftp.status(reqid, SFTP_STATUS_CODE.EOF);
-      }
+      this._log(util.format('File state: size=%d', state.size));
 
       // Check if offset is beyond file size
       if (offset >= state.size) {
@@ -556,19 +1556,11 @@ class SFTPS3Server extends EventEmitter {
         return sftp.status(reqid, SFTP_STATUS_CODE.EOF);
       }
 
-      // Mark as EOF if this read reaches the end
-      if (offset + length >= state.size) {
-        state.read = true;
-      }
-
-      this._readFileFromS3(sftp, reqid, state.fullname, offset, length, user);
+      this._readFileFromS3(sftp, reqid, state, offset, length, user);
     });
 
     // WRITE - Handle file writing
     sftp.on('WRITE', (reqid, handle, offset, data) => {
-      // Track user activity
-      this._trackUserActivity(user.username);
-      
       if (handle.length !== 4) {
         return sftp.status(reqid, SFTP_STATUS_CODE.FAILURE);
       }
@@ -582,42 +1574,63 @@ class SFTPS3Server extends EventEmitter {
         return sftp.status(reqid, SFTP_STATUS_CODE.FAILURE);
       }
 
-      state.stream.write(Buffer.from(data), (err) => {
+      if (state.uploadError) {
+        return sftp.status(reqid, SFTP_STATUS_CODE.FAILURE, state.uploadError.message);
+      }
+
+      // In APPEND mode, offsets below the existing size are taken as relative
+      // to the end of the file (SFTP v3 semantics), larger ones as absolute
+      let fileOffset = offset;
+      if (state.append) {
+        if (state.appendBase === null) {
+          state.appendBase = offset < state.existingSize ? state.existingSize : 0;
+        }
+        fileOffset += state.appendBase;
+      }
+
+      // Enforce the file size limit and quotas before the data is accepted
+      const limitError = this._checkUploadLimits(state, fileOffset, data.length, user);
+      if (limitError) {
+        this._failOpenUpload(state, limitError);
+        return sftp.status(reqid, SFTP_STATUS_CODE.FAILURE, limitError.message);
+      }
+
+      // Chunks are passed to the upload in file order, whatever order they arrive in
+      state.writer.write(fileOffset, Buffer.from(data), (err) => {
         if (err) {
-          this._log('Error writing to stream');
-          return sftp.status(reqid, SFTP_STATUS_CODE.FAILURE);
+          this._logError('Error writing to %s at offset %d: %s', state.fullname, fileOffset, err.message);
+          this._failOpenUpload(state, err);
+          return sftp.status(reqid, SFTP_STATUS_CODE.FAILURE, err.message);
         }
 
         this._log('Wrote bytes to stream');
+        state.bytes += data.length;
+        this.emit('data-transferred', { username: user.username, direction: 'upload', bytes: data.length });
         sftp.status(reqid, SFTP_STATUS_CODE.OK);
       });
     });
 
     // OPENDIR - Handle directory opening
     sftp.on('OPENDIR', (reqid, dirPath) => {
-      // Track user activity
-      this._trackUserActivity(user.username);
-      
       this._log(util.format('SFTP OPENDIR %s', dirPath));
+      auditRequest(reqid, 'list', dirPath);
       
       // Check access control
-      if (!this._isPathAllowed(user.username, dirPath)) {
+      if (!this._isPathAllowed(user, dirPath, 'list')) {
         this._log(util.format('Access denied for user %s to directory: %s', user.username, dirPath));
         sftp.status(reqid, SFTP_STATUS_CODE.PERMISSION_DENIED);
         return;
       }
       
-      const fullname = this._mapKey(user.path, dirPath);
-      const isRoot = (dirPath === '/');
+      const clientPath = this._normalizePath(dirPath);
+      const fullname = this._mapKey(user, clientPath);
+      const isRoot = (clientPath === '/');
 
-      this._openDirectory(sftp, reqid, fullname, isRoot, openDirs, handleCount++, user);
+      this._openDirectory(sftp, reqid, clientPath, fullname, isRoot, openDirs, handleCount++, user);
     });
 
     // READDIR - Handle directory reading
     sftp.on('READDIR', (reqid, handle) => {
-      // Track user activity
-      this._trackUserActivity(user.username);
-      
       if (handle.length !== 4) {
         return sftp.status(reqid, SFTP_STATUS_CODE.FAILURE);
       }
@@ -631,20 +1644,12 @@ class SFTPS3Server extends EventEmitter {
         return sftp.status(reqid, SFTP_STATUS_CODE.FAILURE);
       }
 
-      if (state.read) {
-        this._log('EOF');
-        return sftp.status(reqid, SFTP_STATUS_CODE.EOF);
-      }
-
-      state.read = true;
-      this._listDirectoryContents(sftp, reqid, state);
+      // Replies are sent in request order, one batch per READDIR
+      state.queue = state.queue.then(() => this._listDirectoryContents(sftp, reqid, state));
     });
 
     // CLOSE - Handle file/directory closing
     sftp.on('CLOSE', (reqid, handle) => {
-      // Track user activity
-      this._trackUserActivity(user.username);
-      
       if (handle.length !== 4) {
         return sftp.status(reqid, SFTP_STATUS_CODE.FAILURE);
       }
@@ -661,6 +1666,7 @@ class SFTPS3Server extends EventEmitter {
       }
 
       if (fileState) {
+        auditRequest(reqid, fileState.flags & SFTP_OPEN_MODE.READ ? 'download' : 'upload', fileState.filename, { state: fileState });
         this._closeFile(sftp, reqid, fileState, handleId, openFiles, user);
       } else {
         openDirs.delete(handleId);
@@ -671,13 +1677,18 @@ class SFTPS3Server extends EventEmitter {
     // REMOVE - Handle file deletion
     sftp.on('REMOVE', (reqid, filePath) => {
       this._log(util.format('SFTP REMOVE %s', filePath));
+      auditRequest(reqid, 'remove', filePath);
       
+      const fullname = this._mapKey(user, filePath);
+      if (fullname === null) {
+        this._log(util.format('%s is outside every mount of user %s', filePath, user.username));
+        sftp.status(reqid, SFTP_STATUS_CODE.NO_SUCH_FILE);
+        return;
+      }
+
       // PROTECT IMPORTANT DIRECTORIES - Block deletion of directory structure only
       // Allow users to delete their own files within ledgers and invoices
-      if (filePath === '/ledgers' || filePath === '/invoices' || 
-          filePath === '/user/ledgers' || filePath === '/user/invoices' ||
-          filePath.endsWith('/ledgers/.directory') || filePath.endsWith('/invoices/.directory') ||
-          filePath.endsWith('/user/ledgers/.directory') || filePath.endsWith('/user/invoices/.directory')) {
+      if (this._isProtectedKey(fullname, user)) {
         
         this._log(util.format('User %s attempted to delete protected directory structure %s - BLOCKED', user.username, filePath));
         
@@ -694,20 +1705,19 @@ class SFTPS3Server extends EventEmitter {
       }
       
       // Check access control
-      if (!this._isPathAllowed(user.username, filePath)) {
+      if (!this._isPathAllowed(user, filePath, 'delete')) {
         this._log(util.format('Access denied for user %s to remove: %s', user.username, filePath));
         sftp.status(reqid, SFTP_STATUS_CODE.PERMISSION_DENIED);
         return;
       }
-      
-      const fullname = this._mapKey(user.path, filePath);
 
-      this._deleteFileFromS3(sftp, reqid, fullname, user);
+      this._deleteFileFromS3(sftp, reqid, this._normalizePath(filePath), fullname, user);
     });
 
     // MKDIR - Handle directory creation (DISABLED)
     sftp.on('MKDIR', (reqid, dirPath, attrs) => {
       this._log(util.format('SFTP MKDIR %s - DIRECTORY CREATION DISABLED', dirPath));
+      auditRequest(reqid, 'mkdir', dirPath);
       
       // Reject directory creation with permission denied
       sftp.status(reqid, SFTP_STATUS_CODE.PERMISSION_DENIED);
@@ -726,6 +1736,7 @@ class SFTPS3Server extends EventEmitter {
     // RMDIR - Handle directory deletion (DISABLED)
     sftp.on('RMDIR', (reqid, dirPath) => {
       this._log(util.format('SFTP RMDIR %s - DIRECTORY DELETION DISABLED', dirPath));
+      auditRequest(reqid, 'rmdir', dirPath);
       
       // Reject directory deletion with permission denied
       sftp.status(reqid, SFTP_STATUS_CODE.PERMISSION_DENIED);
@@ -744,13 +1755,20 @@ class SFTPS3Server extends EventEmitter {
     // RENAME - Handle file/directory renaming
     sftp.on('RENAME', (reqid, oldPath, newPath) => {
       this._log(util.format('SFTP RENAME %s->%s', oldPath, newPath));
+      auditRequest(reqid, 'rename', newPath, { fields: { oldPath: oldPath } });
       
-      // PROTECT IMPORTANT DIRECTORIES - Block renaming of directory structure only
-      // Allow users to rename files within ledgers and invoices
-      if (oldPath === '/ledgers' || oldPath === '/invoices' || 
-          oldPath === '/user/ledgers' || oldPath === '/user/invoices' ||
-          oldPath.endsWith('/ledgers/.directory') || oldPath.endsWith('/invoices/.directory') ||
-          oldPath.endsWith('/user/ledgers/.directory') || oldPath.endsWith('/user/invoices/.directory')) {
+      const fullnameOld = this._mapKey(user, oldPath);
+      const fullnameNew = this._mapKey(user, newPath);
+      if (fullnameOld === null || fullnameNew === null) {
+        this._log(util.format('Rename %s -> %s of user %s leaves every mount', oldPath, newPath, user.username));
+        sftp.status(reqid, SFTP_STATUS_CODE.NO_SUCH_FILE);
+        return;
+      }
+
+      // PROTECT IMPORTANT DIRECTORIES - Block renaming of directory structure only,
+      // in either direction. Allow users to rename files within ledgers and invoices
+      if (this._isProtectedKey(fullnameOld, user) || this._isProtectedKey(fullnameNew, user) ||
+        this._isVirtualDirectory(user, oldPath) || this._isVirtualDirectory(user, newPath)) {
         
         this._log(util.format('User %s attempted to rename protected directory structure %s - BLOCKED', user.username, oldPath));
         
@@ -767,10 +1785,16 @@ class SFTPS3Server extends EventEmitter {
         return;
       }
       
-      const fullnameOld = this._mapKey(user.path, oldPath);
-      const fullnameNew = this._mapKey(user.path, newPath);
+      // Check access control on both ends
+      for (const renamePath of [oldPath, newPath]) {
+        if (!this._isPathAllowed(user, renamePath, 'rename')) {
+          this._log(util.format('Access denied for user %s to rename %s -> %s', user.username, oldPath, newPath));
+          sftp.status(reqid, SFTP_STATUS_CODE.PERMISSION_DENIED);
+          return;
+        }
+      }
 
-      this._renameInS3(sftp, reqid, fullnameOld, fullnameNew, user);
+      this._renameInS3(sftp, reqid, this._normalizePath(oldPath), this._normalizePath(newPath), fullnameOld, fullnameNew, user);
     });
 
     // STAT/LSTAT - Handle file/directory stats
@@ -778,7 +1802,7 @@ class SFTPS3Server extends EventEmitter {
       this._log(util.format('SFTP STAT %s', filePath));
       
       // Check access control
-      if (!this._isPathAllowed(user.username, filePath)) {
+      if (!this._isPathVisible(user, filePath)) {
         this._log(util.format('Access denied for user %s to stat: %s', user.username, filePath));
         sftp.status(reqid, SFTP_STATUS_CODE.PERMISSION_DENIED);
         return;
@@ -791,7 +1815,7 @@ class SFTPS3Server extends EventEmitter {
       this._log(util.format('SFTP LSTAT %s', filePath));
       
       // Check access control
-      if (!this._isPathAllowed(user.username, filePath)) {
+      if (!this._isPathVisible(user, filePath)) {
         this._log(util.format('Access denied for user %s to lstat: %s', user.username, filePath));
         sftp.status(reqid, SFTP_STATUS_CODE.PERMISSION_DENIED);
         return;
@@ -803,20 +1827,92 @@ class SFTPS3Server extends EventEmitter {
     // REALPATH - Handle path resolution
     sftp.on('REALPATH', (reqid, filePath) => {
       this._log(util.format('SFTP REALPATH %s', filePath));
+
+      // The root always resolves so clients can start a session, other paths
+      // reveal their attributes and need the same access as STAT
+      const resolved = this._normalizePath(filePath === '.' ? '/' : filePath);
+      if (resolved !== '/' && !this._isPathVisible(user, resolved)) {
+        this._log(util.format('Access denied for user %s to realpath: %s', user.username, filePath));
+        sftp.status(reqid, SFTP_STATUS_CODE.PERMISSION_DENIED);
+        return;
+      }
+
       this._resolvePath(sftp, reqid, filePath, user);
     });
+
+    // EXTENDED - Hashes of stored files without downloading them. Other
+    // extensions are not supported
+    sftp.on('EXTENDED', (reqid, name, data) => {
+      this._log(util.format('SFTP EXTENDED %s', name));
+
+      const extension = HASH_EXTENSIONS[name];
+      if (!extension || !sftp.extendedReply) {
+        return sftp.status(reqid, SFTP_STATUS_CODE.OP_UNSUPPORTED);
+      }
+      const fields = data ? this._readExtendedFields(data, ['string'].concat(extension.fields)) : null;
+      if (!fields) {
+        return sftp.status(reqid, SFTP_STATUS_CODE.BAD_MESSAGE);
+      }
+      const [target, ...args] = fields;
+
+      if (extension.byHandle) {
+        const state = target.length === 4 ? openFiles.get(target.readUInt32BE(0)) : null;
+        if (!state || !(state.flags & SFTP_OPEN_MODE.READ)) {
+          return sftp.status(reqid, SFTP_STATUS_CODE.FAILURE, 'Handle is not open for reading');
+        }
+        this._replyFileHash(sftp, reqid, name, args, state.fullname, state.size);
+        return;
+      }
+
+      const filename = target.toString('utf8');
+      if (!this._isPathAllowed(user, filename, 'read')) {
+        this._log(util.format('Access denied for user %s to hash: %s', user.username, filename));
+        return sftp.status(reqid, SFTP_STATUS_CODE.PERMISSION_DENIED);
+      }
+      const fullname = this._mapKey(user, filename);
+      if (fullname === null || this._isVirtualDirectory(user, filename)) {
+        return sftp.status(reqid, SFTP_STATUS_CODE.NO_SUCH_FILE);
+      }
+      this._lookupKey(fullname).then(({ file }) => {
+        if (!file) {
+          return sftp.status(reqid, SFTP_STATUS_CODE.NO_SUCH_FILE);
+        }
+        this._replyFileHash(sftp, reqid, name, args, fullname, file.Size);
+      }).catch((err) => {
+        this._logError('S3 error listing %s: %s', fullname, err);
+        sftp.status(reqid, SFTP_STATUS_CODE.FAILURE);
+      });
+    });
+
+    // Stop uploads whose handle was never closed when the channel goes away.
+    // Their uploaded parts are staged so the client can resume the transfer
+    sftp.on('end', () => {
+      for (const state of openFiles.values()) {
+        if (state.reader) {
+          state.reader.close();
+        }
+        this._audit(user, state.flags & SFTP_OPEN_MODE.READ ? 'download' : 'upload', {
+          path: state.filename,
+          bytes: state.bytes,
+          duration: Date.now() - state.openedAt,
+          result: 'CONNECTION_LOST'
+        });
+        if (state.stream && !state.stream.writableEnded && !state.stream.destroyed) {
+          this._log(util.format('Upload of %s for user %s interrupted', state.fullname, user.username));
+          state.interrupted = true;
+          if (state.upload) {
+            state.upload.retainParts = config.s3.resumableUploadTtl > 0;
+          }
+          state.stream.destroy(new Error('Connection closed during upload'));
+        }
+      }
+    });
   }
 
   // File operations
   async _handleFileOpenRead(sftp, reqid, filename, fullname, flags, openFiles, handleId, user) {
     try {
-      const command = new ListObjectsV2Command({
-        Bucket: this.bucketName,
-        Prefix: fullname
-      });
-
-      const response = await this.s3Client.send(command);
-      const file = response.Contents.find(c => c.Key === fullname);
+      const { file } = await this._lookupKey(fullname);
 
       if (!file) {
         this._log(util.format('Key %s not found in S3 list', fullname));
@@ -829,8 +1925,16 @@ class SFTPS3Server extends EventEmitter {
       openFiles.set(handleId, {
         flags: flags,
         filename: filename,
+        openedAt: Date.now(),
+        bytes: 0, // Bytes sent to the client
         size: file.Size,
-        fullname: fullname
+        fullname: fullname,
+        reader: new S3ReadAhead({
+          s3Client: this.s3Client,
+          bucketName: this.bucketName,
+          key: fullname,
+          bufferSize: config.s3.readAheadSize
+        })
       });
 
       this._log(util.format('File opened: %s, size: %d bytes', fullname, file.Size));
@@ -838,12 +1942,75 @@ class SFTPS3Server extends EventEmitter {
       this._log(util.format('Issuing handle %d', handleId));
       sftp.handle(reqid, handle);
     } catch (err) {
-      this._log(util.format('S3 error listing %s: %s', fullname, err));
+      this._logError('S3 error listing %s: %s', fullname, err);
       sftp.status(reqid, SFTP_STATUS_CODE.FAILURE);
     }
   }
 
-  _handleFileOpenWrite(sftp, reqid, filename, fullname, flags, openFiles, handleId, user) {
+  async _handleFileOpenWrite(sftp, reqid, filename, fullname, flags, openFiles, handleId, user) {
+    // Quotas covering the target key, with current usage loaded so WRITE
+    // requests can be checked without waiting on S3
+    const quotaLimits = this.quotas.getLimits(user).filter(limit => fullname.startsWith(limit.prefix));
+    const append = (flags & SFTP_OPEN_MODE.APPEND) !== 0;
+
+    // An interrupted upload of the file is continued by an append (`reput`),
+    // any other write starts over
+    const staged = this.stagedUploads.take(user.username, fullname);
+    if (staged && !append) {
+      this._abortStagedUpload(user.username, staged, 'replaced');
+    }
+    const resume = append ? staged : null;
+
+    let storedSize;
+    try {
+      storedSize = await this._getObjectSize(fullname);
+      if (quotaLimits.length > 0) {
+        await this.quotaManager.prepare(quotaLimits);
+      }
+    } catch (err) {
+      if (resume) {
+        this.stagedUploads.stage(user.username, fullname, resume);
+      }
+      this._logError('S3 error preparing upload of %s: %s', fullname, err);
+      return sftp.status(reqid, SFTP_STATUS_CODE.FAILURE);
+    }
+    const objectSize = storedSize || 0;
+
+    // Writing over an existing file destroys it, so it also takes `delete`.
+    // Appending copies its content into the upload, so that also takes `read`
+    if (storedSize !== null) {
+      const permissions = append ? ['delete', 'read'] : ['delete'];
+      if (!permissions.every(permission => this._isPathAllowed(user, filename, permission))) {
+        this._log(util.format('Access denied for user %s to overwrite %s', user.username, filename));
+        if (resume) {
+          this.stagedUploads.stage(user.username, fullname, resume);
+        }
+        return sftp.status(reqid, SFTP_STATUS_CODE.PERMISSION_DENIED);
+      }
+    }
+
+    // Appends keep the existing content, other writes (and resumed uploads)
+    // replace it. Data of a resumed upload counts against quotas again
+    const existingSize = resume ? resume.size : (append ? objectSize : 0);
+    const replacedBytes = append && !resume ? 0 : objectSize;
+    const resumedBytes = resume ? resume.size : 0;
+    if (quotaLimits.length > 0) {
+      let exceeded = this.quotaManager.reserve(quotaLimits, resumedBytes, replacedBytes);
+      if (!exceeded) {
+        exceeded = this.quotaManager.check(quotaLimits, 1, replacedBytes);
+        if (exceeded) {
+          this.quotaManager.release(quotaLimits, resumedBytes);
+        }
+      }
+      if (exceeded) {
+        if (resume) {
+          this.stagedUploads.stage(user.username, fullname, resume);
+        }
+        const err = this._quotaExceeded(exceeded, fullname, user);
+        return sftp.status(reqid, SFTP_STATUS_CODE.FAILURE, err.message);
+      }
+    }
+
     const stream = new PassThrough();
 
     const handle = Buffer.alloc(4);
@@ -852,179 +2019,594 @@ class SFTPS3Server extends EventEmitter {
     openFiles.set(handleId, {
       flags: flags,
       filename: filename,
+      openedAt: Date.now(),
+      bytes: 0, // Bytes received from the client
       fullname: fullname,
       stream: stream,
+      writer: new OrderedWriter(stream, existingSize, config.sftp.maxPendingWriteBytes),
+      append: append,
+      appendBase: null,
+      existingSize: existingSize,
+      objectSize: objectSize,
+      resume: resume,
+      interrupted: false,
       uploadComplete: false,
-      uploadError: null
+      uploadError: null,
+      quotaLimits: quotaLimits,
+      replacedBytes: replacedBytes,
+      reservedBytes: quotaLimits.length > 0 ? resumedBytes : 0
     });
 
     this._log(util.format('Issuing handle %d', handleId));
     sftp.handle(reqid, handle);
 
+    if (resume) {
+      this._log(util.format('Resuming upload of %s for user %s at offset %d', fullname, user.username, resume.size));
+      this.emit('upload-resumed', {
+        username: user.username,
+        path: fullname,
+        offset: resume.size,
+        timestamp: Date.now()
+      });
+    }
+
     // Upload to S3
     this._uploadToS3(stream, fullname, handleId, openFiles, user);
   }
 
-  async _readFileFromS3(sftp, reqid, fullname, offset, length, user) {
+  async _readFileFromS3(sftp, reqid, state, offset, length, user) {
+    const fullname = state.fullname;
     try {
-      const command = new GetObjectCommand({
-        Bucket: this.bucketName,
-        Key: fullname,
-        Range: `bytes=${offset}-${offset + length - 1}`
-      });
-
-      const response = await this.s3Client.send(command);
-      
-      if (!response.Body) {
-        this._log(util.format('S3 error getting object %s: empty response', fullname));
-        return sftp.status(reqid, SFTP_STATUS_CODE.FAILURE);
-      }
-
-      // Convert the readable stream to a Buffer
-      const chunks = [];
-      for await (const chunk of response.Body) {
-        chunks.push(chunk);
-      }
-      const buffer = Buffer.concat(chunks);
+      // Sequential reads are served from the handle's read-ahead stream
+      const buffer = await state.reader.read(offset, length);
 
       if (buffer.length === 0) {
-        this._log(util.format('S3 error getting object %s: empty buffer', fullname));
+        this._logError('S3 error getting object %s: empty buffer', fullname);
         return sftp.status(reqid, SFTP_STATUS_CODE.FAILURE);
       }
 
       this._log(util.format('Successfully read %s (%d bytes)', fullname, buffer.length));
+      state.bytes += buffer.length;
+      this.emit('data-transferred', { username: user.username, direction: 'download', bytes: buffer.length });
       sftp.data(reqid, buffer);
     } catch (err) {
-      this._log(util.format('S3 error getting object %s: %s', fullname, err));
+      this._logError('S3 error getting object %s: %s', fullname, err);
       sftp.status(reqid, SFTP_STATUS_CODE.FAILURE);
     }
   }
 
   async _uploadToS3(stream, fullname, handleId, openFiles, user) {
-    try {
-      // Collect all data from the stream
-      const chunks = [];
-      stream.on('data', (chunk) => {
-        chunks.push(chunk);
+    const failUpload = (err) => {
+      const state = openFiles.get(handleId);
+      if (state) {
+        state.uploadError = err;
+      }
+      this.emit('upload-error', { path: fullname, error: err, reason: err.message, rule: err.rule || null, username: user.username });
+    };
+
+    // Validate the client path against the upload policy again, before any
+    // data is sent so the client's writes fail straight away
+    const clientPath = openFiles.get(handleId).filename;
+    if (!this._checkUploadPolicy(clientPath, user, 'upload')) {
+      failUpload(new Error(`Upload of ${clientPath} rejected by upload policy`));
+      stream.destroy();
+      return;
+    }
+
+    // Stream the data to S3 in parts, holding back writes while the part
+    // queue is full so memory per transfer stays bounded
+    const uploadState = openFiles.get(handleId);
+    const appending = uploadState && uploadState.append && !uploadState.resume && uploadState.existingSize > 0;
+    if (appending) {
+      this._log(util.format('Appending to %s (%d bytes)', fullname, uploadState.existingSize));
+    }
+
+    // Mounts with a content type allowlist check the data on its way to S3.
+    // Appends and resumed uploads continue content stored earlier, whose
+    // first (and for appends last) bytes are checked with the new data
+    const resolved = this._resolveMount(user, clientPath);
+    const allowedTypes = resolved && resolved.mount.allowedTypes;
+    let sniffer = null;
+    if (allowedTypes) {
+      let stored = null;
+      try {
+        if (uploadState && uploadState.resume) {
+          stored = uploadState.resume.content || null;
+        } else if (appending) {
+          stored = await this._readObjectEnds(fullname, uploadState.existingSize);
+        }
+      } catch (err) {
+        this._logError('S3 error reading %s to check its content: %s', fullname, err);
+        failUpload(err);
+        stream.destroy();
+        return;
+      }
+      sniffer = new ContentSniffer({
+        allowedTypes: allowedTypes,
+        name: this._normalizePath(clientPath),
+        head: stored && stored.head,
+        tail: stored && stored.tail
       });
+    }
 
-      stream.on('end', async () => {
-        try {
-          const buffer = Buffer.concat(chunks);
-          
-          // Check for empty files (0 bytes)
-          if (buffer.length === 0) {
-            this._log(util.format('Empty file upload rejected: %s (0 bytes)', fullname));
-            const state = openFiles.get(handleId);
-            if (state) {
-              state.uploadError = new Error('Empty files are not allowed');
-            }
-            this.emit('upload-error', { path: fullname, error: new Error('Empty files are not allowed'), username: user.username });
-            return;
-          }
-          
-          // Additional validation for ledgers and invoices directories
-          const lowerFullname = fullname.toLowerCase();
-          if (lowerFullname.includes('/ledgers/') || lowerFullname.includes('/invoices/')) {
-            if (!lowerFullname.endsWith('.pdf')) {
-              this._log(util.format('Non-PDF file upload rejected in ledgers/invoices: %s', fullname));
-              const state = openFiles.get(handleId);
-              if (state) {
-                state.uploadError = new Error('Only PDF files are allowed in ledgers and invoices directories');
-              }
-              this.emit('upload-error', { path: fullname, error: new Error('Only PDF files are allowed in ledgers and invoices directories'), username: user.username });
-              return;
-            }
-          }
-          
-          const command = new PutObjectCommand({
-            Bucket: this.bucketName,
-            Key: fullname,
-            Body: buffer,
-            ContentLength: buffer.length
-          });
+    // With a malware scanner the data goes to a pending key first and is
+    // moved to its final key once found clean. A resumed upload continues
+    // the key it was started on
+    let uploadKey = this.scanner ? config.scanning.pendingPrefix + fullname : fullname;
+    if (uploadState && uploadState.resume) {
+      uploadKey = uploadState.resume.uploadKey || fullname;
+    }
 
-          await this.s3Client.send(command);
-          
-          const state = openFiles.get(handleId);
-          if (state) {
-            state.uploadComplete = true;
-            this.lastUploadTime = Date.now(); // Mark that a file was uploaded
-            this._log(util.format('Successfully uploaded %s', fullname));
-            this.emit('file-uploaded', { path: fullname, username: user.username });
-            
-            // Emit directory change event for upload tracking
-            const dirPath = path.dirname(fullname);
-            this.emit('directory-changed', { 
-              path: dirPath, 
-              username: user.username,
-              action: 'upload',
-              filename: path.basename(fullname)
-            });
-          }
-        } catch (err) {
-          const state = openFiles.get(handleId);
-          if (state) {
-            state.uploadError = err;
+    // Fresh uploads are hashed on their way to S3. Appends and resumed
+    // uploads only stream part of the object, their digests are computed
+    // from the stored object once it is complete
+    const digester = appending || (uploadState && uploadState.resume) ? null : new DigestStream();
+
+    const upload = new S3UploadStream({
+      s3Client: this.s3Client,
+      bucketName: this.bucketName,
+      key: uploadKey,
+      partSize: config.s3.uploadPartSize,
+      queueSize: config.s3.uploadQueueSize,
+      allowEmpty: false,
+      copySource: appending ? fullname : null,
+      copySize: appending ? uploadState.existingSize : 0,
+      resume: uploadState ? uploadState.resume : null,
+      metadata: digester ? () => digester.digest() : null
+    });
+    if (uploadState) {
+      uploadState.upload = upload;
+    }
+
+    // Turn the quota reservation into stored usage once the object is in
+    // place, storedBytes is null if nothing was stored
+    const settleQuota = (storedBytes) => {
+      if (uploadState) {
+        this.quotaManager.release(uploadState.quotaLimits, uploadState.reservedBytes);
+        uploadState.reservedBytes = 0;
+        if (storedBytes !== null) {
+          this.quotaManager.commit(fullname, storedBytes, uploadState.objectSize);
+        }
+      }
+    };
+
+    const completeUpload = (digest) => {
+      settleQuota(upload.totalBytes);
+      const state = openFiles.get(handleId);
+      if (state) {
+        state.uploadComplete = true;
+        this.lastUploadTime = Date.now(); // Mark that a file was uploaded
+        this._log(util.format('Successfully uploaded %s (%d bytes)', fullname, upload.bytesWritten));
+        this.emit('file-uploaded', {
+          path: fullname,
+          clientPath: this._normalizePath(state.filename),
+          username: user.username,
+          sessionId: user.sessionId,
+          size: upload.totalBytes,
+          digest: digest
+        });
+
+        // Emit directory change event for upload tracking
+        const dirPath = path.dirname(fullname);
+        this.emit('directory-changed', {
+          path: dirPath,
+          username: user.username,
+          action: 'upload',
+          filename: path.basename(fullname)
+        });
+      }
+    };
+
+    pipeline(...[stream, sniffer, digester, upload].filter(Boolean), (err) => {
+      if (err && uploadState && uploadState.interrupted) {
+        settleQuota(null);
+        this._stageInterruptedUpload(upload, fullname, user, sniffer ? { head: sniffer.head } : null);
+        return;
+      }
+
+      if (err && err.rule) {
+        settleQuota(null);
+        this._rejectContent(clientPath, user, 'upload', err);
+        failUpload(err);
+        return;
+      }
+
+      if (err) {
+        settleQuota(null);
+        this._logError('Upload of %s failed after %d bytes: %s', fullname, upload.bytesWritten, err.message);
+        failUpload(err);
+        return;
+      }
+
+      // Scanned uploads get their digest metadata when moved to their final key
+      this._digestUpload(upload, digester, !this.scanner).then((digest) => {
+        if (!this.scanner) {
+          completeUpload(digest);
+          return;
+        }
+        return this._scanUpload(uploadKey, fullname, this._normalizePath(clientPath), upload.totalBytes, digest, user).then((rejection) => {
+          if (rejection) {
+            settleQuota(null);
+            failUpload(rejection);
+          } else {
+            completeUpload(digest);
           }
-          this._log(util.format('S3 error uploading %s: %s', fullname, err));
-          this.emit('upload-error', { path: fullname, error: err, username: user.username });
+        });
+      }).catch((err) => {
+        // Anything thrown here would otherwise leave the close of the handle waiting forever
+        this._logError('Upload of %s failed after its data was stored: %s', fullname, err);
+        const state = openFiles.get(handleId);
+        if (!state || !state.uploadComplete) {
+          settleQuota(null);
+          failUpload(err);
         }
       });
+    });
+  }
 
-      stream.on('error', (err) => {
-        this._log(util.format('Stream error uploading %s: %s', fullname, err));
-        this.emit('upload-error', { path: fullname, error: err, username: user.username });
-      });
+  /**
+   * Get the digests of a finished upload, and store them as object metadata
+   * if the upload could not
+   * @param {S3UploadStream} upload - The finished upload
+   * @param {DigestStream|null} digester - The digests of the streamed data, null if the stream did not hold the whole object
+   * @param {boolean} store - Whether to store the digests on the uploaded object
+   * @returns {Promise<{sha256: string, md5: string}|null>} - The digests, null if they could not be computed
+   */
+  async _digestUpload(upload, digester, store) {
+    let digest = null;
+    try {
+      if (digester) {
+        digest = digester.digest();
+      } else {
+        const response = await this.s3Client.send(new GetObjectCommand({ Bucket: this.bucketName, Key: upload.key }));
+        digest = await DigestStream.of(response.Body);
+      }
+      if (store && !upload.metadataStored) {
+        if (upload.totalBytes > MAX_COPY_OBJECT_SIZE) {
+          this.logger.warn('Upload too large to store its digests', { path: upload.key, size: upload.totalBytes });
+        } else {
+          // Metadata can only change by copying the object onto itself
+          await this._copyObject(upload.key, upload.key, digest);
+        }
+      }
     } catch (err) {
-      this._log(util.format('S3 error uploading %s: %s', fullname, err));
-      this.emit('upload-error', { path: fullname, error: err, username: user.username });
+      this._logError('S3 error storing the digests of %s: %s', upload.key, err);
     }
+    return digest;
   }
 
-  // Directory operations
-  async _openDirectory(sftp, reqid, fullname, isRoot, openDirs, handleId, user) {
+  /**
+   * Scan a finished upload and move it to its final key if it is clean, or
+   * to the quarantine prefix if it is infected
+   * @param {string} uploadKey - The key the upload was written to
+   * @param {string} fullname - The final S3 key
+   * @param {string} clientPath - The client path
+   * @param {number} size - The object size
+   * @param {Object|null} digest - Digests stored as the metadata of the moved object
+   * @param {Object} user - The session user
+   * @returns {Promise<Error|null>} - Why the upload was refused, or null once it is at its final key
+   */
+  async _scanUpload(uploadKey, fullname, clientPath, size, digest, user) {
+    const refuse = (rule, message) => {
+      const err = new Error(message);
+      err.rule = rule;
+      return err;
+    };
+    const deleteKey = key => this.s3Client.send(new DeleteObjectCommand({ Bucket: this.bucketName, Key: key }));
+
+    let verdict;
     try {
-      // Always get fresh listing from S3 - no caching
-      const command = new ListObjectsV2Command({
-        Bucket: this.bucketName,
-        Prefix: fullname
+      const response = await this.s3Client.send(new GetObjectCommand({ Bucket: this.bucketName, Key: uploadKey }));
+      verdict = await this.scanner.scan(response.Body, { key: fullname, path: clientPath, size: size, username: user.username });
+    } catch (err) {
+      this._logError('Malware scan of %s with %s failed: %s', fullname, this.scanner.name, err.message);
+      this.emit('scan-error', {
+        username: user.username,
+        path: fullname,
+        scanner: this.scanner.name,
+        error: err.message,
+        timestamp: Date.now()
       });
+      if (!config.scanning.failOpen) {
+        if (uploadKey !== fullname) {
+          await deleteKey(uploadKey).catch(deleteErr => this._logError('S3 error deleting %s: %s', uploadKey, deleteErr));
+        }
+        return refuse('scan-failed', `${clientPath} could not be checked for malware, try again later`);
+      }
+      this.logger.warn('Accepting upload that was not scanned', { username: user.username, path: fullname });
+      verdict = { infected: false, signature: null };
+    }
 
-      const response = await this.s3Client.send(command);
-      const contents = response.Contents || [];
-      
-      this._log(`Fresh directory listing retrieved for: ${fullname} with ${contents.length} objects`);
-      contents.forEach(obj => {
-        this._log(`  S3 Object: ${obj.Key} (size: ${obj.Size})`);
+    try {
+      if (verdict.infected) {
+        const quarantineKey = `${config.scanning.quarantinePrefix}${new Date().toISOString()}/${fullname}`;
+        await this._copyObject(uploadKey, quarantineKey, digest, size);
+        await deleteKey(uploadKey);
+        this.logger.warn('Infected upload quarantined', {
+          username: user.username,
+          path: fullname,
+          quarantineKey: quarantineKey,
+          signature: verdict.signature
+        });
+        this.emit('file-quarantined', {
+          username: user.username,
+          sessionId: user.sessionId,
+          path: fullname,
+          clientPath: clientPath,
+          quarantineKey: quarantineKey,
+          scanner: this.scanner.name,
+          signature: verdict.signature,
+          size: size,
+          timestamp: Date.now()
+        });
+        return refuse('malware', `${clientPath} was refused: ${verdict.signature} found`);
+      }
+      if (uploadKey !== fullname) {
+        await this._copyObject(uploadKey, fullname, digest, size);
+        await deleteKey(uploadKey);
+      }
+      return null;
+    } catch (err) {
+      this._logError('S3 error moving scanned upload %s: %s', fullname, err);
+      return err;
+    }
+  }
+
+  /**
+   * Keep the uploaded parts of an interrupted upload for resuming, or abort
+   * the upload if nothing can be resumed
+   * @param {S3UploadStream} upload - The interrupted upload
+   * @param {string} fullname - The S3 key being uploaded
+   * @param {Object} user - The session user
+   * @param {Object} [content] - First bytes of the upload ({head}), kept for the content check when it resumes
+   */
+  async _stageInterruptedUpload(upload, fullname, user, content = null) {
+    try {
+      const resumable = upload.retainParts ? await upload.resumableState() : null;
+      if (resumable && resumable.size > 0) {
+        resumable.content = content;
+        resumable.uploadKey = upload.key;
+        const record = this.stagedUploads.stage(user.username, fullname, resumable);
+        this._log(util.format('Staged interrupted upload of %s for user %s at %d bytes', fullname, user.username, record.size));
+        this.emit('upload-aborted', {
+          username: user.username,
+          path: fullname,
+          reason: 'disconnected',
+          resumable: true,
+          offset: record.size,
+          expiresAt: record.expiresAt,
+          timestamp: Date.now()
+        });
+        return;
+      }
+
+      if (upload.retainParts && upload.uploadId) {
+        await S3UploadStream.abort(this.s3Client, this.bucketName, upload.key, upload.uploadId);
+      }
+      this._log(util.format('Interrupted upload of %s for user %s aborted', fullname, user.username));
+      this.emit('upload-aborted', {
+        username: user.username,
+        path: fullname,
+        reason: 'disconnected',
+        resumable: false,
+        offset: 0,
+        timestamp: Date.now()
       });
+    } catch (err) {
+      this._logError('Error staging interrupted upload of %s: %s', fullname, err);
+    }
+  }
 
-      // For root directory, if it's empty, create the user directory
-      if (isRoot && contents.length === 0) {
-        this._log('Root directory is empty, creating user directory');
-        await this._ensureUserDirectory(user.username);
+  /**
+   * Abort a staged upload in S3
+   * @param {string} username - The user the upload belongs to
+   * @param {Object} record - The staged upload
+   * @param {string} reason - Why the upload is aborted ('expired', 'replaced' or 'shutdown')
+   * @returns {Promise<void>} - Settles once S3 answered, errors are logged
+   */
+  _abortStagedUpload(username, record, reason) {
+    this._log(util.format('Aborting staged upload of %s for user %s (%s)', record.key, username, reason));
+    const aborted = S3UploadStream.abort(this.s3Client, this.bucketName, record.uploadKey || record.key, record.uploadId).catch((err) => {
+      this._logError('S3 error aborting staged upload of %s: %s', record.key, err);
+    });
+    this.emit('upload-aborted', {
+      username: username,
+      path: record.key,
+      reason: reason,
+      resumable: false,
+      offset: record.size,
+      timestamp: Date.now()
+    });
+    return aborted;
+  }
+
+  /**
+   * Abort every staged upload past its expiry time
+   */
+  _expireStagedUploads() {
+    for (const { username, record } of this.stagedUploads.expire()) {
+      this._abortStagedUpload(username, record, 'expired');
+    }
+  }
+
+  /**
+   * Abort the multipart uploads an earlier run of the server left open
+   * Staged uploads only live in memory, so after a restart or crash nothing
+   * can resume them. Uploads below the user, mount and scanning prefixes that
+   * were started before this run are aborted once they are older than
+   * S3_RESUMABLE_UPLOAD_TTL, straight away if they are already
+   * @param {number} startedAt - When this run started, later uploads are its own
+   * @returns {Promise<void>} - Settles once every upload is aborted or scheduled, errors are logged
+   */
+  async _abortOrphanedUploads(startedAt) {
+    const candidates = [`${config.sftp.userBasePath}/`].concat(this.mountTable.keyPrefixes(config.sftp.userBasePath));
+    if (this.scanner) {
+      candidates.push(config.scanning.pendingPrefix);
+    }
+    // Prefixes inside another one are listed with it
+    const prefixes = [];
+    for (const prefix of [...new Set(candidates)].sort()) {
+      if (!prefixes.some(outer => prefix.startsWith(outer))) {
+        prefixes.push(prefix);
+      }
+    }
+
+    const ttl = config.s3.resumableUploadTtl * 1000;
+    for (const prefix of prefixes) {
+      try {
+        let keyMarker;
+        let uploadIdMarker;
+        do {
+          const response = await this.s3Client.send(new ListMultipartUploadsCommand({
+            Bucket: this.bucketName,
+            Prefix: prefix,
+            KeyMarker: keyMarker,
+            UploadIdMarker: uploadIdMarker
+          }));
+          for (const upload of response.Uploads || []) {
+            const initiated = new Date(upload.Initiated).getTime();
+            if (initiated >= startedAt) {
+              continue;
+            }
+            // Abort once expired, waiting again if setTimeout can't wait that long at once
+            const expire = () => {
+              const delay = initiated + ttl - Date.now();
+              if (delay > 0) {
+                const timer = setTimeout(() => {
+                  this.orphanedUploadTimers.delete(timer);
+                  expire();
+                }, Math.min(delay, MAX_TIMER_DELAY));
+                timer.unref();
+                this.orphanedUploadTimers.add(timer);
+                return Promise.resolve();
+              }
+              this._log(util.format('Aborting multipart upload of %s left by an earlier run', upload.Key));
+              return S3UploadStream.abort(this.s3Client, this.bucketName, upload.Key, upload.UploadId).catch((err) => {
+                this._logError('S3 error aborting multipart upload of %s: %s', upload.Key, err);
+              });
+            };
+            await expire();
+          }
+          keyMarker = response.NextKeyMarker;
+          uploadIdMarker = response.NextUploadIdMarker;
+          if (!response.IsTruncated) {
+            break;
+          }
+        } while (keyMarker);
+      } catch (err) {
+        this._logError('S3 error listing multipart uploads under %s: %s', prefix, err);
       }
+    }
+  }
+
+  /**
+   * Check a WRITE against the maximum file size and the user's quotas,
+   * reserving quota space for the data if it fits
+   * @param {Object} state - The open file state
+   * @param {number} offset - The write offset
+   * @param {number} length - The number of bytes written
+   * @param {Object} user - The session user
+   * @returns {Error|null} - The reason the write is refused, or null
+   */
+  _checkUploadLimits(state, offset, length, user) {
+    if (offset + length > config.s3.maxFileSize) {
+      this._log(util.format('File size limit of %d bytes exceeded for %s', config.s3.maxFileSize, state.fullname));
+      return new Error(`File exceeds the maximum size of ${config.s3.maxFileSize} bytes`);
+    }
+
+    if (state.quotaLimits.length > 0) {
+      const exceeded = this.quotaManager.reserve(state.quotaLimits, length, state.replacedBytes);
+      if (exceeded) {
+        return this._quotaExceeded(exceeded, state.fullname, user);
+      }
+      state.reservedBytes += length;
+    }
+    return null;
+  }
 
-      // If files were uploaded recently, add a small delay and re-fetch to handle S3 consistency
+  /**
+   * Report an upload refused by a quota
+   * @param {Object} exceeded - The exceeded quota (scope, name, limit, used)
+   * @param {string} fullname - The S3 key being uploaded
+   * @param {Object} user - The session user
+   * @returns {Error} - The error describing the quota
+   */
+  _quotaExceeded(exceeded, fullname, user) {
+    const label = exceeded.scope === 'user' ? 'User' : `Folder ${exceeded.name}`;
+    this._log(util.format('%s quota of %d bytes exceeded by %s for user %s (used %d)', label, exceeded.limit, fullname, user.username, exceeded.used));
+    this.emit('upload-quota-exceeded', {
+      username: user.username,
+      path: fullname,
+      scope: exceeded.scope,
+      name: exceeded.name,
+      limit: exceeded.limit,
+      used: exceeded.used,
+      timestamp: Date.now()
+    });
+    return new Error(`${label} quota of ${exceeded.limit} bytes exceeded`);
+  }
+
+  /**
+   * Fail an upload that is still receiving data, aborting its transfer to S3
+   * @param {Object} state - The open file state
+   * @param {Error} err - The reason for the failure
+   */
+  _failOpenUpload(state, err) {
+    state.uploadError = err;
+    if (!state.stream.destroyed) {
+      // The upload pipeline reports the error and aborts the multipart upload
+      state.stream.destroy(err);
+    }
+  }
+
+  /**
+   * Get the size of an existing object
+   * @param {string} fullname - The S3 key
+   * @returns {Promise<number|null>} - The size in bytes, null if the object doesn't exist
+   */
+  async _getObjectSize(fullname) {
+    try {
+      const response = await this.s3Client.send(new HeadObjectCommand({
+        Bucket: this.bucketName,
+        Key: fullname
+      }));
+      return response.ContentLength || 0;
+    } catch (err) {
+      if (err.name === 'NotFound') {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  // Directory operations
+  async _openDirectory(sftp, reqid, clientPath, fullname, isRoot, openDirs, handleId, user) {
+    try {
+      // If files were uploaded recently, add a small delay to handle S3 consistency
       const timeSinceUpload = Date.now() - this.lastUploadTime;
       if (timeSinceUpload < 10000) { // Within 10 seconds of upload
         this._log('Files uploaded recently, adding delay for S3 consistency');
-        // Add a small delay to allow S3 to propagate the changes
         await new Promise(resolve => setTimeout(resolve, 1000));
-        
-        // Re-fetch the listing to get the latest files
-        const freshCommand = new ListObjectsV2Command({
-          Bucket: this.bucketName,
-          Prefix: fullname
-        });
-        const freshResponse = await this.s3Client.send(freshCommand);
-        const freshContents = freshResponse.Contents || [];
-        contents.length = 0; // Clear the old contents
-        contents.push(...freshContents); // Add the fresh contents
-        this._log(`Fresh listing retrieved with ${freshContents.length} objects after upload delay`);
       }
 
-      if (contents.length === 0 && !isRoot) {
+      // Mount points inside the directory are listed even without objects
+      const mountEntries = this.mountTable.childNames(user, clientPath, this._userGroups(user));
+      const isVirtual = this._isVirtualDirectory(user, clientPath);
+
+      // Always get fresh listing from S3 - no caching. Only the first page is
+      // fetched here, the rest is read as the client asks for more entries
+      let lister = fullname !== null ? new S3DirectoryLister(this.s3Client, this.bucketName, fullname, config.s3.listPageSize) : null;
+      let exists = lister ? await lister.exists() : false;
+
+      // For root directory, if it's empty, create the user directory
+      if (isRoot && !exists && lister) {
+        this._log('Root directory is empty, creating user directory');
+        await this._ensureUserDirectory(user.username, user.path);
+        lister = new S3DirectoryLister(this.s3Client, this.bucketName, fullname, config.s3.listPageSize);
+        exists = true;
+      }
+
+      if (!exists && !isVirtual) {
         this._log(util.format('Key %s not found', fullname));
         return sftp.status(reqid, SFTP_STATUS_CODE.NO_SUCH_FILE);
       }
@@ -1032,247 +2614,145 @@ class SFTPS3Server extends EventEmitter {
       const handle = Buffer.alloc(4);
       handle.writeUInt32BE(handleId, 0, true);
 
-      const listings = this._processDirectoryListings(contents, fullname);
-      
-      this._log(`Processed ${listings.length} listings for directory: ${fullname}`);
-      listings.forEach(listing => {
-        this._log(`  - ${listing.Key} (${listing.IsDir ? 'dir' : 'file'})`);
-      });
-      
       openDirs.set(handleId, {
+        clientPath: clientPath,
         fullname: fullname,
-        listings: listings,
+        lister: lister,
+        mountEntries: mountEntries,
+        queue: Promise.resolve(),
+        read: false,
         user: user // Store user info for access control
       });
 
       this._log(util.format('Issuing handle %d', handleId));
       sftp.handle(reqid, handle);
     } catch (err) {
-      this._log(util.format('S3 error listing %s: %s', fullname, err));
+      this._logError('S3 error listing %s: %s', fullname, err);
       sftp.status(reqid, SFTP_STATUS_CODE.FAILURE);
     }
   }
 
-  async _ensureUserDirectory(username) {
+  async _ensureUserDirectory(username, userPath = `${config.sftp.userBasePath}/${username}`) {
     try {
-      // Get base path from config
-      const basePath = config.sftp.userBasePath;
-      
       // Note: No directory markers are created - directories are virtual
       this._log(util.format('User directory structure prepared for %s (no markers created)', username));
 
       // Create default subdirectories if enabled in config
       if (config.sftp.createDefaultSubdirs) {
-        await this._createDefaultSubdirectories(username);
+        await this._createDefaultSubdirectories(username, userPath);
       }
       
     } catch (err) {
-      this._log(util.format('Error preparing user directory for %s: %s', username, err));
+      this._logError('Error preparing user directory for %s: %s', username, err);
     }
   }
 
   /**
    * Create default subdirectories for a user
    * @param {string} username - The username
+   * @param {string} userPath - The user's base path in S3
    */
-  async _createDefaultSubdirectories(username) {
+  async _createDefaultSubdirectories(username, userPath) {
     try {
-      const basePath = config.sftp.userBasePath;
       const defaultDirs = config.sftp.defaultSubdirectories;
       
-      for (const dirName of defaultDirs) {
-        const subDirKey = `${basePath}/${username}/${dirName}/.directory`;
-        const command = new PutObjectCommand({
-          Bucket: this.bucketName,
-          Key: subDirKey,
-          Body: `Directory marker for ${dirName} folder`,
-          ContentType: 'application/x-directory'
-        });
-
-        await this.s3Client.send(command);
-        this._log(util.format('Created default subdirectory %s for user %s: %s', dirName, username, subDirKey));
-      }
-    } catch (err) {
-      this._log(util.format('Error creating default subdirectories for user %s: %s', username, err));
-    }
-  }
-
-  _processDirectoryListings(contents, fullname) {
-    this._log(`Processing directory listings for: ${fullname}`);
-    this._log(`Total contents: ${contents.length}`);
-    
-    return contents.filter(c => {
-      let f = c.Key.substring(fullname.length);
-      if (!f.startsWith('/')) {
-        f = '/' + f;
-      }
-      if (f === '/.dir') {
-        return false;
-      }
-      
-      const parts = f.split('/');
-      if (parts[0]) {
-        return false;
-      }
-      
-      this._log(`Processing: ${c.Key} -> ${f} (parts: ${parts.join(',')})`);
-      
-      // Handle directory markers (.directory files)
-      if (parts.length === 3 && parts[2] === '.directory') {
-        if (!parts[1]) {
-          return false;
-        }
-        c.Key = c.Key.substring(0, c.Key.length - 11); // Remove '/.directory'
-        c.IsDir = true;
-        this._log(`Found directory marker: ${c.Key}`);
-        return true;
-      }
-      
-      // Handle regular files
-      if (parts.length === 2) {
-        this._log(`Found regular file: ${c.Key}`);
-        return true;
-      }
-      
-      // Handle subdirectories (show them as directories)
-      if (parts.length > 2) {
-        // Check if this is a directory by looking for children
-        const dirKey = fullname + '/' + parts[1];
-        const hasChildren = contents.some(other => 
-          other.Key !== c.Key && 
-          other.Key.startsWith(dirKey + '/')
-        );
-        
-        if (hasChildren) {
-          c.IsDir = true;
-          c.Key = dirKey;
-          this._log(`Found directory with children: ${c.Key}`);
-          return true;
-        }
-      }
+      for (const dirName of defaultDirs) {
+        const subDirKey = `${userPath}/${dirName}/.directory`;
+        const command = new PutObjectCommand({
+          Bucket: this.bucketName,
+          Key: subDirKey,
+          Body: `Directory marker for ${dirName} folder`,
+          ContentType: 'application/x-directory'
+        });
 
-      // Also check if this path itself is a directory by looking for .directory markers
-      const dirMarker = contents.find(other => other.Key === c.Key + '/.directory');
-      if (dirMarker) {
-        c.IsDir = true;
-        this._log(`Found directory via .directory marker: ${c.Key}`);
-        return true;
+        await this.s3Client.send(command);
+        this._log(util.format('Created default subdirectory %s for user %s: %s', dirName, username, subDirKey));
       }
-      
-      this._log(`Filtered out: ${c.Key}`);
-      return false;
-    });
+    } catch (err) {
+      this._logError('Error creating default subdirectories for user %s: %s', username, err);
+    }
   }
 
-  _listDirectoryContents(sftp, reqid, state) {
-    this._log(`Listing directory contents for: ${state.fullname}`);
-    this._log(`Found ${state.listings.length} items in listing`);
-    
-    // Get user info for access control
-    const user = state.user || { username: 'user' };
-    
-    let entries = state.listings.map(l => {
-      let filename = l.Key.substring(state.fullname.length);
-      if (filename.startsWith('/')) {
-        filename = filename.substring(1);
-      }
-      if (filename.endsWith('/')) {
-        filename = filename.substring(0, filename.length - 1);
+  /**
+   * Send the next batch of directory entries, or EOF once the listing is exhausted
+   * @param {Object} sftp - The SFTP stream
+   * @param {number} reqid - The request ID
+   * @param {Object} state - The open directory state
+   * @returns {Promise<void>}
+   */
+  async _listDirectoryContents(sftp, reqid, state) {
+    try {
+      // Mount points inside the directory come first, S3 entries of the same
+      // name are hidden behind them
+      if (!state.read) {
+        state.read = true;
+        if (state.mountEntries.length > 0) {
+          this._log(util.format('Returning mount points %s of %s', state.mountEntries.join(', '), state.clientPath));
+          return sftp.name(reqid, state.mountEntries.map(name => this._directoryEntry(name, true, 0, null)));
+        }
       }
 
-      const mode = l.IsDir ? 0o755 : 0o644;
-      const size = l.IsDir ? 0 : l.Size;
-      const lastModified = new Date(l.LastModified);
-
-      this._log(`Entry: ${filename} (${l.IsDir ? 'dir' : 'file'}) size=${size}`);
-
-      return {
-        filename: filename,
-        longname: `${l.IsDir ? 'd' : '-'}rw-rw-rw-    1 user user ${size} ${lastModified.toLocaleDateString()} ${lastModified.toLocaleTimeString()} ${filename}`,
-        attrs: {
-          mode: mode,
-          uid: 0,
-          gid: 0,
-          size: size,
-          atime: lastModified,
-          mtime: lastModified
+      let batch = [];
+      while (state.lister && batch.length === 0) {
+        const entries = await state.lister.nextBatch(config.sftp.readdirBatchSize);
+        if (entries.length === 0) {
+          break;
         }
-      };
-    });
-
-    // Remove duplicates (in case we have both directory markers and children)
-    const seen = new Set();
-    entries = entries.filter(entry => {
-      if (seen.has(entry.filename)) {
-        return false;
+        batch = entries.filter(entry => !state.mountEntries.includes(entry.name));
+      }
+      if (batch.length === 0) {
+        this._log('EOF');
+        return sftp.status(reqid, SFTP_STATUS_CODE.EOF);
       }
-      seen.add(entry.filename);
-      return true;
-    });
 
-    // If this is the root directory, show the user's own directory and available subdirectories
-    if (state.fullname === '') {
-      // Clear existing entries and show the user's own directory
-      entries = [];
-      
-      const username = state.user ? state.user.username : 'user';
-      
-      // Add the user's main directory
-      entries.push({
-        filename: username,
-        longname: `drwxr-xr-x    1 user user    0 Jan  1 00:00 ${username}`,
-        attrs: {
-          mode: 0o755,
-          uid: 0,
-          gid: 0,
-          size: 0,
-          atime: new Date(),
-          mtime: new Date()
-        }
-      });
-      
-      // Add direct access to ledgers and invoices folders
-      entries.push({
-        filename: 'ledgers',
-        longname: `drwxr-xr-x    1 user user    0 Jan  1 00:00 ledgers`,
-        attrs: {
-          mode: 0o755,
-          uid: 0,
-          gid: 0,
-          size: 0,
-          atime: new Date(),
-          mtime: new Date()
-        }
-      });
-      
-      entries.push({
-        filename: 'invoices',
-        longname: `drwxr-xr-x    1 user user    0 Jan  1 00:00 invoices`,
-        attrs: {
-          mode: 0o755,
-          uid: 0,
-          gid: 0,
-          size: 0,
-          atime: new Date(),
-          mtime: new Date()
-        }
-      });
-      
-      this._log(util.format('Root directory listing: showing user %s directory and direct access to ledgers/invoices', username));
+      this._log(util.format('Returning %d entries of %s', batch.length, state.fullname));
+      sftp.name(reqid, batch.map(entry => this._directoryEntry(entry.name, entry.isDir, entry.size, entry.lastModified)));
+    } catch (err) {
+      this._logError('S3 error listing %s: %s', state.fullname, err);
+      sftp.status(reqid, SFTP_STATUS_CODE.FAILURE);
     }
+  }
 
-    // User will see their own files in their user-specific directory
-
-    this._log('Returned directory details');
-    sftp.name(reqid, entries);
+  /**
+   * Build a READDIR name entry
+   * @param {string} filename - The entry name
+   * @param {boolean} isDir - Whether the entry is a directory
+   * @param {number} size - The file size
+   * @param {Date|null} lastModified - The modification time, now if unknown
+   * @returns {Object} - The entry with filename, longname and attrs
+   */
+  _directoryEntry(filename, isDir, size, lastModified) {
+    const mtime = lastModified ? new Date(lastModified) : new Date();
+    return {
+      filename: filename,
+      longname: `${isDir ? 'd' : '-'}rw-rw-rw-    1 user user ${size} ${mtime.toLocaleDateString()} ${mtime.toLocaleTimeString()} ${filename}`,
+      attrs: {
+        mode: isDir ? 0o755 : 0o644,
+        uid: 0,
+        gid: 0,
+        size: size,
+        atime: mtime,
+        mtime: mtime
+      }
+    };
   }
 
   // Utility operations
   _closeFile(sftp, reqid, state, handleId, openFiles, user) {
     if (state.flags & SFTP_OPEN_MODE.WRITE) {
+      // Chunks still waiting for earlier data mean the client left a gap,
+      // sparse files can't be uploaded
+      const gapError = state.writer.checkComplete();
+      if (gapError && !state.uploadError) {
+        this._log(util.format('Upload of %s incomplete: %s', state.fullname, gapError.message));
+        this._failOpenUpload(state, gapError);
+      }
+
       // For write operations, we need to wait for the upload to complete
       // before sending the status response
-      state.stream.end();
+      if (!state.stream.destroyed) {
+        state.stream.end();
+      }
       this._log('Stream closed, waiting for upload completion...');
       
       // Check if upload is already complete
@@ -1287,7 +2767,7 @@ class SFTPS3Server extends EventEmitter {
       if (state.uploadError) {
         this._log('Upload failed, sending error status');
         openFiles.delete(handleId);
-        sftp.status(reqid, SFTP_STATUS_CODE.FAILURE);
+        sftp.status(reqid, SFTP_STATUS_CODE.FAILURE, state.uploadError.message);
         return;
       }
       
@@ -1306,7 +2786,7 @@ class SFTPS3Server extends EventEmitter {
         } else if (currentState.uploadError) {
           this._log('Upload failed, sending error status');
           openFiles.delete(handleId);
-          sftp.status(reqid, SFTP_STATUS_CODE.FAILURE);
+          sftp.status(reqid, SFTP_STATUS_CODE.FAILURE, currentState.uploadError.message);
         } else {
           // Upload still in progress, check again in 100ms
           setTimeout(checkUploadStatus, 100);
@@ -1318,7 +2798,14 @@ class SFTPS3Server extends EventEmitter {
       
       return;
     } else {
-      this.emit('file-downloaded', { path: state.fullname, username: user.username });
+      state.reader.close();
+      this.emit('file-downloaded', {
+        path: state.fullname,
+        clientPath: this._normalizePath(state.filename),
+        username: user.username,
+        sessionId: user.sessionId,
+        bytes: state.bytes
+      });
       openFiles.delete(handleId);
     }
 
@@ -1326,7 +2813,7 @@ class SFTPS3Server extends EventEmitter {
     sftp.status(reqid, SFTP_STATUS_CODE.OK);
   }
 
-  async _deleteFileFromS3(sftp, reqid, fullname, user) {
+  async _deleteFileFromS3(sftp, reqid, clientPath, fullname, user) {
     try {
       const command = new DeleteObjectCommand({
         Bucket: this.bucketName,
@@ -1334,12 +2821,13 @@ class SFTPS3Server extends EventEmitter {
       });
 
       await this.s3Client.send(command);
+      this.quotaManager.invalidate(fullname);
       
       this._log('File deleted');
-      this.emit('file-deleted', { path: fullname, username: user.username });
+      this.emit('file-deleted', { path: fullname, clientPath: clientPath, username: user.username, sessionId: user.sessionId });
       sftp.status(reqid, SFTP_STATUS_CODE.OK);
     } catch (err) {
-      this._log(util.format('S3 error deleting object %s: %s', fullname, err));
+      this._logError('S3 error deleting object %s: %s', fullname, err);
       sftp.status(reqid, SFTP_STATUS_CODE.FAILURE);
     }
   }
@@ -1358,7 +2846,7 @@ class SFTPS3Server extends EventEmitter {
       this.emit('directory-created', { path: fullname, username: user.username });
       sftp.status(reqid, SFTP_STATUS_CODE.OK);
     } catch (err) {
-      this._log(util.format('S3 error putting object %s: %s', fullname, err));
+      this._logError('S3 error putting object %s: %s', fullname, err);
       sftp.status(reqid, SFTP_STATUS_CODE.FAILURE);
     }
   }
@@ -1425,20 +2913,57 @@ class SFTPS3Server extends EventEmitter {
       this.emit('directory-deleted', { path: dirPath, username: user.username });
       sftp.status(reqid, SFTP_STATUS_CODE.OK);
     } catch (err) {
-      this._log(util.format('S3 error deleting directory %s: %s', fullname, err));
+      this._logError('S3 error deleting directory %s: %s', fullname, err);
       sftp.status(reqid, SFTP_STATUS_CODE.FAILURE);
     }
   }
 
-  async _renameInS3(sftp, reqid, fullnameOld, fullnameNew, user) {
+  /**
+   * Rename a file, or a directory with everything in it
+   * @param {Object} sftp - The SFTP stream
+   * @param {number} reqid - The request ID
+   * @param {string} oldPath - The normalized client path of the source
+   * @param {string} newPath - The normalized client path of the destination
+   * @param {string} fullnameOld - The source S3 key
+   * @param {string} fullnameNew - The destination S3 key
+   * @param {Object} user - The session user
+   */
+  async _renameInS3(sftp, reqid, oldPath, newPath, fullnameOld, fullnameNew, user) {
     try {
-      const copyCommand = new CopyObjectCommand({
-        Bucket: this.bucketName,
-        Key: fullnameNew,
-        CopySource: `${this.bucketName}/${fullnameOld}`
-      });
+      const { file, directory } = await this._lookupKey(fullnameOld);
+      if (!file && directory) {
+        return await this._renameDirectoryInS3(sftp, reqid, oldPath, newPath, fullnameOld, fullnameNew, user);
+      }
+      if (!file) {
+        this._log(util.format('Key %s not found', fullnameOld));
+        return sftp.status(reqid, SFTP_STATUS_CODE.NO_SUCH_FILE);
+      }
+
+      // The destination must satisfy the upload policy like a new upload
+      if (!this._checkUploadPolicy(newPath, user, 'rename') ||
+        !(await this._checkStoredContent(user, oldPath, newPath, fullnameOld, file.Size))) {
+        return sftp.status(reqid, SFTP_STATUS_CODE.PERMISSION_DENIED);
+      }
+      // Like OpenSSH, a rename never replaces an existing file
+      const target = await this._lookupKey(fullnameNew);
+      if (target.directory) {
+        this._log(util.format('Rename target %s is a directory', fullnameNew));
+        return sftp.status(reqid, SFTP_STATUS_CODE.FAILURE, 'Target is a directory');
+      }
+      if (target.file) {
+        this._log(util.format('Rename target %s already exists', fullnameNew));
+        return sftp.status(reqid, SFTP_STATUS_CODE.FAILURE, 'Target already exists');
+      }
+
+      // The file must fit the quotas it moves into
+      const movedBytes = new Map();
+      this._countMovedBytes(movedBytes, this.quotas.getLimits(user), fullnameOld, fullnameNew, file.Size);
+      const quotaError = await this._checkMovedBytes(movedBytes, fullnameNew, user);
+      if (quotaError) {
+        return sftp.status(reqid, SFTP_STATUS_CODE.FAILURE, quotaError.message);
+      }
 
-      await this.s3Client.send(copyCommand);
+      await this._copyObject(fullnameOld, fullnameNew);
 
       const deleteCommand = new DeleteObjectCommand({
         Bucket: this.bucketName,
@@ -1446,88 +2971,291 @@ class SFTPS3Server extends EventEmitter {
       });
 
       await this.s3Client.send(deleteCommand);
+      this.quotaManager.invalidate(fullnameOld);
+      this.quotaManager.invalidate(fullnameNew);
       
       this._log('File renamed');
-      this.emit('file-renamed', { path: fullnameNew, oldPath: fullnameOld, username: user.username });
+      this.emit('file-renamed', {
+        path: fullnameNew,
+        oldPath: fullnameOld,
+        clientPath: newPath,
+        oldClientPath: oldPath,
+        username: user.username,
+        sessionId: user.sessionId
+      });
       sftp.status(reqid, SFTP_STATUS_CODE.OK);
     } catch (err) {
-      this._log(util.format('S3 error renaming %s to %s: %s', fullnameOld, fullnameNew, err));
+      this._logError('S3 error renaming %s to %s: %s', fullnameOld, fullnameNew, err);
       sftp.status(reqid, SFTP_STATUS_CODE.FAILURE);
     }
   }
 
-  async _getFileStats(sftp, reqid, filePath, user) {
+  /**
+   * Add the size of an object moved by a rename to every quota it moves into
+   * Quotas that already cover the old key don't change
+   * @param {Map<Object, number>} movedBytes - Bytes moved into each quota
+   * @param {Array<{prefix: string, limit: number}>} limits - The user's quotas
+   * @param {string} oldKey - The key the object is moved from
+   * @param {string} newKey - The key the object is moved to
+   * @param {number} size - The object size
+   */
+  _countMovedBytes(movedBytes, limits, oldKey, newKey, size) {
+    for (const limit of limits) {
+      if (newKey.startsWith(limit.prefix) && !oldKey.startsWith(limit.prefix)) {
+        movedBytes.set(limit, (movedBytes.get(limit) || 0) + size);
+      }
+    }
+  }
+
+  /**
+   * Check that the bytes a rename moves into quotas fit them
+   * @param {Map<Object, number>} movedBytes - Bytes moved into each quota
+   * @param {string} fullname - The rename target, used in the quota event
+   * @param {Object} user - The session user
+   * @returns {Promise<Error|null>} - The exceeded quota, or null if everything fits
+   */
+  async _checkMovedBytes(movedBytes, fullname, user) {
+    if (movedBytes.size === 0) {
+      return null;
+    }
+    await this.quotaManager.prepare([...movedBytes.keys()]);
+    for (const [limit, bytes] of movedBytes) {
+      const exceeded = this.quotaManager.check([limit], bytes);
+      if (exceeded) {
+        return this._quotaExceeded(exceeded, fullname, user);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Rename a directory by copying every object below it, then deleting the originals
+   * Every object is checked against the access policy at both paths and the
+   * upload policy at its new path, and
+   * their sizes against the quotas they move into, before anything is
+   * copied. If a copy fails, the copies made so far are removed and the
+   * source is left untouched
+   * @param {Object} sftp - The SFTP stream
+   * @param {number} reqid - The request ID
+   * @param {string} oldPath - The normalized client path of the source
+   * @param {string} newPath - The normalized client path of the destination
+   * @param {string} fullnameOld - The source directory key
+   * @param {string} fullnameNew - The destination directory key
+   * @param {Object} user - The session user
+   */
+  async _renameDirectoryInS3(sftp, reqid, oldPath, newPath, fullnameOld, fullnameNew, user) {
+    const oldPrefix = fullnameOld.replace(/\/+$/, '') + '/';
+    const newPrefix = fullnameNew.replace(/\/+$/, '') + '/';
+    const newDir = newPath.replace(/\/+$/, '');
+    const oldDir = oldPath.replace(/\/+$/, '');
+    const pageSize = config.s3.listPageSize;
+
+    if (newPrefix.startsWith(oldPrefix)) {
+      this._log(util.format('Cannot move directory %s into itself', fullnameOld));
+      return sftp.status(reqid, SFTP_STATUS_CODE.FAILURE, 'Cannot move a directory into itself');
+    }
+    const target = await this._lookupKey(fullnameNew);
+    if (target.file || target.directory) {
+      this._log(util.format('Rename target %s already exists', fullnameNew));
+      return sftp.status(reqid, SFTP_STATUS_CODE.FAILURE, 'Target already exists');
+    }
+
+    const quotaLimits = this.quotas.getLimits(user);
+    const movedBytes = new Map();
+    for await (const page of S3DirectoryLister.listObjects(this.s3Client, this.bucketName, oldPrefix, pageSize)) {
+      for (const obj of page) {
+        const rest = obj.Key.substring(oldPrefix.length);
+        if (S3DirectoryLister.DIRECTORY_MARKERS.includes(path.basename(rest))) {
+          continue;
+        }
+        // Rules on nested paths apply to the objects moved below them
+        if (!this._isPathAllowed(user, `${oldDir}/${rest}`, 'rename') || !this._isPathAllowed(user, `${newDir}/${rest}`, 'rename')) {
+          this._log(util.format('Access denied for user %s to rename %s/%s', user.username, oldDir, rest));
+          return sftp.status(reqid, SFTP_STATUS_CODE.PERMISSION_DENIED);
+        }
+        if (!this._checkUploadPolicy(`${newDir}/${rest}`, user, 'rename') ||
+          !(await this._checkStoredContent(user, `${oldDir}/${rest}`, `${newDir}/${rest}`, obj.Key, obj.Size))) {
+          return sftp.status(reqid, SFTP_STATUS_CODE.PERMISSION_DENIED);
+        }
+        this._countMovedBytes(movedBytes, quotaLimits, obj.Key, newPrefix + rest, obj.Size);
+      }
+    }
+    const quotaError = await this._checkMovedBytes(movedBytes, fullnameNew, user);
+    if (quotaError) {
+      return sftp.status(reqid, SFTP_STATUS_CODE.FAILURE, quotaError.message);
+    }
+
+    let objectCount = 0;
     try {
-      const fullname = this._mapKey(user.path, filePath);
-      const listCommand = new ListObjectsV2Command({
-        Bucket: this.bucketName,
-        Prefix: fullname
-      });
+      for await (const page of S3DirectoryLister.listObjects(this.s3Client, this.bucketName, oldPrefix, pageSize)) {
+        for (const obj of page) {
+          await this._copyObject(obj.Key, newPrefix + obj.Key.substring(oldPrefix.length));
+          objectCount++;
+        }
+      }
+    } catch (err) {
+      this._logError('Copy of directory %s failed after %d objects, removing the partial copy', fullnameOld, objectCount);
+      try {
+        await this._deletePrefix(newPrefix);
+      } catch (cleanupErr) {
+        this._logError('S3 error removing the partial copy %s: %s', newPrefix, cleanupErr);
+      }
+      throw err;
+    }
 
-      const response = await this.s3Client.send(listCommand);
-      
-      const exactMatch = response.Contents.find(c => c.Key === fullname);
-      if (exactMatch) {
-        this._log('Retrieved file attrs');
-        sftp.attrs(reqid, {
-          mode: 0o644,
-          uid: 0,
-          gid: 0,
-          size: exactMatch.Size,
-          atime: exactMatch.LastModified,
-          mtime: exactMatch.LastModified
-        });
+    await this._deletePrefix(oldPrefix);
+    this.quotaManager.invalidate(oldPrefix);
+    this.quotaManager.invalidate(newPrefix);
+
+    this._log(util.format('Directory renamed with %d objects', objectCount));
+    this.emit('directory-renamed', {
+      path: fullnameNew,
+      oldPath: fullnameOld,
+      clientPath: newDir,
+      oldClientPath: oldDir,
+      username: user.username,
+      sessionId: user.sessionId,
+      objects: objectCount
+    });
+    sftp.status(reqid, SFTP_STATUS_CODE.OK);
+  }
+
+  /**
+   * Copy an object within the bucket
+   * Objects over the 5 GiB CopyObject accepts are copied in parts when their
+   * size is given, keeping the source metadata unless it is replaced
+   * @param {string} sourceKey - The key to copy
+   * @param {string} targetKey - The key to copy to
+   * @param {Object} [metadata] - Metadata replacing that of the source
+   * @param {number} [size] - The size of the source object
+   * @returns {Promise<void>}
+   */
+  async _copyObject(sourceKey, targetKey, metadata, size = 0) {
+    if (size > MAX_COPY_OBJECT_SIZE) {
+      if (!metadata) {
+        const head = await this.s3Client.send(new HeadObjectCommand({ Bucket: this.bucketName, Key: sourceKey }));
+        metadata = head.Metadata;
+      }
+      await S3UploadStream.copy(this.s3Client, this.bucketName, sourceKey, targetKey, size, metadata);
+      return;
+    }
+    await this.s3Client.send(new CopyObjectCommand({
+      Bucket: this.bucketName,
+      Key: targetKey,
+      CopySource: `${this.bucketName}/${encodeURIComponent(sourceKey)}`,
+      MetadataDirective: metadata ? 'REPLACE' : undefined,
+      Metadata: metadata || undefined
+    }));
+  }
+
+  /**
+   * Delete every object under a prefix, one listing page per request
+   * The first page is listed again after each delete instead of continuing
+   * the listing, since the keys it would continue from are gone
+   * @param {string} prefix - The key prefix (ending with '/')
+   * @returns {Promise<void>}
+   * @throws {Error} - If S3 refuses to delete any of the keys, which would
+   *   otherwise be listed again forever
+   */
+  async _deletePrefix(prefix) {
+    for (;;) {
+      const response = await this.s3Client.send(new ListObjectsV2Command({
+        Bucket: this.bucketName,
+        Prefix: prefix,
+        MaxKeys: config.s3.listPageSize
+      }));
+      const contents = response.Contents || [];
+      if (contents.length === 0) {
         return;
       }
-      
-      const directoryMatch = response.Contents.find(c => c.Key === fullname + '/.directory');
-      if (directoryMatch) {
-        this._log('Retrieved directory attrs');
+      const deleted = await this.s3Client.send(new DeleteObjectsCommand({
+        Bucket: this.bucketName,
+        Delete: {
+          Objects: contents.map(obj => ({ Key: obj.Key }))
+        }
+      }));
+      const errors = deleted.Errors || [];
+      if (errors.length > 0) {
+        const [first] = errors;
+        throw new Error(`S3 did not delete ${errors.length} objects under ${prefix}, e.g. ${first.Key}: ${first.Code} ${first.Message || ''}`.trim());
+      }
+    }
+  }
+
+  /**
+   * Check if a key is the user's root, one of the default subdirectories or
+   * the prefix of a mount, which can't be deleted or renamed (directory
+   * markers included)
+   * @param {string} fullname - The S3 key
+   * @param {Object} user - The session user
+   * @returns {boolean} - True if the key is protected
+   */
+  _isProtectedKey(fullname, user) {
+    const key = fullname.replace(/\/+$/, '').replace(/\/\.(directory|dir)$/, '');
+    if (key === user.path) {
+      return true;
+    }
+    if (this.mountTable.mountsFor(user, this._userGroups(user)).some(mount => key === mount.prefix)) {
+      return true;
+    }
+    return config.sftp.defaultSubdirectories.some(dir => key === `${user.path}/${dir}`);
+  }
+
+  async _getFileStats(sftp, reqid, filePath, user) {
+    try {
+      const fullname = this._mapKey(user, filePath);
+      const isVirtual = this._isVirtualDirectory(user, filePath);
+
+      // An interrupted upload reports the size it can be resumed from, so
+      // clients like OpenSSH `reput` know where to continue
+      const staged = fullname !== null && this.stagedUploads.get(user.username, fullname);
+      if (staged) {
+        this._log('Retrieved staged upload attrs');
         sftp.attrs(reqid, {
-          mode: 0o755,
+          mode: 0o644,
           uid: 0,
           gid: 0,
-          size: 0,
-          atime: directoryMatch.LastModified,
-          mtime: directoryMatch.LastModified
+          size: staged.size,
+          atime: new Date(staged.stagedAt),
+          mtime: new Date(staged.stagedAt)
         });
         return;
       }
-      
-      // Also check for legacy .dir markers
-      const legacyDirMatch = response.Contents.find(c => c.Key === fullname + '/.dir');
-      if (legacyDirMatch) {
-        this._log('Retrieved directory attrs (legacy)');
+
+      // Mount points and the directories leading to them exist without objects
+      const { file, directory } = fullname !== null ? await this._lookupKey(fullname) : { file: null, directory: null };
+
+      if (file && !isVirtual) {
+        this._log('Retrieved file attrs');
         sftp.attrs(reqid, {
-          mode: 0o755,
+          mode: 0o644,
           uid: 0,
           gid: 0,
-          size: 0,
-          atime: legacyDirMatch.LastModified,
-          mtime: legacyDirMatch.LastModified
+          size: file.Size,
+          atime: file.LastModified,
+          mtime: file.LastModified
         });
         return;
       }
 
-      // Check if it's a directory by looking for children
-      const hasChildren = response.Contents.some(c => c.Key !== fullname && c.Key.startsWith(fullname + '/'));
-      if (hasChildren) {
-        this._log('Retrieved directory attrs (has children)');
+      if (directory || isVirtual) {
+        this._log('Retrieved directory attrs');
+        const lastModified = directory ? directory.LastModified : new Date();
         sftp.attrs(reqid, {
           mode: 0o755,
           uid: 0,
           gid: 0,
           size: 0,
-          atime: new Date(),
-          mtime: new Date()
+          atime: lastModified,
+          mtime: lastModified
         });
         return;
       }
-      
+
       this._log(util.format('Key %s not in listing', fullname));
       sftp.status(reqid, SFTP_STATUS_CODE.NO_SUCH_FILE);
     } catch (err) {
-      this._log(util.format('S3 error getting stats for %s: %s', filePath, err));
+      this._logError('S3 error getting stats for %s: %s', filePath, err);
       sftp.status(reqid, SFTP_STATUS_CODE.FAILURE);
     }
   }
@@ -1549,21 +3277,14 @@ class SFTPS3Server extends EventEmitter {
         p = '/' + p;
       }
 
-      const fullname = this._mapKey(user.path, filePath);
-      const listCommand = new ListObjectsV2Command({
-        Bucket: this.bucketName,
-        Prefix: fullname
-      });
-
-      const response = await this.s3Client.send(listCommand);
-      const contents = response.Contents || [];
-      this._log(util.format('%d objects found', contents.length));
-
-      let realObj = contents.find(c => c.Key === fullname || c.Key === (fullname + '/.directory') || c.Key === (fullname + '/.dir'));
+      const fullname = this._mapKey(user, filePath);
+      const isVirtual = this._isVirtualDirectory(user, p);
+      const { file, directory } = fullname !== null ? await this._lookupKey(fullname) : { file: null, directory: null };
 
-      if (realObj && (realObj.Key.endsWith('/.directory') || realObj.Key.endsWith('/.dir'))) {
-        this._log(util.format('%s is a directory', realObj.Key));
-        realObj.IsDir = true;
+      let realObj = isVirtual ? null : file;
+      if (!realObj && (directory || isVirtual)) {
+        this._log(util.format('%s is a directory', p));
+        realObj = { IsDir: true, LastModified: directory ? directory.LastModified : new Date(), Size: 0 };
       }
 
       if (!realObj && (p === '/' || p === '/.' || p === '.')) {
@@ -1590,64 +3311,157 @@ class SFTPS3Server extends EventEmitter {
       this._log('Returning real name');
       sftp.name(reqid, name);
     } catch (err) {
-      this._log(util.format('S3 error resolving path %s: %s', filePath, err));
+      this._logError('S3 error resolving path %s: %s', filePath, err);
       sftp.status(reqid, SFTP_STATUS_CODE.FAILURE);
     }
   }
 
   /**
-   * Check if a user has access to a specific path
-   * @param {string} username - The username
-   * @param {string} path - The path to check
+   * Log and report the outcome of an access policy reload
+   * @param {Error|null} err - The error that kept the new policy from loading
+   * @param {AccessPolicy} policy - The policy now in effect
+   */
+  _accessPolicyReloaded(err, policy) {
+    if (err) {
+      this._logError('Access policy %s not reloaded, keeping the previous policy: %s', this.accessControl.file, err.message);
+      this.emit('access-policy-error', { file: this.accessControl.file, error: err.message, timestamp: Date.now() });
+      return;
+    }
+    this.logger.info('Access policy reloaded', { file: this.accessControl.file, rules: policy.rules.length });
+    this.emit('access-policy-reloaded', { file: this.accessControl.file, rules: policy.rules.length, timestamp: Date.now() });
+  }
+
+  /**
+   * Read a list-valued session attribute, given as an array or a comma-separated string
+   * @param {Array<string>|string|undefined} value - The attribute value
+   * @returns {Array<string>|null} - The entries, or null if the attribute is not set
+   */
+  _listAttribute(value) {
+    if (value === undefined || value === null || (typeof value === 'object' && !Array.isArray(value))) {
+      return null;
+    }
+    return Array.isArray(value) ? value.map(String) : String(value).split(',').map(v => v.trim()).filter(Boolean);
+  }
+
+  /**
+   * Get the groups of a user, from the authentication provider and the access policy
+   * @param {Object} user - The session user
+   * @returns {Array<string>} - The group names
+   */
+  _userGroups(user) {
+    const groups = this._listAttribute(user.attributes && user.attributes.groups) || [];
+    return this.accessControl.getPolicy().groupsOf(user.username, groups);
+  }
+
+  /**
+   * Decide whether a user may perform an operation on a path
+   * Permissions returned by the authentication provider and read-only
+   * mounts narrow what the access policy allows for the session
+   * @param {Object} user - The session user
+   * @param {string} filePath - The client path
+   * @param {string} permission - The operation (read, write, list, delete or rename)
+   * @returns {{allowed: boolean, rule: Object|null, reason: string, matches: Array<Object>}} - The decision
+   */
+  _accessDecision(user, filePath, permission) {
+    const sessionPermissions = this._listAttribute(user.permissions);
+    if (sessionPermissions && !sessionPermissions.includes(permission)) {
+      return {
+        allowed: false,
+        rule: null,
+        reason: `Session permissions of user ${user.username} do not include ${permission}`,
+        matches: []
+      };
+    }
+    if (permission === 'write' || permission === 'delete' || permission === 'rename') {
+      const resolved = this._resolveMount(user, filePath);
+      if (resolved && resolved.mount.readOnly) {
+        return { allowed: false, rule: null, reason: `Mount ${resolved.mount.path} is read-only`, matches: [] };
+      }
+    }
+    return this.accessControl.explain(user.username, this._normalizePath(filePath), permission, this._userGroups(user));
+  }
+
+  /**
+   * Check if a user may perform an operation on a specific path
+   * @param {Object} user - The session user
+   * @param {string} filePath - The client path to check
+   * @param {string} permission - The operation (read, write, list, delete or rename)
    * @returns {boolean} - True if access is allowed, false otherwise
    */
-  _isPathAllowed(username, path) {
-    const isAllowed = this.accessControl.isPathAllowed(username, path);
+  _isPathAllowed(user, filePath, permission) {
+    const decision = this._accessDecision(user, filePath, permission);
     
-    if (!isAllowed) {
-      this._log(util.format('Access denied for user %s to path: %s', username, path));
-      this._log(util.format('Allowed paths for user %s: %s', username, this.accessControl.getAllowedPaths(username).join(', ')));
+    if (!decision.allowed) {
+      this.logger.warn('Access denied', { username: user.username, permission: permission, path: filePath, reason: decision.reason });
     }
     
-    return isAllowed;
+    return decision.allowed;
+  }
+
+  /**
+   * Check if a user may see a path's attributes: it can be read or listed
+   * itself, or it shows up in a listing of its parent directory
+   * @param {Object} user - The session user
+   * @param {string} filePath - The client path to check
+   * @returns {boolean} - True if the path is visible to the user
+   */
+  _isPathVisible(user, filePath) {
+    const normalized = this._normalizePath(filePath);
+    const decisions = [
+      this._accessDecision(user, normalized, 'read'),
+      this._accessDecision(user, normalized, 'list'),
+      this._accessDecision(user, path.posix.dirname(normalized), 'list')
+    ];
+    if (decisions.some(decision => decision.allowed)) {
+      return true;
+    }
+    this.logger.warn('Access denied', {
+      username: user.username,
+      permission: 'stat',
+      path: filePath,
+      reason: decisions.map(decision => decision.reason).join('; ')
+    });
+    return false;
   }
 
   /**
-   * Authenticate a user using S3-based authentication
-   * @param {string} username - The username to authenticate
-   * @param {string} password - The password to verify
-   * @returns {Promise<boolean>} - True if authentication successful, false otherwise
+   * Authenticate a user through the configured authentication providers
+   * @param {Object} ctx - The ssh2 authentication context (password or publickey)
+   * @param {string} clientIp - The client's address
+   * @returns {Promise<Object|null>} - The accepting provider's result, or null if not authenticated
+   * @throws {Error} - If a provider fails and isn't configured as a fallback
    */
-  async _authenticateUser(username, password) {
+  async _authenticateUser(ctx, clientIp) {
     try {
-      if (!username || !password) {
+      if (!ctx.username || (ctx.method === 'password' && !ctx.password)) {
         this._log('Username or password is missing');
-        return false;
+        return null;
       }
 
-      // Create the authentication key in S3
-      const authKey = `auth/${username}_${password}`;
-      
-      this._log(util.format('Checking authentication for user %s with key: %s', username, authKey));
+      this._log(util.format('Checking %s authentication for user %s', ctx.method, ctx.username));
 
-      // Check if the authentication file exists in S3
-      const command = new HeadObjectCommand({
-        Bucket: this.bucketName,
-        Key: authKey
+      const result = await this.authProvider.authenticate({
+        username: ctx.username,
+        method: ctx.method,
+        password: ctx.password,
+        key: ctx.key,
+        signature: ctx.signature,
+        blob: ctx.blob,
+        hashAlgo: ctx.hashAlgo,
+        clientIp: clientIp
       });
 
-      await this.s3Client.send(command);
-      
-      this._log(util.format('Authentication successful for user %s', username));
-      return true;
-    } catch (error) {
-      if (error.name === 'NotFound') {
-        this._log(util.format('Authentication failed for user %s: credentials not found', username));
-        return false;
+      if (result && result.ok) {
+        this._log(util.format('Authentication successful for user %s', ctx.username));
+        return result;
       }
-      
-      this._log(util.format('Authentication error for user %s: %s', username, error.message));
-      return false;
+      this._log(util.format('Authentication failed for user %s: %s', ctx.username, result ? 'invalid credentials' : 'unknown user'));
+      return null;
+    } catch (error) {
+      // A provider that can't answer fails the login rather than letting a
+      // later provider decide
+      this._log(util.format('Authentication error for user %s: %s', ctx.username, error.message));
+      throw error;
     }
   }
 
@@ -1658,54 +3472,49 @@ class SFTPS3Server extends EventEmitter {
    */
   async _checkIfDirectory(fullname) {
     try {
-      const command = new ListObjectsV2Command({
-        Bucket: this.bucketName,
-        Prefix: fullname
-      });
-
-      const response = await this.s3Client.send(command);
-      
-      this._log(util.format('Checking if directory: %s', fullname));
-      response.Contents.forEach(obj => {
-        this._log(`  Found: ${obj.Key}`);
-      });
-      
-      // Check for directory marker
-      const directoryMatch = response.Contents.find(c => c.Key === fullname + '/.directory');
-      if (directoryMatch) {
-        this._log(util.format('Found directory marker for: %s', fullname));
-        return true;
-      }
-
-      // Also check for legacy .dir markers
-      const legacyDirMatch = response.Contents.find(c => c.Key === fullname + '/.dir');
-      if (legacyDirMatch) {
-        this._log(util.format('Found legacy directory marker for: %s', fullname));
+      const { file, directory } = await this._lookupKey(fullname);
+      if (directory) {
+        this._log(util.format('Found directory marker or children for: %s', fullname));
         return true;
       }
-
-      // Check if there are any objects with this prefix (indicating it's a directory)
-      const hasChildren = response.Contents.some(c => c.Key !== fullname && c.Key.startsWith(fullname + '/'));
-      if (hasChildren) {
-        this._log(util.format('Found children for directory: %s', fullname));
-        return true;
-      }
-
-      // Check for exact file match
-      const exactMatch = response.Contents.find(c => c.Key === fullname);
-      if (exactMatch) {
+      if (file) {
         this._log(util.format('Found exact file match: %s', fullname));
-        return false; // It's a file
+      } else {
+        this._log(util.format('No exact match found for: %s', fullname));
       }
-
-      // If no exact match and no children, it might be a directory
-      this._log(util.format('No exact match found for: %s', fullname));
       return false;
     } catch (err) {
-      this._log(util.format('Error checking if directory %s: %s', fullname, err));
+      this._logError('Error checking if directory %s: %s', fullname, err);
       return false;
     }
   }
+
+  /**
+   * Look up a key both as a file and as a directory
+   * Lists at most one key per lookup, so the answer doesn't depend on how
+   * many objects share the prefix
+   * @param {string} fullname - The full S3 key path
+   * @returns {Promise<{file: Object|null, directory: Object|null}>} - The S3 object of the file, and the directory's modification time
+   */
+  async _lookupKey(fullname) {
+    const dirPrefix = fullname.replace(/\/+$/, '') + '/';
+    const [fileResponse, dirResponse] = await Promise.all([
+      // A key sorts before every other key it is a prefix of
+      this.s3Client.send(new ListObjectsV2Command({ Bucket: this.bucketName, Prefix: fullname, MaxKeys: 1 })),
+      this.s3Client.send(new ListObjectsV2Command({ Bucket: this.bucketName, Prefix: dirPrefix, MaxKeys: 1 }))
+    ]);
+
+    const first = (fileResponse.Contents || [])[0];
+    const file = first && first.Key === fullname ? first : null;
+
+    const child = (dirResponse.Contents || [])[0];
+    let directory = null;
+    if (child) {
+      const isMarker = S3DirectoryLister.DIRECTORY_MARKERS.includes(child.Key.substring(dirPrefix.length));
+      directory = { LastModified: isMarker ? child.LastModified : new Date() };
+    }
+    return { file: file, directory: directory };
+  }
 }
 
 module.exports = SFTPS3Server; 
\ No newline at end of file
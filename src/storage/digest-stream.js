@@ -0,0 +1,67 @@
+'use strict';
+const crypto = require('crypto');
+const { Transform } = require('stream');
+
+// Digests stored as object metadata, by metadata key
+const ALGORITHMS = ['sha256', 'md5'];
+
+/**
+ * Pass-through stream that computes the SHA-256 and MD5 digests of the data
+ * flowing through it
+ *
+ * The digests are stored as S3 object metadata (x-amz-meta-sha256 and
+ * x-amz-meta-md5, lowercase hex) so they can be checked without downloading
+ * the object.
+ */
+class DigestStream extends Transform {
+  constructor() {
+    super();
+    this.hashes = ALGORITHMS.map(algorithm => crypto.createHash(algorithm));
+    this.bytes = 0;
+    this.result = null;
+  }
+
+  /**
+   * Add data to the digests
+   * @param {Buffer} chunk - The data
+   */
+  update(chunk) {
+    for (const hash of this.hashes) {
+      hash.update(chunk);
+    }
+    this.bytes += chunk.length;
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.update(chunk);
+    callback(null, chunk);
+  }
+
+  /**
+   * Finish the digests, once all data has been added
+   * @returns {{sha256: string, md5: string}} - The hex digests
+   */
+  digest() {
+    if (!this.result) {
+      this.result = Object.fromEntries(ALGORITHMS.map((algorithm, index) => [algorithm, this.hashes[index].digest('hex')]));
+    }
+    return this.result;
+  }
+
+  /**
+   * Compute the digests of a readable stream, e.g. an S3 object body
+   * @param {Readable} stream - The data
+   * @returns {Promise<{sha256: string, md5: string}>} - The hex digests
+   */
+  static async of(stream) {
+    const digester = new DigestStream();
+    for await (const chunk of stream) {
+      digester.update(chunk);
+    }
+    return digester.digest();
+  }
+}
+
+DigestStream.ALGORITHMS = ALGORITHMS;
+
+module.exports = DigestStream;
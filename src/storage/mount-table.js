@@ -0,0 +1,136 @@
+'use strict';
+const { matchSubject } = require('../policy/access-policy');
+
+/**
+ * Normalize a mount point to an absolute path without a trailing '/'
+ * @param {string} mountPath - The configured mount point
+ * @returns {string} - The normalized mount point
+ */
+function normalizeMountPath(mountPath) {
+  const trimmed = String(mountPath).replace(/\/+$/, '');
+  return trimmed.startsWith('/') ? trimmed || '/' : '/' + trimmed;
+}
+
+/**
+ * Maps client-visible paths to S3 prefixes
+ *
+ * Each mount binds a client path to a prefix template, e.g.
+ * `{ path: '/invoices', prefix: 'users/{username}/invoices' }`. `{username}`
+ * is replaced with the user's name and `{home}` with the user's base path.
+ * Mounts can be limited to users and groups with `subjects` (same syntax as
+ * the access policy) and carry options such as `readOnly`,
+ * `allowedExtensions` and `allowedTypes`. A path belongs to the deepest mount containing it;
+ * paths outside every mount don't exist for the user.
+ */
+class MountTable {
+  /**
+   * @param {Array<Object>} mounts - The mount definitions
+   * @param {string} mounts[].path - The client-visible mount point
+   * @param {string} mounts[].prefix - The S3 prefix template
+   * @param {Array<string>} [mounts[].subjects] - Users and groups that see the mount (default everyone)
+   * @param {boolean} [mounts[].readOnly] - Refuse writes, deletes and renames below the mount
+   * @param {Array<string>} [mounts[].allowedExtensions] - The only file types accepted below the mount
+   * @param {Array<string>} [mounts[].allowedTypes] - The only content types accepted below the mount, detected from the data
+   */
+  constructor(mounts) {
+    this.mounts = mounts.map((mount, index) => {
+      if (!mount || typeof mount.path !== 'string' || typeof mount.prefix !== 'string') {
+        throw new Error(`Mount ${index + 1} needs a path and a prefix`);
+      }
+      return Object.assign({}, mount, {
+        path: normalizeMountPath(mount.path),
+        subjects: [].concat(mount.subjects || '*'),
+        readOnly: mount.readOnly === true,
+        allowedExtensions: mount.allowedExtensions || null,
+        allowedTypes: mount.allowedTypes || null
+      });
+    });
+  }
+
+  /**
+   * Get the fixed start of every mount prefix, up to its first placeholder
+   * The keys of every user's mounts begin with one of them, as long as the
+   * users' `{home}` is below `homeBase`
+   * @param {string} homeBase - The base path of the users' homes
+   * @returns {Array<string>} - The prefixes, possibly empty strings
+   */
+  keyPrefixes(homeBase) {
+    return this.mounts.map((mount) => {
+      const template = mount.prefix.replace(/\{home\}/g, `${homeBase}/{username}`);
+      const placeholder = template.indexOf('{');
+      return placeholder === -1 ? template.replace(/\/+$/, '') + '/' : template.substring(0, placeholder);
+    });
+  }
+
+  /**
+   * Get the mounts a user sees, with their prefixes filled in
+   * @param {Object} user - The session user (username and path)
+   * @param {Array<string>} [groups] - The user's groups
+   * @returns {Array<Object>} - The mounts, deepest mount point first
+   */
+  mountsFor(user, groups = []) {
+    return this.mounts
+      .filter(mount => mount.subjects.some(subject => matchSubject(subject, user.username, groups)))
+      .map(mount => Object.assign({}, mount, {
+        prefix: mount.prefix
+          .replace(/\{home\}/g, user.path)
+          .replace(/\{username\}/g, user.username)
+          .replace(/\/+$/, '')
+      }))
+      .sort((a, b) => b.path.length - a.path.length);
+  }
+
+  /**
+   * Find the mount of a normalized client path and the S3 key it maps to
+   * @param {Object} user - The session user (username and path)
+   * @param {string} clientPath - The normalized client path, starting with '/'
+   * @param {Array<string>} [groups] - The user's groups
+   * @returns {{mount: Object, key: string}|null} - The mount and key, or null outside every mount
+   */
+  resolve(user, clientPath, groups = []) {
+    const normalized = clientPath.length > 1 ? clientPath.replace(/\/+$/, '') : clientPath;
+    for (const mount of this.mountsFor(user, groups)) {
+      if (mount.path === '/' || normalized === mount.path || normalized.startsWith(mount.path + '/')) {
+        const rest = mount.path === '/' ? normalized : normalized.substring(mount.path.length);
+        return { mount: mount, key: mount.prefix + (rest === '/' ? '/' : rest) };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the names of mount points, or directories leading to them, directly inside a directory
+   * @param {Object} user - The session user (username and path)
+   * @param {string} dirPath - The normalized client directory path
+   * @param {Array<string>} [groups] - The user's groups
+   * @returns {Array<string>} - The entry names
+   */
+  childNames(user, dirPath, groups = []) {
+    const base = dirPath.length > 1 ? dirPath.replace(/\/+$/, '') : dirPath;
+    const prefix = base === '/' ? '/' : base + '/';
+    const names = new Set();
+    for (const mount of this.mountsFor(user, groups)) {
+      if (mount.path !== '/' && mount.path.startsWith(prefix)) {
+        names.add(mount.path.substring(prefix.length).split('/')[0]);
+      }
+    }
+    return [...names];
+  }
+
+  /**
+   * Check whether a client path is a mount point or leads to one, so it is
+   * a directory even without any objects in S3
+   * @param {Object} user - The session user (username and path)
+   * @param {string} clientPath - The normalized client path
+   * @param {Array<string>} [groups] - The user's groups
+   * @returns {boolean} - True if the path is a virtual directory
+   */
+  isVirtualDirectory(user, clientPath, groups = []) {
+    const normalized = clientPath.length > 1 ? clientPath.replace(/\/+$/, '') : clientPath;
+    return this.mountsFor(user, groups).some((mount) => {
+      return mount.path === normalized || normalized === '/' || mount.path.startsWith(normalized + '/');
+    });
+  }
+}
+
+module.exports = MountTable;
@@ -0,0 +1,91 @@
+'use strict';
+
+/**
+ * Writes offset-addressed chunks to a stream in file order
+ *
+ * SFTP clients pipeline WRITE requests and may send them out of order, but
+ * the upload stream can only take data sequentially. Chunks at the current
+ * end of the data are written straight through; chunks further ahead are
+ * held until the data before them arrives, up to `maxPendingBytes`. Data
+ * that was already passed to the stream can't be rewritten.
+ */
+class OrderedWriter {
+  /**
+   * @param {Writable} stream - The stream receiving the data in order
+   * @param {number} startOffset - File offset of the first byte the stream receives
+   * @param {number} maxPendingBytes - Maximum bytes held while waiting for earlier data
+   */
+  constructor(stream, startOffset, maxPendingBytes) {
+    this.stream = stream;
+    this.offset = startOffset; // Offset of the next byte the stream expects
+    this.maxPendingBytes = maxPendingBytes;
+    this.pending = new Map(); // offset -> Buffer
+    this.pendingBytes = 0;
+  }
+
+  /**
+   * Write a chunk at a file offset
+   * In-order chunks call back once the stream accepted them, chunks held for
+   * later call back straight away
+   * @param {number} offset - The file offset of the chunk
+   * @param {Buffer} data - The chunk
+   * @param {Function} callback - Called with an error if the chunk can't be written
+   */
+  write(offset, data, callback) {
+    if (offset < this.offset) {
+      return callback(new Error(`Cannot rewrite data at offset ${offset}, the file is uploaded up to offset ${this.offset}`));
+    }
+
+    if (offset > this.offset) {
+      const previous = this.pending.get(offset);
+      const pendingBytes = this.pendingBytes - (previous ? previous.length : 0) + data.length;
+      if (pendingBytes > this.maxPendingBytes) {
+        return callback(new Error(`Write at offset ${offset} is too far ahead of offset ${this.offset}`));
+      }
+      this.pending.set(offset, data);
+      this.pendingBytes = pendingBytes;
+      return callback();
+    }
+
+    this.offset += data.length;
+    this.stream.write(data, callback);
+    this._drain();
+  }
+
+  /**
+   * Write held chunks that continue the data, trimming any overlap with it
+   */
+  _drain() {
+    let progressed = true;
+    while (progressed && this.pending.size > 0) {
+      progressed = false;
+      for (const [offset, data] of this.pending) {
+        if (offset > this.offset) {
+          continue;
+        }
+        this.pending.delete(offset);
+        this.pendingBytes -= data.length;
+        if (offset + data.length > this.offset) {
+          const rest = data.subarray(this.offset - offset);
+          this.offset += rest.length;
+          this.stream.write(rest);
+          progressed = true;
+        }
+      }
+    }
+  }
+
+  /**
+   * Check that no held chunks are left waiting for data that never came
+   * @returns {Error|null} - An error describing the first gap, or null
+   */
+  checkComplete() {
+    if (this.pending.size === 0) {
+      return null;
+    }
+    const next = Math.min(...this.pending.keys());
+    return new Error(`File has a gap of ${next - this.offset} bytes at offset ${this.offset}`);
+  }
+}
+
+module.exports = OrderedWriter;
@@ -0,0 +1,170 @@
+'use strict';
+const { ListObjectsV2Command } = require('@aws-sdk/client-s3');
+
+/**
+ * Tracks storage usage per S3 prefix and enforces byte quotas
+ *
+ * Usage of a prefix is computed with one paginated listing the first time it
+ * is needed and then kept up to date from upload results. Bytes of uploads
+ * still in progress are reserved so concurrent transfers can't overshoot a
+ * quota together. Deletes and renames invalidate the cached totals, which are
+ * recomputed on the next check.
+ */
+class QuotaManager {
+  /**
+   * @param {S3Client} s3Client - The S3 client
+   * @param {string} bucketName - The bucket holding user files
+   */
+  constructor(s3Client, bucketName) {
+    this.s3Client = s3Client;
+    this.bucketName = bucketName;
+    this.usage = new Map(); // prefix -> committed bytes
+    this.pendingScans = new Map(); // prefix -> Promise<number>
+    this.reserved = new Map(); // prefix -> bytes reserved by uploads in progress
+  }
+
+  /**
+   * Get the stored bytes under a prefix, listing the bucket on first use
+   * @param {string} prefix - The S3 prefix (ending with '/')
+   * @returns {Promise<number>} - The stored bytes
+   */
+  async getUsage(prefix) {
+    if (this.usage.has(prefix)) {
+      return this.usage.get(prefix);
+    }
+    if (!this.pendingScans.has(prefix)) {
+      const scan = this._scan(prefix).then((bytes) => {
+        if (this.pendingScans.get(prefix) === scan) {
+          this.usage.set(prefix, bytes);
+        }
+        return bytes;
+      }).finally(() => {
+        if (this.pendingScans.get(prefix) === scan) {
+          this.pendingScans.delete(prefix);
+        }
+      });
+      this.pendingScans.set(prefix, scan);
+    }
+    return this.pendingScans.get(prefix);
+  }
+
+  /**
+   * Get the cached usage of a prefix without listing the bucket
+   * @param {string} prefix - The S3 prefix
+   * @returns {number|null} - The stored bytes, or null if not computed yet
+   */
+  getCachedUsage(prefix) {
+    return this.usage.has(prefix) ? this.usage.get(prefix) : null;
+  }
+
+  /**
+   * Sum the size of all objects under a prefix
+   * @param {string} prefix - The S3 prefix
+   * @returns {Promise<number>} - The stored bytes
+   */
+  async _scan(prefix) {
+    let total = 0;
+    let continuationToken;
+    do {
+      const response = await this.s3Client.send(new ListObjectsV2Command({
+        Bucket: this.bucketName,
+        Prefix: prefix,
+        ContinuationToken: continuationToken
+      }));
+      for (const obj of response.Contents || []) {
+        total += obj.Size || 0;
+      }
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+    return total;
+  }
+
+  /**
+   * Load the usage of every quota prefix so later checks are synchronous
+   * @param {Array<{prefix: string, limit: number}>} limits - The quotas that apply to an upload
+   * @returns {Promise<void>}
+   */
+  async prepare(limits) {
+    await Promise.all(limits.map(limit => this.getUsage(limit.prefix)));
+  }
+
+  /**
+   * Check whether bytes fit into every quota, without reserving them
+   * @param {Array<{prefix: string, limit: number}>} limits - The quotas that apply to the upload
+   * @param {number} bytes - Additional bytes the upload wants to store
+   * @param {number} [replacedBytes] - Size of the object being overwritten, freed on success
+   * @returns {Object|null} - The first quota that would be exceeded (with `used`), or null if they fit
+   */
+  check(limits, bytes, replacedBytes = 0) {
+    for (const limit of limits) {
+      const used = (this.usage.get(limit.prefix) || 0) + (this.reserved.get(limit.prefix) || 0) - replacedBytes;
+      if (used + bytes > limit.limit) {
+        return Object.assign({ used: used }, limit);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Reserve bytes for an upload in progress
+   * @param {Array<{prefix: string, limit: number}>} limits - The quotas that apply to the upload
+   * @param {number} bytes - Additional bytes the upload wants to store
+   * @param {number} [replacedBytes] - Size of the object being overwritten, freed on success
+   * @returns {Object|null} - The first quota that would be exceeded (with `used`), or null if reserved
+   */
+  reserve(limits, bytes, replacedBytes = 0) {
+    const exceeded = this.check(limits, bytes, replacedBytes);
+    if (exceeded) {
+      return exceeded;
+    }
+    for (const limit of limits) {
+      this.reserved.set(limit.prefix, (this.reserved.get(limit.prefix) || 0) + bytes);
+    }
+    return null;
+  }
+
+  /**
+   * Release the reservation of an upload
+   * @param {Array<{prefix: string}>} limits - The quotas that apply to the upload
+   * @param {number} bytes - Bytes reserved by the upload
+   */
+  release(limits, bytes) {
+    for (const limit of limits) {
+      const remaining = (this.reserved.get(limit.prefix) || 0) - bytes;
+      if (remaining > 0) {
+        this.reserved.set(limit.prefix, remaining);
+      } else {
+        this.reserved.delete(limit.prefix);
+      }
+    }
+  }
+
+  /**
+   * Record a finished upload in the cached usage of every prefix containing it
+   * @param {string} key - The S3 key that was uploaded
+   * @param {number} bytes - Bytes stored by the upload
+   * @param {number} [replacedBytes] - Size of the object that was overwritten
+   */
+  commit(key, bytes, replacedBytes = 0) {
+    for (const [prefix, used] of this.usage) {
+      if (key.startsWith(prefix)) {
+        this.usage.set(prefix, Math.max(0, used + bytes - replacedBytes));
+      }
+    }
+  }
+
+  /**
+   * Drop cached usage for every prefix containing a key, e.g. after a delete
+   * @param {string} key - The S3 key that changed
+   */
+  invalidate(key) {
+    for (const prefix of [...this.usage.keys(), ...this.pendingScans.keys()]) {
+      if (key.startsWith(prefix)) {
+        this.usage.delete(prefix);
+        this.pendingScans.delete(prefix);
+      }
+    }
+  }
+}
+
+module.exports = QuotaManager;
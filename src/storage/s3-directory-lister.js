@@ -0,0 +1,117 @@
+'use strict';
+const { ListObjectsV2Command } = require('@aws-sdk/client-s3');
+
+// Marker objects that make empty directories visible, never listed as files
+const DIRECTORY_MARKERS = ['.directory', '.dir'];
+
+/**
+ * Lists the direct children of an S3 "directory" page by page
+ *
+ * Uses delimiter-based listing, so sub-directories come back as common
+ * prefixes instead of every object below them, and only one page of
+ * results is held at a time. Callers take entries in batches with
+ * nextBatch() until it returns an empty array.
+ */
+class S3DirectoryLister {
+  /**
+   * @param {S3Client} s3Client - The S3 client
+   * @param {string} bucketName - The bucket
+   * @param {string} dirKey - The directory key, with or without a trailing '/'
+   * @param {number} pageSize - Maximum keys requested per S3 page
+   */
+  constructor(s3Client, bucketName, dirKey, pageSize) {
+    this.s3Client = s3Client;
+    this.bucketName = bucketName;
+    this.prefix = dirKey.endsWith('/') ? dirKey : dirKey + '/';
+    this.pageSize = pageSize;
+    this.pending = [];
+    this.continuationToken = undefined;
+    this.started = false;
+    this.done = false;
+    this.keyCount = 0; // Keys seen so far, including directory markers
+  }
+
+  /**
+   * Fetch the next page of results into the pending entries
+   * @returns {Promise<void>}
+   */
+  async _fetchPage() {
+    const response = await this.s3Client.send(new ListObjectsV2Command({
+      Bucket: this.bucketName,
+      Prefix: this.prefix,
+      Delimiter: '/',
+      MaxKeys: this.pageSize,
+      ContinuationToken: this.continuationToken
+    }));
+    this.started = true;
+
+    for (const commonPrefix of response.CommonPrefixes || []) {
+      this.keyCount++;
+      const name = commonPrefix.Prefix.substring(this.prefix.length).replace(/\/$/, '');
+      if (name) {
+        this.pending.push({ name: name, isDir: true, size: 0, lastModified: null });
+      }
+    }
+    for (const obj of response.Contents || []) {
+      this.keyCount++;
+      const name = obj.Key.substring(this.prefix.length);
+      if (name && !DIRECTORY_MARKERS.includes(name)) {
+        this.pending.push({ name: name, isDir: false, size: obj.Size, lastModified: obj.LastModified });
+      }
+    }
+
+    this.continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    this.done = !this.continuationToken;
+  }
+
+  /**
+   * Check whether the directory has any keys at all (markers included)
+   * @returns {Promise<boolean>} - True if the directory exists
+   */
+  async exists() {
+    while (!this.started || (this.keyCount === 0 && !this.done)) {
+      await this._fetchPage();
+    }
+    return this.keyCount > 0;
+  }
+
+  /**
+   * Get the next entries of the directory
+   * @param {number} size - Maximum number of entries to return
+   * @returns {Promise<Array<{name: string, isDir: boolean, size: number, lastModified: Date|null}>>} - The entries, empty once the listing is exhausted
+   */
+  async nextBatch(size) {
+    while (this.pending.length < size && !this.done) {
+      await this._fetchPage();
+    }
+    return this.pending.splice(0, size);
+  }
+
+  /**
+   * Walk every object under a prefix, at any depth, one page at a time
+   * @param {S3Client} s3Client - The S3 client
+   * @param {string} bucketName - The bucket
+   * @param {string} prefix - The key prefix
+   * @param {number} pageSize - Maximum keys requested per S3 page
+   * @returns {AsyncGenerator<Array<Object>>} - Pages of S3 objects (Key, Size, LastModified)
+   */
+  static async *listObjects(s3Client, bucketName, prefix, pageSize) {
+    let continuationToken;
+    do {
+      const response = await s3Client.send(new ListObjectsV2Command({
+        Bucket: bucketName,
+        Prefix: prefix,
+        MaxKeys: pageSize,
+        ContinuationToken: continuationToken
+      }));
+      if (response.Contents && response.Contents.length > 0) {
+        yield response.Contents;
+      }
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+  }
+}
+
+S3DirectoryLister.DIRECTORY_MARKERS = DIRECTORY_MARKERS;
+
+module.exports = S3DirectoryLister;
@@ -0,0 +1,274 @@
+'use strict';
+const { GetObjectCommand } = require('@aws-sdk/client-s3');
+
+// Largest forward skip from the previous read still treated as sequential
+const MAX_SEQUENTIAL_GAP = 64 * 1024;
+// Sequential reads in a row before a stream is opened, so a single large
+// read split into several requests doesn't start one
+const SEQUENTIAL_READS_BEFORE_STREAMING = 2;
+
+/**
+ * Serves reads of one S3 object, streaming it ahead of sequential readers
+ *
+ * Reads start out as ranged GetObjects. Once reads keep starting at or shortly
+ * after the end of the previous one, a single streaming GetObject is opened
+ * from there and reads are answered from its buffer, which holds at most
+ * `bufferSize` bytes ahead of the furthest requested byte (plus `bufferSize`
+ * behind it, so pipelined requests answered out of order still find their
+ * data). Reads outside that window fall back to ranged gets without dropping
+ * the stream.
+ */
+class S3ReadAhead {
+  /**
+   * @param {Object} options - Reader options
+   * @param {S3Client} options.s3Client - The S3 client
+   * @param {string} options.bucketName - The bucket
+   * @param {string} options.key - The object key
+   * @param {number} options.bufferSize - Bytes prefetched ahead of the reader
+   */
+  constructor(options) {
+    this.s3Client = options.s3Client;
+    this.bucketName = options.bucketName;
+    this.key = options.key;
+    this.bufferSize = options.bufferSize;
+
+    this.lastEnd = null; // End offset of the previous read
+    this.sequentialReads = 0; // Sequential reads in a row
+    this.body = null; // The streaming GetObject body, if any
+    this.paused = false;
+    this.ended = false;
+    this.chunks = [];
+    this.bufferStart = 0; // Offset of the first buffered byte
+    this.bufferEnd = 0; // Offset after the last buffered byte
+    this.position = 0; // Furthest byte requested from the stream
+    this.waiters = [];
+    this.closed = false;
+  }
+
+  /**
+   * Read a range of the object
+   * @param {number} offset - The start offset
+   * @param {number} length - Number of bytes to read
+   * @returns {Promise<Buffer>} - The data, shorter than length only at the end of the object
+   */
+  read(offset, length) {
+    if (this.closed) {
+      return Promise.reject(new Error('Reader is closed'));
+    }
+    // Clients may skip ahead a little, e.g. OpenSSH requests 32KB strides but
+    // reads less per request and fetches the gaps later
+    const lastEnd = this.lastEnd;
+    const sequential = lastEnd !== null && offset >= lastEnd && offset <= lastEnd + MAX_SEQUENTIAL_GAP;
+    this.lastEnd = offset + length;
+    this.sequentialReads = sequential ? this.sequentialReads + 1 : 0;
+
+    if (this._inWindow(offset)) {
+      return this._readBuffered(offset, length);
+    }
+    if (this.sequentialReads >= SEQUENTIAL_READS_BEFORE_STREAMING) {
+      this._startStream(lastEnd);
+      return this._readBuffered(offset, length);
+    }
+    return this._rangedGet(offset, length);
+  }
+
+  /**
+   * Stop streaming and fail reads still waiting for data
+   */
+  close() {
+    this.closed = true;
+    this._stopStream();
+    for (const waiter of this.waiters.splice(0)) {
+      waiter.reject(new Error('Reader is closed'));
+    }
+  }
+
+  /**
+   * Check whether an offset can be served by the current stream
+   * @param {number} offset - The start offset
+   * @returns {boolean} - True if the stream has or will soon have the data
+   */
+  _inWindow(offset) {
+    return this.body !== null && offset >= this.bufferStart && offset <= this.position + this.bufferSize;
+  }
+
+  /**
+   * Read a range with a single ranged GetObject
+   * @param {number} offset - The start offset
+   * @param {number} length - Number of bytes to read
+   * @returns {Promise<Buffer>} - The data
+   */
+  async _rangedGet(offset, length) {
+    const response = await this.s3Client.send(new GetObjectCommand({
+      Bucket: this.bucketName,
+      Key: this.key,
+      Range: `bytes=${offset}-${offset + length - 1}`
+    }));
+    const chunks = [];
+    for await (const chunk of response.Body) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Open a streaming GetObject from an offset, replacing any current stream
+   * @param {number} offset - The start offset
+   */
+  _startStream(offset) {
+    this._stopStream();
+    this.chunks = [];
+    this.bufferStart = offset;
+    this.bufferEnd = offset;
+    this.position = offset;
+    this.ended = false;
+    this.paused = false;
+
+    const token = {};
+    this.body = token;
+    this.s3Client.send(new GetObjectCommand({
+      Bucket: this.bucketName,
+      Key: this.key,
+      Range: `bytes=${offset}-`
+    })).then((response) => {
+      if (this.body !== token) {
+        response.Body.destroy();
+        return;
+      }
+      const body = response.Body;
+      this.body = body;
+      body.on('data', chunk => this._onData(chunk));
+      body.on('end', () => {
+        if (this.body === body) {
+          this.ended = true;
+          this._serveWaiters();
+        }
+      });
+      body.on('error', (err) => {
+        if (this.body === body) {
+          this._onError(err);
+        }
+      });
+      this._updateFlow();
+    }, (err) => {
+      if (this.body === token) {
+        this._onError(err);
+      }
+    });
+  }
+
+  /**
+   * Destroy the current stream, if any
+   */
+  _stopStream() {
+    const body = this.body;
+    this.body = null;
+    this.chunks = [];
+    if (body && typeof body.destroy === 'function') {
+      body.removeAllListeners('data');
+      body.destroy();
+    }
+  }
+
+  _onData(chunk) {
+    this.chunks.push(chunk);
+    this.bufferEnd += chunk.length;
+    this._serveWaiters();
+    this._trim();
+    this._updateFlow();
+  }
+
+  /**
+   * Drop the stream and answer waiting reads with ranged gets instead
+   * @param {Error} err - The stream error
+   */
+  _onError(err) {
+    this._stopStream();
+    for (const waiter of this.waiters.splice(0)) {
+      this._rangedGet(waiter.offset, waiter.length).then(waiter.resolve, waiter.reject);
+    }
+  }
+
+  /**
+   * Pause the stream once it is far enough ahead, resume it when reads catch up
+   */
+  _updateFlow() {
+    if (!this.body || typeof this.body.pause !== 'function') {
+      return;
+    }
+    const ahead = this.bufferEnd - this.position;
+    if (ahead >= this.bufferSize && !this.paused) {
+      this.paused = true;
+      this.body.pause();
+    } else if (ahead < this.bufferSize && this.paused) {
+      this.paused = false;
+      this.body.resume();
+    }
+  }
+
+  /**
+   * Serve a read from the stream buffer, waiting for the data if needed
+   * @param {number} offset - The start offset
+   * @param {number} length - Number of bytes to read
+   * @returns {Promise<Buffer>} - The data
+   */
+  _readBuffered(offset, length) {
+    this.position = Math.max(this.position, offset + length);
+    return new Promise((resolve, reject) => {
+      this.waiters.push({ offset: offset, length: length, resolve: resolve, reject: reject });
+      this._serveWaiters();
+      this._updateFlow();
+    });
+  }
+
+  /**
+   * Answer every waiting read whose data is buffered
+   */
+  _serveWaiters() {
+    this.waiters = this.waiters.filter((waiter) => {
+      const end = waiter.offset + waiter.length;
+      if (this.bufferEnd < end && !this.ended) {
+        return true;
+      }
+      waiter.resolve(this._slice(waiter.offset, Math.min(end, this.bufferEnd)));
+      return false;
+    });
+  }
+
+  /**
+   * Copy a range out of the buffered chunks
+   * @param {number} start - The start offset
+   * @param {number} end - The end offset (exclusive)
+   * @returns {Buffer} - The data
+   */
+  _slice(start, end) {
+    const parts = [];
+    let chunkStart = this.bufferStart;
+    for (const chunk of this.chunks) {
+      const chunkEnd = chunkStart + chunk.length;
+      if (chunkEnd > start && chunkStart < end) {
+        parts.push(chunk.subarray(Math.max(start - chunkStart, 0), Math.min(end, chunkEnd) - chunkStart));
+      }
+      if (chunkEnd >= end) {
+        break;
+      }
+      chunkStart = chunkEnd;
+    }
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * Release buffered chunks that are far enough behind the reader
+   */
+  _trim() {
+    let keepFrom = this.position - this.bufferSize;
+    for (const waiter of this.waiters) {
+      keepFrom = Math.min(keepFrom, waiter.offset);
+    }
+    while (this.chunks.length > 0 && this.bufferStart + this.chunks[0].length <= keepFrom) {
+      this.bufferStart += this.chunks.shift().length;
+    }
+  }
+}
+
+module.exports = S3ReadAhead;
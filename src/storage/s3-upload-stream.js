@@ -0,0 +1,389 @@
+'use strict';
+const { Writable } = require('stream');
+const {
+  GetObjectCommand,
+  PutObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  UploadPartCopyCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand
+} = require('@aws-sdk/client-s3');
+
+// S3 rejects multipart parts smaller than 5 MiB (except the last one)
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+// S3 copies at most 5 GiB per UploadPartCopy
+const MAX_COPY_PART_SIZE = 5 * 1024 * 1024 * 1024;
+
+/**
+ * Split an object into the byte ranges copied by UploadPartCopy, as few
+ * and as even as possible
+ * @param {number} size - The object size
+ * @returns {Array<{start: number, end: number}>} - Inclusive byte ranges
+ */
+function copyRanges(size) {
+  const partCount = Math.ceil(size / MAX_COPY_PART_SIZE);
+  const partSize = Math.ceil(size / partCount);
+  const ranges = [];
+  for (let start = 0; start < size; start += partSize) {
+    ranges.push({ start: start, end: Math.min(start + partSize, size) - 1 });
+  }
+  return ranges;
+}
+
+/**
+ * Writable stream that uploads its data to S3 with bounded memory
+ *
+ * Data is cut into parts of `partSize` bytes and sent with a multipart
+ * upload, with at most `queueSize` parts in flight; writes are held back
+ * while the queue is full. Files smaller than one part are sent with a
+ * single PutObject instead. If the stream fails or is destroyed before
+ * finishing, the multipart upload is aborted so no parts are left behind.
+ *
+ * With `copySource`, the new object starts with the content of an existing
+ * one (for appends). Objects of at least 5 MiB are copied server-side as the
+ * first parts, smaller ones are downloaded and sent ahead of the new data.
+ *
+ * With `resume`, data is added to a multipart upload left by an earlier
+ * stream. Setting `retainParts` before destroying the stream keeps the
+ * multipart upload open so resumableState() can hand it to a later stream.
+ *
+ * With `metadata`, a file sent with a single PutObject is stored with the
+ * metadata it returns. It is called once all data has been written, so it
+ * can describe the content (digests); multipart uploads are started before
+ * that is known and leave the object without it, see `metadataStored`.
+ */
+class S3UploadStream extends Writable {
+  /**
+   * @param {Object} options - Upload options
+   * @param {S3Client} options.s3Client - The S3 client
+   * @param {string} options.bucketName - The target bucket
+   * @param {string} options.key - The target key
+   * @param {number} options.partSize - Part size in bytes (at least 5 MiB)
+   * @param {number} options.queueSize - Maximum number of parts uploaded concurrently
+   * @param {boolean} [options.allowEmpty] - Whether a 0 byte upload is accepted (default true)
+   * @param {string} [options.copySource] - Key of an existing object whose content goes first
+   * @param {number} [options.copySize] - Size of the copySource object
+   * @param {Object} [options.resume] - Upload to continue, as returned by resumableState()
+   * @param {Function} [options.metadata] - Returns the object metadata when a single PutObject commits the file
+   */
+  constructor(options) {
+    super();
+    this.s3Client = options.s3Client;
+    this.bucketName = options.bucketName;
+    this.key = options.key;
+    this.partSize = Math.max(options.partSize, MIN_PART_SIZE);
+    this.queueSize = Math.max(options.queueSize, 1);
+    this.allowEmpty = options.allowEmpty !== false;
+    this.copySource = options.copySource || null;
+    this.copySize = options.copySource ? options.copySize : 0;
+    this.copyDone = null;
+    this.metadata = options.metadata || null;
+    this.metadataStored = false;
+
+    this.uploadId = null;
+    this.completed = false;
+    this.retainParts = false;
+    this.parts = [];
+    this.partSizes = new Map(); // PartNumber -> bytes
+    this.partNumber = 0;
+    this.resumedBytes = 0;
+    if (options.resume) {
+      this.uploadId = options.resume.uploadId;
+      for (const part of options.resume.parts) {
+        this.parts.push({ PartNumber: part.PartNumber, ETag: part.ETag });
+        this.partSizes.set(part.PartNumber, part.Size);
+        this.partNumber = Math.max(this.partNumber, part.PartNumber);
+      }
+      this.resumedBytes = options.resume.size;
+    }
+    this.partError = null;
+    this.inFlight = new Set();
+    this.buffered = [];
+    this.bufferedLength = 0;
+    this.bytesWritten = 0;
+  }
+
+  _write(chunk, encoding, callback) {
+    this._copyExisting().then(() => {
+      this.buffered.push(chunk);
+      this.bufferedLength += chunk.length;
+      this.bytesWritten += chunk.length;
+
+      if (this.bufferedLength < this.partSize) {
+        return;
+      }
+      return this._flushParts(false);
+    }).then(() => callback(), callback);
+  }
+
+  _final(callback) {
+    this._copyExisting().then(() => this._complete()).then(() => callback(), callback);
+  }
+
+  _destroy(err, callback) {
+    if (this.uploadId && !this.completed && !this.retainParts) {
+      this._abort().then(() => callback(err), () => callback(err));
+      return;
+    }
+    callback(err);
+  }
+
+  /**
+   * Total size of the object being written, including copied and resumed data
+   * @returns {number} - The size in bytes
+   */
+  get totalBytes() {
+    return this.resumedBytes + this.copySize + this.bytesWritten;
+  }
+
+  /**
+   * Describe the uploaded parts so the upload can be continued by another stream
+   * Only parts that are complete and contiguous from the start of the object
+   * count, data still buffered is dropped
+   * @returns {Promise<{uploadId: string, parts: Array<Object>, size: number}|null>} - The upload state, or null if nothing can be resumed
+   */
+  async resumableState() {
+    await Promise.all(this.inFlight);
+    if (!this.uploadId || this.completed) {
+      return null;
+    }
+
+    const parts = [];
+    let size = 0;
+    for (const part of [...this.parts].sort((a, b) => a.PartNumber - b.PartNumber)) {
+      if (part.PartNumber !== parts.length + 1) {
+        break;
+      }
+      parts.push({ PartNumber: part.PartNumber, ETag: part.ETag, Size: this.partSizes.get(part.PartNumber) });
+      size += this.partSizes.get(part.PartNumber);
+    }
+    return { uploadId: this.uploadId, parts: parts, size: size };
+  }
+
+  /**
+   * Start the object with the content of copySource, once per upload
+   * @returns {Promise<void>}
+   */
+  _copyExisting() {
+    if (!this.copyDone) {
+      this.copyDone = this.copySize > 0 ? this._copySourceContent() : Promise.resolve();
+    }
+    return this.copyDone;
+  }
+
+  /**
+   * Copy copySource as the first parts, or buffer it if it is too small for a part
+   * @returns {Promise<void>}
+   */
+  async _copySourceContent() {
+    if (this.copySize < MIN_PART_SIZE) {
+      const response = await this.s3Client.send(new GetObjectCommand({
+        Bucket: this.bucketName,
+        Key: this.copySource
+      }));
+      for await (const chunk of response.Body) {
+        this.buffered.push(chunk);
+        this.bufferedLength += chunk.length;
+      }
+      return;
+    }
+
+    await this._createUpload();
+    for (const { start, end } of copyRanges(this.copySize)) {
+      const partNumber = ++this.partNumber;
+      const response = await this.s3Client.send(new UploadPartCopyCommand({
+        Bucket: this.bucketName,
+        Key: this.key,
+        UploadId: this.uploadId,
+        PartNumber: partNumber,
+        CopySource: `${this.bucketName}/${encodeURIComponent(this.copySource)}`,
+        CopySourceRange: `bytes=${start}-${end}`
+      }));
+      this.parts.push({ PartNumber: partNumber, ETag: response.CopyPartResult.ETag });
+      this.partSizes.set(partNumber, end - start + 1);
+    }
+  }
+
+  /**
+   * Start the multipart upload if it isn't started yet
+   * @returns {Promise<void>}
+   */
+  async _createUpload() {
+    if (!this.uploadId) {
+      const response = await this.s3Client.send(new CreateMultipartUploadCommand({
+        Bucket: this.bucketName,
+        Key: this.key
+      }));
+      this.uploadId = response.UploadId;
+    }
+  }
+
+  /**
+   * Take `size` bytes from the front of the buffered data
+   * @param {number} size - Number of bytes to take
+   * @returns {Buffer} - The data
+   */
+  _takeBuffered(size) {
+    const all = Buffer.concat(this.buffered, this.bufferedLength);
+    const rest = all.subarray(size);
+    this.buffered = rest.length > 0 ? [rest] : [];
+    this.bufferedLength = rest.length;
+    return all.subarray(0, size);
+  }
+
+  /**
+   * Upload all complete parts, and the remainder when finishing
+   * @param {boolean} final - Whether to also upload a trailing partial part
+   * @returns {Promise<void>}
+   */
+  async _flushParts(final) {
+    while (this.bufferedLength >= this.partSize || (final && this.bufferedLength > 0)) {
+      await this._queuePart(this._takeBuffered(Math.min(this.partSize, this.bufferedLength)));
+    }
+  }
+
+  /**
+   * Start uploading a part, waiting while the upload queue is full
+   * @param {Buffer} body - The part data
+   * @returns {Promise<void>}
+   */
+  async _queuePart(body) {
+    await this._createUpload();
+
+    const partNumber = ++this.partNumber;
+    const upload = this.s3Client.send(new UploadPartCommand({
+      Bucket: this.bucketName,
+      Key: this.key,
+      UploadId: this.uploadId,
+      PartNumber: partNumber,
+      Body: body,
+      ContentLength: body.length
+    })).then((response) => {
+      this.parts.push({ PartNumber: partNumber, ETag: response.ETag });
+      this.partSizes.set(partNumber, body.length);
+    }, (err) => {
+      this.partError = this.partError || err;
+    }).finally(() => {
+      this.inFlight.delete(upload);
+    });
+    this.inFlight.add(upload);
+
+    if (this.inFlight.size >= this.queueSize) {
+      await Promise.race(this.inFlight);
+    }
+    if (this.partError) {
+      throw this.partError;
+    }
+  }
+
+  /**
+   * Send the remaining data and commit the object
+   * @returns {Promise<void>}
+   */
+  async _complete() {
+    if (!this.uploadId) {
+      if (this.bytesWritten === 0 && this.copySize === 0 && !this.allowEmpty) {
+        throw new Error('Empty files are not allowed');
+      }
+      // The whole file fits in one part - use a single PUT
+      const body = this._takeBuffered(this.bufferedLength);
+      await this.s3Client.send(new PutObjectCommand({
+        Bucket: this.bucketName,
+        Key: this.key,
+        Body: body,
+        ContentLength: body.length,
+        Metadata: this.metadata ? this.metadata() : undefined
+      }));
+      this.metadataStored = this.metadata !== null;
+      this.completed = true;
+      return;
+    }
+
+    await this._flushParts(true);
+    await Promise.all(this.inFlight);
+    if (this.partError) {
+      throw this.partError;
+    }
+
+    await this.s3Client.send(new CompleteMultipartUploadCommand({
+      Bucket: this.bucketName,
+      Key: this.key,
+      UploadId: this.uploadId,
+      MultipartUpload: {
+        Parts: this.parts.sort((a, b) => a.PartNumber - b.PartNumber)
+      }
+    }));
+    this.completed = true;
+  }
+
+  /**
+   * Abort the multipart upload so S3 discards the uploaded parts
+   * @returns {Promise<void>}
+   */
+  async _abort() {
+    await Promise.all(this.inFlight);
+    await S3UploadStream.abort(this.s3Client, this.bucketName, this.key, this.uploadId);
+  }
+
+  /**
+   * Copy an object with a multipart upload of UploadPartCopy parts, for
+   * objects over the 5 GiB CopyObject accepts
+   * The upload is aborted if a part fails
+   * @param {S3Client} s3Client - The S3 client
+   * @param {string} bucketName - The bucket
+   * @param {string} sourceKey - The key to copy
+   * @param {string} targetKey - The key to copy to
+   * @param {number} size - The size of the source object
+   * @param {Object} [metadata] - Metadata of the copy
+   * @returns {Promise<void>}
+   */
+  static async copy(s3Client, bucketName, sourceKey, targetKey, size, metadata) {
+    const { UploadId: uploadId } = await s3Client.send(new CreateMultipartUploadCommand({
+      Bucket: bucketName,
+      Key: targetKey,
+      Metadata: metadata || undefined
+    }));
+    try {
+      const parts = [];
+      for (const { start, end } of copyRanges(size)) {
+        const response = await s3Client.send(new UploadPartCopyCommand({
+          Bucket: bucketName,
+          Key: targetKey,
+          UploadId: uploadId,
+          PartNumber: parts.length + 1,
+          CopySource: `${bucketName}/${encodeURIComponent(sourceKey)}`,
+          CopySourceRange: `bytes=${start}-${end}`
+        }));
+        parts.push({ PartNumber: parts.length + 1, ETag: response.CopyPartResult.ETag });
+      }
+      await s3Client.send(new CompleteMultipartUploadCommand({
+        Bucket: bucketName,
+        Key: targetKey,
+        UploadId: uploadId,
+        MultipartUpload: { Parts: parts }
+      }));
+    } catch (err) {
+      await S3UploadStream.abort(s3Client, bucketName, targetKey, uploadId).catch(() => {});
+      throw err;
+    }
+  }
+
+  /**
+   * Abort a multipart upload, e.g. one kept with retainParts that is not resumed
+   * @param {S3Client} s3Client - The S3 client
+   * @param {string} bucketName - The bucket
+   * @param {string} key - The target key
+   * @param {string} uploadId - The multipart upload ID
+   * @returns {Promise<void>}
+   */
+  static async abort(s3Client, bucketName, key, uploadId) {
+    await s3Client.send(new AbortMultipartUploadCommand({
+      Bucket: bucketName,
+      Key: key,
+      UploadId: uploadId
+    }));
+  }
+}
+
+module.exports = S3UploadStream;
@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * Interrupted uploads kept for resuming, keyed by user and S3 key
+ *
+ * A staged upload is an open S3 multipart upload plus the byte range its
+ * parts cover. Records expire `ttl` milliseconds after they were staged;
+ * the caller collects expired ones with expire() and aborts them in S3.
+ */
+class StagedUploads {
+  /**
+   * @param {number} ttl - Time in milliseconds a staged upload can be resumed
+   */
+  constructor(ttl) {
+    this.ttl = ttl;
+    this.uploads = new Map(); // username -> Map(key -> record)
+  }
+
+  /**
+   * Keep an interrupted upload
+   * @param {string} username - The user
+   * @param {string} key - The target S3 key
+   * @param {Object} upload - The upload state ({uploadId, parts, size})
+   * @returns {Object} - The staged record, with stagedAt and expiresAt
+   */
+  stage(username, key, upload) {
+    const now = Date.now();
+    const record = Object.assign({ key: key, stagedAt: now, expiresAt: now + this.ttl }, upload);
+    if (!this.uploads.has(username)) {
+      this.uploads.set(username, new Map());
+    }
+    this.uploads.get(username).set(key, record);
+    return record;
+  }
+
+  /**
+   * Get a staged upload without removing it
+   * @param {string} username - The user
+   * @param {string} key - The target S3 key
+   * @returns {Object|null} - The staged record
+   */
+  get(username, key) {
+    const userUploads = this.uploads.get(username);
+    return (userUploads && userUploads.get(key)) || null;
+  }
+
+  /**
+   * Remove and return a staged upload
+   * @param {string} username - The user
+   * @param {string} key - The target S3 key
+   * @returns {Object|null} - The staged record
+   */
+  take(username, key) {
+    const record = this.get(username, key);
+    if (record) {
+      const userUploads = this.uploads.get(username);
+      userUploads.delete(key);
+      if (userUploads.size === 0) {
+        this.uploads.delete(username);
+      }
+    }
+    return record;
+  }
+
+  /**
+   * List the staged uploads of a user
+   * @param {string} username - The user
+   * @returns {Array<Object>} - The staged records
+   */
+  list(username) {
+    const userUploads = this.uploads.get(username);
+    return userUploads ? [...userUploads.values()] : [];
+  }
+
+  /**
+   * Remove and return every staged upload past its expiry time
+   * @param {number} [now] - The current time in milliseconds
+   * @returns {Array<{username: string, record: Object}>} - The expired uploads
+   */
+  expire(now = Date.now()) {
+    const expired = [];
+    for (const [username, userUploads] of this.uploads) {
+      for (const record of userUploads.values()) {
+        if (record.expiresAt <= now) {
+          expired.push({ username: username, record: record });
+        }
+      }
+    }
+    for (const { username, record } of expired) {
+      this.take(username, record.key);
+    }
+    return expired;
+  }
+}
+
+module.exports = StagedUploads;
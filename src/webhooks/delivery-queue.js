@@ -0,0 +1,188 @@
+'use strict';
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Webhook notifications waiting to be retried, persisted to a JSON file
+ *
+ * Changes are batched: the whole queue is rewritten at most once every
+ * `saveDelay` milliseconds, to a temporary file that then replaces the
+ * previous one, so a crash leaves either the old or the new queue on disk
+ * and loses at most the last `saveDelay` of changes. Entries look like
+ * { id, endpoint, event, body, attempts, createdAt, nextAttempt, lastError }
+ * where `body` is the exact payload that is signed and sent.
+ */
+class DeliveryQueue {
+  /**
+   * @param {string} file - Path of the queue file
+   * @param {Object} [options] - Queue settings
+   * @param {number} [options.maxSize] - Entries kept, the oldest are dropped beyond this (0 = unlimited)
+   * @param {number} [options.saveDelay] - Milliseconds changes wait to be written with the next ones (0 = write every change at once)
+   * @param {Function} [options.onSaveError] - Called with the error when a delayed write fails
+   */
+  constructor(file, options = {}) {
+    this.file = file;
+    this.maxSize = options.maxSize || 0;
+    this.saveDelay = options.saveDelay || 0;
+    this.onSaveError = options.onSaveError || (() => {});
+    this.entries = new Map(); // id -> entry, oldest first
+    this.dirty = false;
+    this.saveTimer = null;
+  }
+
+  /**
+   * Read the queue file, if there is one
+   * A file that can't be parsed is moved aside to `<file>.corrupt` so the
+   * next write doesn't destroy it
+   * @returns {number} - Number of entries loaded
+   */
+  load() {
+    let text;
+    try {
+      text = fs.readFileSync(this.file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return 0;
+      }
+      throw err;
+    }
+    let entries;
+    try {
+      entries = JSON.parse(text);
+      if (!Array.isArray(entries)) {
+        throw new Error('expected an array');
+      }
+    } catch (err) {
+      fs.renameSync(this.file, this.file + '.corrupt');
+      throw new Error(`${this.file} is not a valid queue (${err.message}), moved to ${this.file}.corrupt`);
+    }
+    this.entries = new Map(entries.map(entry => [entry.id, entry]));
+    return this.entries.size;
+  }
+
+  /**
+   * Write the queue to disk, replacing the previous file
+   */
+  _save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify([...this.entries.values()]));
+    fs.renameSync(temp, this.file);
+  }
+
+  /**
+   * Note a change, writing it now or with the next ones within saveDelay
+   */
+  _changed() {
+    this.dirty = true;
+    if (this.saveDelay === 0) {
+      this.flush();
+      return;
+    }
+    if (this.saveTimer) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      try {
+        this.flush();
+      } catch (err) {
+        this.onSaveError(err);
+      }
+    }, this.saveDelay);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Write pending changes now
+   * If the write fails the changes stay pending for the next one
+   */
+  flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (!this.dirty) {
+      return;
+    }
+    this.dirty = false;
+    try {
+      this._save();
+    } catch (err) {
+      this.dirty = true;
+      throw err;
+    }
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  has(id) {
+    return this.entries.has(id);
+  }
+
+  /**
+   * Add an entry, dropping the oldest ones if the queue is full
+   * @param {Object} entry - The entry
+   * @returns {Array<Object>} - The entries dropped to make room
+   */
+  add(entry) {
+    this.entries.set(entry.id, entry);
+    const dropped = [];
+    while (this.maxSize > 0 && this.entries.size > this.maxSize) {
+      const [oldestId, oldest] = this.entries.entries().next().value;
+      this.entries.delete(oldestId);
+      dropped.push(oldest);
+    }
+    this._changed();
+    return dropped;
+  }
+
+  /**
+   * Persist changes made to an entry already in the queue
+   * @param {Object} entry - The changed entry
+   */
+  update(entry) {
+    if (this.entries.has(entry.id)) {
+      this.entries.set(entry.id, entry);
+      this._changed();
+    }
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} id - The entry id
+   * @returns {boolean} - True if the entry was queued
+   */
+  remove(id) {
+    if (!this.entries.delete(id)) {
+      return false;
+    }
+    this._changed();
+    return true;
+  }
+
+  /**
+   * List the entries due for another attempt
+   * @param {number} now - The current time
+   * @returns {Array<Object>} - The entries, oldest first
+   */
+  due(now) {
+    return [...this.entries.values()].filter(entry => entry.nextAttempt <= now);
+  }
+
+  /**
+   * Get the time of the earliest scheduled attempt
+   * @param {Function} [filter] - Only consider entries it returns true for
+   * @returns {number|null} - The time, or null if nothing is scheduled
+   */
+  nextAttempt(filter = () => true) {
+    let next = null;
+    for (const entry of this.entries.values()) {
+      if (filter(entry) && (next === null || entry.nextAttempt < next)) {
+        next = entry.nextAttempt;
+      }
+    }
+    return next;
+  }
+}
+
+module.exports = DeliveryQueue;
@@ -0,0 +1,420 @@
+'use strict';
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const AccessPolicy = require('../policy/access-policy');
+const DeliveryQueue = require('./delivery-queue');
+
+// Server events and the webhook event each one is sent as
+const SERVER_EVENTS = {
+  'file-uploaded': 'upload',
+  'file-deleted': 'delete',
+  'file-renamed': 'rename',
+  'directory-renamed': 'rename',
+  'file-downloaded': 'download'
+};
+const EVENTS = ['upload', 'delete', 'rename', 'download'];
+
+// Longest delay setTimeout accepts
+const MAX_TIMER_DELAY = 2147483647;
+
+/**
+ * Signed HTTP notifications of the file events of an SFTPS3Server
+ *
+ * Every matching endpoint gets a JSON POST with these headers:
+ *
+ *   X-Webhook-Id         Delivery id, the same on every retry
+ *   X-Webhook-Event      upload, delete, rename or download
+ *   X-Webhook-Timestamp  Unix time of this attempt in seconds
+ *   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the endpoint secret>
+ *
+ * Any 2xx answer counts as delivered. Every notification is queued on disk
+ * before its first attempt and removed once delivered, so a crash mid-request
+ * doesn't lose it. Failed deliveries are retried after
+ * `retryDelay * 2^(attempts - 1)`, up to `maxRetryDelay`, until `maxAttempts`
+ * is reached, with at most `retryConcurrency` retries at once. Retries resolve their
+ * endpoint by id, so secrets never reach the queue file and an endpoint
+ * removed from the configuration stops receiving its queued notifications.
+ */
+class WebhookNotifier {
+  /**
+   * @param {SFTPS3Server} server - The server to observe
+   * @param {Array<Object>} endpoints - Endpoints from config/webhooks.js
+   * @param {Object} options - Delivery settings
+   * @param {string} options.queueFile - Path of the retry queue file
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @param {number} [options.maxAttempts] - Deliveries tried before a notification is dropped
+   * @param {number} [options.retryDelay] - Milliseconds before the first retry
+   * @param {number} [options.maxRetryDelay] - Longest delay between retries in milliseconds
+   * @param {number} [options.maxQueueSize] - Notifications kept in the queue (0 = unlimited)
+   * @param {number} [options.retryConcurrency] - Retries sent at once
+   * @param {number} [options.queueSaveDelay] - Milliseconds queue changes wait to be written together
+   */
+  constructor(server, endpoints, options = {}) {
+    this.server = server;
+    this.endpoints = new Map(); // id -> endpoint
+    for (const endpoint of endpoints) {
+      const parsed = this._parseEndpoint(endpoint);
+      if (this.endpoints.has(parsed.id)) {
+        throw new Error(`Webhook endpoint "${parsed.id}" is defined twice`);
+      }
+      this.endpoints.set(parsed.id, parsed);
+    }
+    this.queue = new DeliveryQueue(options.queueFile, {
+      maxSize: options.maxQueueSize,
+      saveDelay: options.queueSaveDelay,
+      onSaveError: err => this.server.logger.error('Webhook queue not saved', { file: this.queue.file, error: err })
+    });
+    this.timeout = options.timeout || 5000;
+    this.maxAttempts = options.maxAttempts || 1;
+    this.retryDelay = options.retryDelay || 0;
+    this.maxRetryDelay = options.maxRetryDelay || this.retryDelay;
+    this.retryConcurrency = options.retryConcurrency || 1;
+    this.inFlight = new Map(); // delivery id -> entry
+    this.retrying = 0; // retries in flight
+    this.timer = null;
+    this.closed = false;
+
+    this.listeners = {};
+    for (const [serverEvent, event] of Object.entries(SERVER_EVENTS)) {
+      this.listeners[serverEvent] = data => this._notify(event, data);
+    }
+  }
+
+  /**
+   * Validate an endpoint and fill in defaults
+   * @param {Object} endpoint - The endpoint from the configuration
+   * @returns {Object} - The normalized endpoint
+   */
+  _parseEndpoint(endpoint) {
+    if (!endpoint.id) {
+      throw new Error('Webhook endpoints need an id');
+    }
+    if (!endpoint.url) {
+      throw new Error(`Webhook endpoint "${endpoint.id}" has no url`);
+    }
+    if (!endpoint.secret) {
+      throw new Error(`Webhook endpoint "${endpoint.id}" has no secret to sign its notifications`);
+    }
+    const events = endpoint.events || EVENTS;
+    const unknown = events.filter(event => !EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new Error(`Webhook endpoint "${endpoint.id}" has unknown events: ${unknown.join(', ')}`);
+    }
+    return {
+      id: String(endpoint.id),
+      url: new URL(endpoint.url),
+      secret: String(endpoint.secret),
+      events: events,
+      subjects: endpoint.subjects || ['*'],
+      paths: endpoint.paths ? endpoint.paths.map(AccessPolicy.compileGlob) : null
+    };
+  }
+
+  /**
+   * Load the retry queue and start observing the server
+   */
+  start() {
+    try {
+      const queued = this.queue.load();
+      if (queued > 0) {
+        this.server.logger.info('Webhook notifications queued for retry', { file: this.queue.file, notifications: queued });
+      }
+    } catch (err) {
+      this.server.logger.error('Webhook queue not loaded, starting with an empty queue', { file: this.queue.file, error: err });
+    }
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.server.on(event, listener);
+    }
+    this._schedule();
+  }
+
+  /**
+   * Stop observing the server and retrying, and write the queue
+   * Deliveries still in flight stay queued, so a restart sends them again
+   * unless they succeed first
+   */
+  close() {
+    this.closed = true;
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.server.removeListener(event, listener);
+    }
+    clearTimeout(this.timer);
+    this.timer = null;
+    for (const entry of this.inFlight.values()) {
+      if (!this.queue.has(entry.id)) {
+        this._enqueue(Object.assign({}, entry, { nextAttempt: Date.now() }));
+      }
+    }
+    try {
+      this.queue.flush();
+    } catch (err) {
+      this.server.logger.error('Webhook queue not saved', { file: this.queue.file, error: err });
+    }
+  }
+
+  /**
+   * Get the groups of the user behind an event
+   * @param {Object} data - The event data
+   * @returns {Array<string>} - The group names
+   */
+  _groupsOf(data) {
+    const session = this.server.sessions.get(data.sessionId);
+    if (session) {
+      return this.server._userGroups(session.user);
+    }
+    return this.server.accessControl.getPolicy().groupsOf(data.username);
+  }
+
+  /**
+   * Check whether an endpoint wants a notification
+   * @param {Object} endpoint - The normalized endpoint
+   * @param {string} event - The webhook event
+   * @param {Object} data - The server event data
+   * @param {Array<string>} groups - The user's groups
+   * @returns {boolean} - True if the endpoint should be notified
+   */
+  _matches(endpoint, event, data, groups) {
+    if (!endpoint.events.includes(event)) {
+      return false;
+    }
+    if (!endpoint.subjects.some(subject => AccessPolicy.matchSubject(subject, data.username, groups))) {
+      return false;
+    }
+    if (!endpoint.paths) {
+      return true;
+    }
+    const paths = [data.clientPath, data.oldClientPath].filter(Boolean);
+    return endpoint.paths.some(pattern => paths.some(clientPath => pattern.test(clientPath)));
+  }
+
+  /**
+   * Build the payload of a notification
+   * @param {string} id - The delivery id
+   * @param {string} event - The webhook event
+   * @param {Object} data - The server event data
+   * @returns {Object} - The payload
+   */
+  _payload(id, event, data) {
+    const payload = {
+      id: id,
+      event: event,
+      timestamp: new Date().toISOString(),
+      username: data.username,
+      sessionId: data.sessionId,
+      bucket: this.server.bucketName,
+      path: data.clientPath,
+      key: data.path
+    };
+    if (event === 'rename') {
+      payload.oldPath = data.oldClientPath;
+      payload.oldKey = data.oldPath;
+      payload.directory = data.objects !== undefined;
+      if (payload.directory) {
+        payload.objects = data.objects;
+      }
+    } else if (event === 'upload') {
+      payload.size = data.size;
+      payload.sha256 = data.digest ? data.digest.sha256 : null;
+      payload.md5 = data.digest ? data.digest.md5 : null;
+    } else if (event === 'download') {
+      payload.bytes = data.bytes;
+    }
+    return payload;
+  }
+
+  /**
+   * Send a server event to every endpoint that wants it
+   * @param {string} event - The webhook event
+   * @param {Object} data - The server event data
+   */
+  _notify(event, data) {
+    let groups = null;
+    for (const endpoint of this.endpoints.values()) {
+      groups = groups || this._groupsOf(data);
+      if (!this._matches(endpoint, event, data, groups)) {
+        continue;
+      }
+      const id = crypto.randomUUID();
+      const entry = {
+        id: id,
+        endpoint: endpoint.id,
+        event: event,
+        body: JSON.stringify(this._payload(id, event, data)),
+        attempts: 0,
+        createdAt: Date.now(),
+        nextAttempt: Date.now(),
+        lastError: null
+      };
+      this._enqueue(entry);
+      this._deliver(entry, false);
+    }
+  }
+
+  /**
+   * Sign a notification body
+   * @param {string} secret - The endpoint secret
+   * @param {number} timestamp - Unix time of the attempt in seconds
+   * @param {string} body - The body
+   * @returns {string} - The signature header value
+   */
+  _sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * POST a notification to its endpoint
+   * @param {Object} endpoint - The normalized endpoint
+   * @param {Object} entry - The delivery
+   * @returns {Promise<number>} - The response status code
+   */
+  _post(endpoint, entry) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const transport = endpoint.url.protocol === 'https:' ? https : http;
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(entry.body),
+      'X-Webhook-Id': entry.id,
+      'X-Webhook-Event': entry.event,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': this._sign(endpoint.secret, timestamp, entry.body)
+    };
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(endpoint.url, { method: 'POST', headers: headers, timeout: this.timeout }, (res) => {
+        // The answer body isn't used, drain it so the socket is released
+        res.resume();
+        res.on('end', () => resolve(res.statusCode));
+      });
+      req.on('timeout', () => req.destroy(new Error(`Webhook timed out after ${this.timeout}ms`)));
+      req.on('error', reject);
+      req.end(entry.body);
+    });
+  }
+
+  /**
+   * Attempt a queued delivery, removing it from the queue once delivered
+   * @param {Object} entry - The delivery
+   * @param {boolean} retry - True if it counts towards retryConcurrency
+   */
+  async _deliver(entry, retry) {
+    const endpoint = this.endpoints.get(entry.endpoint);
+    this.inFlight.set(entry.id, entry);
+    entry.attempts++;
+    let error = null;
+    try {
+      const statusCode = await this._post(endpoint, entry);
+      if (statusCode < 200 || statusCode >= 300) {
+        error = new Error(`Endpoint answered ${statusCode}`);
+      }
+    } catch (err) {
+      error = err;
+    }
+    this.inFlight.delete(entry.id);
+    if (retry) {
+      this.retrying--;
+    }
+
+    if (error) {
+      this._failed(entry, error);
+    } else {
+      this._dequeue(entry);
+      this.server.logger.debug('Webhook delivered', { endpoint: entry.endpoint, event: entry.event, id: entry.id, attempts: entry.attempts });
+    }
+    this._schedule();
+  }
+
+  /**
+   * Schedule the next attempt of a failed delivery, or drop it once out of attempts
+   * @param {Object} entry - The delivery
+   * @param {Error} err - Why it failed
+   */
+  _failed(entry, err) {
+    entry.lastError = err.message;
+    const fields = { endpoint: entry.endpoint, event: entry.event, id: entry.id, attempts: entry.attempts, error: err.message };
+    if (entry.attempts >= this.maxAttempts) {
+      this._dequeue(entry);
+      this.server.logger.error('Webhook notification dropped after its last attempt', fields);
+      return;
+    }
+    const delay = Math.min(this.retryDelay * Math.pow(2, entry.attempts - 1), this.maxRetryDelay);
+    entry.nextAttempt = Date.now() + delay;
+    this._enqueue(entry);
+    this.server.logger.warn('Webhook delivery failed, retrying later', Object.assign(fields, { retryAt: new Date(entry.nextAttempt).toISOString() }));
+  }
+
+  /**
+   * Add a delivery to the retry queue, or save its changes if it is queued already
+   * @param {Object} entry - The delivery
+   */
+  _enqueue(entry) {
+    try {
+      if (this.queue.has(entry.id)) {
+        this.queue.update(entry);
+        return;
+      }
+      for (const dropped of this.queue.add(entry)) {
+        this.server.logger.error('Webhook queue full, notification dropped', { endpoint: dropped.endpoint, event: dropped.event, id: dropped.id });
+      }
+    } catch (err) {
+      this.server.logger.error('Webhook notification not queued', { endpoint: entry.endpoint, event: entry.event, id: entry.id, error: err });
+    }
+  }
+
+  /**
+   * Remove a delivery from the retry queue
+   * @param {Object} entry - The delivery
+   */
+  _dequeue(entry) {
+    try {
+      this.queue.remove(entry.id);
+    } catch (err) {
+      this.server.logger.error('Webhook notification not removed from the queue', { endpoint: entry.endpoint, event: entry.event, id: entry.id, error: err });
+    }
+  }
+
+  /**
+   * Set the timer for the earliest queued retry
+   * With retryConcurrency retries in flight, the next one waits for one of them to finish
+   */
+  _schedule() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.closed || this.retrying >= this.retryConcurrency) {
+      return;
+    }
+    const next = this.queue.nextAttempt(entry => !this.inFlight.has(entry.id));
+    if (next === null) {
+      return;
+    }
+    this.timer = setTimeout(() => this._retryDue(), Math.min(Math.max(next - Date.now(), 0), MAX_TIMER_DELAY));
+    this.timer.unref();
+  }
+
+  /**
+   * Retry the queued deliveries that are due, up to retryConcurrency at once
+   */
+  _retryDue() {
+    this.timer = null;
+    for (const entry of this.queue.due(Date.now())) {
+      if (this.retrying >= this.retryConcurrency) {
+        break;
+      }
+      if (this.inFlight.has(entry.id)) {
+        continue;
+      }
+      if (!this.endpoints.has(entry.endpoint)) {
+        this._dequeue(entry);
+        this.server.logger.warn('Webhook endpoint no longer configured, notification dropped', { endpoint: entry.endpoint, event: entry.event, id: entry.id });
+        continue;
+      }
+      this.retrying++;
+      this._deliver(entry, true);
+    }
+    this._schedule();
+  }
+}
+
+WebhookNotifier.EVENTS = EVENTS;
+
+module.exports = WebhookNotifier;
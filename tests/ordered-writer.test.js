@@ -0,0 +1,116 @@
+'use strict';
+const assert = require('assert');
+const { test } = require('node:test');
+const { Writable } = require('stream');
+const OrderedWriter = require('../src/storage/ordered-writer');
+
+/**
+ * Writable collecting what it receives
+ */
+function collector() {
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      stream.chunks.push(Buffer.from(chunk));
+      callback();
+    }
+  });
+  stream.chunks = [];
+  stream.text = () => Buffer.concat(stream.chunks).toString();
+  return stream;
+}
+
+function write(writer, offset, text) {
+  return new Promise((resolve, reject) => {
+    writer.write(offset, Buffer.from(text), err => (err ? reject(err) : resolve()));
+  });
+}
+
+test('passes in-order writes straight through', async () => {
+  const stream = collector();
+  const writer = new OrderedWriter(stream, 0, 1024);
+  await write(writer, 0, 'abc');
+  await write(writer, 3, 'def');
+
+  assert.strictEqual(stream.text(), 'abcdef');
+  assert.strictEqual(writer.offset, 6);
+  assert.strictEqual(writer.checkComplete(), null);
+});
+
+test('holds writes that arrive early until the data before them comes', async () => {
+  const stream = collector();
+  const writer = new OrderedWriter(stream, 0, 1024);
+  await write(writer, 6, 'ghi');
+  await write(writer, 3, 'def');
+  assert.strictEqual(stream.text(), '');
+  assert.strictEqual(writer.pendingBytes, 6);
+
+  await write(writer, 0, 'abc');
+  assert.strictEqual(stream.text(), 'abcdefghi');
+  assert.strictEqual(writer.pendingBytes, 0);
+  assert.strictEqual(writer.checkComplete(), null);
+});
+
+test('trims held writes that overlap data already written', async () => {
+  const stream = collector();
+  const writer = new OrderedWriter(stream, 0, 1024);
+  await write(writer, 2, 'CDEF');
+  await write(writer, 0, 'abcd');
+
+  assert.strictEqual(stream.text(), 'abcdEF');
+  assert.strictEqual(writer.offset, 6);
+});
+
+test('drops held writes entirely covered by data already written', async () => {
+  const stream = collector();
+  const writer = new OrderedWriter(stream, 0, 1024);
+  await write(writer, 1, 'B');
+  await write(writer, 0, 'abc');
+
+  assert.strictEqual(stream.text(), 'abc');
+  assert.strictEqual(writer.pending.size, 0);
+  assert.strictEqual(writer.pendingBytes, 0);
+});
+
+test('keeps the latest data of a held write sent again at the same offset', async () => {
+  const stream = collector();
+  const writer = new OrderedWriter(stream, 0, 1024);
+  await write(writer, 3, 'xxx');
+  await write(writer, 3, 'def');
+  assert.strictEqual(writer.pendingBytes, 3);
+  await write(writer, 0, 'abc');
+
+  assert.strictEqual(stream.text(), 'abcdef');
+});
+
+test('refuses to rewrite data already passed to the stream', async () => {
+  const writer = new OrderedWriter(collector(), 0, 1024);
+  await write(writer, 0, 'abcdef');
+
+  await assert.rejects(write(writer, 2, 'zz'), /Cannot rewrite data at offset 2, the file is uploaded up to offset 6/);
+});
+
+test('refuses writes that would hold more than maxPendingBytes', async () => {
+  const writer = new OrderedWriter(collector(), 0, 4);
+  await write(writer, 10, 'abc');
+
+  await assert.rejects(write(writer, 20, 'de'), /Write at offset 20 is too far ahead of offset 0/);
+  assert.strictEqual(writer.pendingBytes, 3);
+});
+
+test('reports a gap left by a write that never came', async () => {
+  const writer = new OrderedWriter(collector(), 0, 1024);
+  await write(writer, 0, 'abc');
+  await write(writer, 100, 'xyz');
+
+  assert.strictEqual(writer.checkComplete().message, 'File has a gap of 97 bytes at offset 3');
+});
+
+test('continues an append from the size of the stored file', async () => {
+  const stream = collector();
+  const writer = new OrderedWriter(stream, 10, 1024);
+  await write(writer, 13, 'def');
+  await write(writer, 10, 'abc');
+
+  assert.strictEqual(stream.text(), 'abcdef');
+  await assert.rejects(write(writer, 5, 'old'), /Cannot rewrite data at offset 5/);
+});
@@ -0,0 +1,184 @@
+'use strict';
+const assert = require('assert');
+const { test } = require('node:test');
+const { finished } = require('stream/promises');
+const S3UploadStream = require('../src/storage/s3-upload-stream');
+
+const MiB = 1024 * 1024;
+
+/**
+ * S3 client stand-in recording every command it is sent
+ */
+class StubS3Client {
+  /**
+   * @param {Object} [options] - Stub behavior
+   * @param {Function} [options.fail] - Returns an error to throw for a command, or null
+   */
+  constructor(options = {}) {
+    this.fail = options.fail || (() => null);
+    this.calls = [];
+    this.uploads = 0;
+  }
+
+  async send(command) {
+    const name = command.constructor.name;
+    const input = command.input;
+    this.calls.push({ name: name, input: input });
+    const err = this.fail(name, input);
+    if (err) {
+      throw err;
+    }
+    switch (name) {
+      case 'CreateMultipartUploadCommand':
+        return { UploadId: `upload-${++this.uploads}` };
+      case 'UploadPartCommand':
+        return { ETag: `"part-${input.PartNumber}"` };
+      case 'UploadPartCopyCommand':
+        return { CopyPartResult: { ETag: `"copy-${input.PartNumber}"` } };
+      default:
+        return {};
+    }
+  }
+
+  named(name) {
+    return this.calls.filter(call => call.name === name).map(call => call.input);
+  }
+}
+
+function createUpload(s3Client, options = {}) {
+  return new S3UploadStream(Object.assign({
+    s3Client: s3Client,
+    bucketName: 'bucket',
+    key: 'users/alice/file.bin',
+    partSize: 5 * MiB,
+    queueSize: 2
+  }, options));
+}
+
+async function upload(stream, chunks) {
+  for (const chunk of chunks) {
+    stream.write(chunk);
+  }
+  stream.end();
+  await finished(stream);
+}
+
+test('sends a file smaller than one part with a single PutObject and its metadata', async () => {
+  const s3 = new StubS3Client();
+  const stream = createUpload(s3, { metadata: () => ({ sha256: 'abc' }) });
+  await upload(stream, [Buffer.from('hello '), Buffer.from('world')]);
+
+  assert.deepStrictEqual(s3.calls.map(call => call.name), ['PutObjectCommand']);
+  const [put] = s3.named('PutObjectCommand');
+  assert.strictEqual(put.Body.toString(), 'hello world');
+  assert.strictEqual(put.ContentLength, 11);
+  assert.deepStrictEqual(put.Metadata, { sha256: 'abc' });
+  assert.strictEqual(stream.metadataStored, true);
+  assert.strictEqual(stream.totalBytes, 11);
+});
+
+test('cuts larger files into parts of partSize and completes them in order', async () => {
+  const s3 = new StubS3Client();
+  const stream = createUpload(s3);
+  await upload(stream, [Buffer.alloc(3 * MiB), Buffer.alloc(3 * MiB), Buffer.alloc(6 * MiB)]);
+
+  const parts = s3.named('UploadPartCommand');
+  assert.deepStrictEqual(parts.map(part => [part.PartNumber, part.ContentLength]), [[1, 5 * MiB], [2, 5 * MiB], [3, 2 * MiB]]);
+  const [complete] = s3.named('CompleteMultipartUploadCommand');
+  assert.strictEqual(complete.UploadId, 'upload-1');
+  assert.deepStrictEqual(complete.MultipartUpload.Parts.map(part => part.PartNumber), [1, 2, 3]);
+  assert.strictEqual(stream.metadataStored, false);
+  assert.strictEqual(s3.named('AbortMultipartUploadCommand').length, 0);
+});
+
+test('raises a part size below the S3 minimum to 5 MiB', async () => {
+  const s3 = new StubS3Client();
+  const stream = createUpload(s3, { partSize: 1024 });
+  await upload(stream, [Buffer.alloc(6 * MiB)]);
+
+  assert.deepStrictEqual(s3.named('UploadPartCommand').map(part => part.ContentLength), [5 * MiB, MiB]);
+});
+
+test('refuses an empty file when allowEmpty is false', async () => {
+  const s3 = new StubS3Client();
+  const stream = createUpload(s3, { allowEmpty: false });
+  stream.end();
+  await assert.rejects(finished(stream), /Empty files are not allowed/);
+  assert.strictEqual(s3.calls.length, 0);
+});
+
+test('aborts the multipart upload when destroyed before finishing', async () => {
+  const s3 = new StubS3Client();
+  const stream = createUpload(s3);
+  await new Promise(resolve => stream.write(Buffer.alloc(5 * MiB), resolve));
+  stream.destroy(new Error('client went away'));
+  await assert.rejects(finished(stream), /client went away/);
+
+  const [abort] = s3.named('AbortMultipartUploadCommand');
+  assert.deepStrictEqual(abort, { Bucket: 'bucket', Key: 'users/alice/file.bin', UploadId: 'upload-1' });
+  assert.strictEqual(s3.named('CompleteMultipartUploadCommand').length, 0);
+});
+
+test('aborts the multipart upload when a part fails', async () => {
+  const s3 = new StubS3Client({
+    fail: (name, input) => (name === 'UploadPartCommand' && input.PartNumber === 2 ? new Error('part refused') : null)
+  });
+  const stream = createUpload(s3);
+  await assert.rejects(upload(stream, [Buffer.alloc(11 * MiB)]), /part refused/);
+
+  assert.strictEqual(s3.named('AbortMultipartUploadCommand').length, 1);
+  assert.strictEqual(s3.named('CompleteMultipartUploadCommand').length, 0);
+});
+
+test('keeps the parts of a destroyed upload with retainParts and resumes after them', async () => {
+  const s3 = new StubS3Client();
+  const stream = createUpload(s3);
+  await new Promise(resolve => stream.write(Buffer.alloc(7 * MiB), resolve));
+  stream.retainParts = true;
+  stream.destroy();
+  await finished(stream).catch(() => {});
+
+  assert.strictEqual(s3.named('AbortMultipartUploadCommand').length, 0);
+  const state = await stream.resumableState();
+  assert.deepStrictEqual(state, { uploadId: 'upload-1', parts: [{ PartNumber: 1, ETag: '"part-1"', Size: 5 * MiB }], size: 5 * MiB });
+
+  const resumed = createUpload(s3, { resume: state });
+  await upload(resumed, [Buffer.alloc(MiB)]);
+  assert.deepStrictEqual(s3.named('UploadPartCommand').map(part => part.PartNumber), [1, 2]);
+  const [complete] = s3.named('CompleteMultipartUploadCommand');
+  assert.deepStrictEqual(complete.MultipartUpload.Parts.map(part => part.PartNumber), [1, 2]);
+  assert.strictEqual(resumed.totalBytes, 6 * MiB);
+});
+
+test('starts an append with the existing object copied server-side', async () => {
+  const s3 = new StubS3Client();
+  const stream = createUpload(s3, { copySource: 'users/alice/file.bin', copySize: 6 * MiB });
+  await upload(stream, [Buffer.from('more')]);
+
+  const [copy] = s3.named('UploadPartCopyCommand');
+  assert.strictEqual(copy.PartNumber, 1);
+  assert.strictEqual(copy.CopySourceRange, `bytes=0-${6 * MiB - 1}`);
+  assert.deepStrictEqual(s3.named('UploadPartCommand').map(part => [part.PartNumber, part.ContentLength]), [[2, 4]]);
+  assert.strictEqual(stream.bytesWritten, 4);
+});
+
+test('copies objects over 5 GiB in even parts', async () => {
+  const s3 = new StubS3Client();
+  const size = 6 * 1024 * MiB;
+  await S3UploadStream.copy(s3, 'bucket', 'scanning/file.bin', 'users/alice/file.bin', size, { sha256: 'abc' });
+
+  assert.deepStrictEqual(s3.named('CreateMultipartUploadCommand')[0].Metadata, { sha256: 'abc' });
+  assert.deepStrictEqual(s3.named('UploadPartCopyCommand').map(part => part.CopySourceRange), [
+    `bytes=0-${size / 2 - 1}`,
+    `bytes=${size / 2}-${size - 1}`
+  ]);
+  assert.strictEqual(s3.named('CompleteMultipartUploadCommand').length, 1);
+});
+
+test('aborts a large copy when a part fails', async () => {
+  const s3 = new StubS3Client({ fail: name => (name === 'UploadPartCopyCommand' ? new Error('copy refused') : null) });
+  await assert.rejects(S3UploadStream.copy(s3, 'bucket', 'a', 'b', 6 * 1024 * MiB), /copy refused/);
+
+  assert.strictEqual(s3.named('AbortMultipartUploadCommand').length, 1);
+  assert.strictEqual(s3.named('CompleteMultipartUploadCommand').length, 0);
+});